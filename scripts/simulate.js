@@ -0,0 +1,66 @@
+/**
+ * Headless simulation runner for Velocity Rush
+ * Drives a car around a track from an input script and prints the trajectory,
+ * e.g. to diff handling changes against a saved run:
+ *
+ *   npm run simulate -- --vehicle rally --layout mountain --inputs laps.json --out run.json
+ */
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import { createServer } from 'vite';
+
+const { values: args } = parseArgs({
+  options: {
+    vehicle: { type: 'string', default: 'sports' },
+    layout: { type: 'string', default: 'circuit' },
+    surface: { type: 'string', default: 'asphalt' },
+    ground: { type: 'string', default: 'grass' },
+    inputs: { type: 'string' }, // JSON file of keyframes ([{ time, throttle, steering, ... }])
+    duration: { type: 'string', default: '30' }, // seconds
+    step: { type: 'string', default: String(1 / 60) }, // seconds
+    sample: { type: 'string', default: '0.1' }, // seconds between samples
+    seed: { type: 'string', default: '1' },
+    out: { type: 'string' } // Prints to stdout if not given
+  }
+});
+
+// Full throttle with no steering unless told otherwise
+const inputs = args.inputs ?
+  JSON.parse(await readFile(args.inputs, 'utf8')) :
+  [{ time: 0, throttle: 1 }];
+
+// Load the game source through Vite so its imports resolve as they do in the browser
+const server = await createServer({
+  server: { middlewareMode: true },
+  appType: 'custom',
+  logLevel: 'error',
+  
+  // Nothing runs in a browser, so skip pre-bundling the client dependencies
+  optimizeDeps: { noDiscovery: true, include: [] }
+});
+
+try {
+  const { runSimulation } = await server.ssrLoadModule('/src/engine/headless.js');
+  
+  const result = runSimulation({
+    vehicle: args.vehicle,
+    layout: args.layout,
+    surface: args.surface,
+    groundSurface: args.ground,
+    inputs,
+    duration: Number(args.duration),
+    timeStep: Number(args.step),
+    sampleInterval: Number(args.sample),
+    seed: Number(args.seed)
+  });
+  
+  const json = JSON.stringify(result, null, 2);
+  if (args.out) {
+    await writeFile(args.out, json + '\n');
+  } else {
+    process.stdout.write(json + '\n');
+  }
+} finally {
+  await server.close();
+}
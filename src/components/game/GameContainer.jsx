@@ -6,6 +6,8 @@ import Speedometer from '../ui/HUD/Speedometer';
 import TouchControls from '../ui/controls/TouchControls';
 import ControlsHelp from '../ui/controls/ControlsHelp';
 import GameHUD from '../ui/HUD/GameHUD';
+import DebugControls from '../ui/controls/DebugControls';
+import { TIME_SCALES } from '../../config/debug';
 
 /**
  * Game container component that integrates the 3D game scene with React
@@ -15,6 +17,15 @@ const GameContainer = ({
   trackId = 'circuit',
   environmentType = 'daytime',
   totalLaps = 3,
+  gameMode = 'race',
+  assists,
+  transmission = 'automatic',
+  damage = 'full',
+  fuel = false,
+  tireWear = false,
+  physicsWorker = false,
+  showPerformance = false,
+  onTogglePerformance,
   onGameStateChange,
   onRaceFinished
 }) => {
@@ -41,13 +52,24 @@ const GameContainer = ({
     toggleCameraMode, 
     getGameState, 
     raceState,
-    startRaceCountdown
+    startRaceCountdown,
+    exportPerformanceProfile,
+    toggleSimulationFrozen,
+    stepSimulation,
+    setSimulationTimeScale
   } = useGameScene({
     container: containerRef.current,
     vehicleType,
     trackId,
     environmentType,
-    totalLaps
+    totalLaps,
+    gameMode,
+    assists,
+    transmission,
+    damage,
+    fuel,
+    tireWear,
+    physicsWorker
   }, input);
   
   // Handle touch controls change
@@ -93,6 +115,17 @@ const GameContainer = ({
     return () => clearTimeout(timer);
   }, [startRaceCountdown]);
   
+  // Move to the next slower or faster time scale
+  const shiftTimeScale = useCallback((direction) => {
+    const currentState = getGameState();
+    if (!currentState) return;
+    
+    const index = TIME_SCALES.findIndex(scale => scale >= currentState.debugState.timeScale);
+    const current = index === -1 ? TIME_SCALES.length - 1 : index;
+    const next = Math.min(TIME_SCALES.length - 1, Math.max(0, current + direction));
+    setSimulationTimeScale(TIME_SCALES[next]);
+  }, [getGameState, setSimulationTimeScale]);
+  
   // Handle keyboard shortcuts
   useEffect(() => {
     const handleKeyDown = (e) => {
@@ -100,6 +133,17 @@ const GameContainer = ({
         togglePause();
       } else if (e.key.toLowerCase() === 'c') {
         toggleCameraMode();
+      } else if (e.key === 'F3' && onTogglePerformance) {
+        e.preventDefault();
+        onTogglePerformance();
+      } else if (e.key === 'F6') {
+        e.preventDefault();
+        toggleSimulationFrozen();
+      } else if (e.key === 'F7') {
+        e.preventDefault();
+        stepSimulation(e.shiftKey ? 10 : 1);
+      } else if (e.key === '[' || e.key === ']') {
+        shiftTimeScale(e.key === ']' ? 1 : -1);
       }
     };
     
@@ -108,7 +152,7 @@ const GameContainer = ({
     return () => {
       window.removeEventListener('keydown', handleKeyDown);
     };
-  }, [togglePause, toggleCameraMode]);
+  }, [togglePause, toggleCameraMode, onTogglePerformance, toggleSimulationFrozen, stepSimulation, shiftTimeScale]);
   
   // Handle countdown complete
   const handleCountdownComplete = useCallback(() => {
@@ -120,6 +164,19 @@ const GameContainer = ({
     startRaceCountdown();
   }, [startRaceCountdown]);
   
+  // Download the frame profile for a bug report
+  const handleExportPerformance = useCallback(() => {
+    const profile = exportPerformanceProfile();
+    if (!profile) return;
+    
+    const url = URL.createObjectURL(new Blob([profile], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `velocity-rush-profile-${Date.now()}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  }, [exportPerformanceProfile]);
+  
   // Handle race exit
   const handleRaceExit = useCallback(() => {
     if (onRaceFinished) {
@@ -145,7 +202,21 @@ const GameContainer = ({
         onCountdownComplete={handleCountdownComplete}
         onRestart={handleRaceRestart}
         onExit={handleRaceExit}
+        showPerformance={showPerformance}
+        onExportPerformance={handleExportPerformance}
       />
+      
+      {/* Debug controls, while the simulation is frozen, slowed or being profiled */}
+      {gameState.debugState && (gameState.debugState.isFrozen || gameState.debugState.timeScale !== 1 || showPerformance) && (
+        <div className="absolute bottom-24 left-1/2 transform -translate-x-1/2">
+          <DebugControls 
+            debugState={gameState.debugState}
+            onToggleFrozen={toggleSimulationFrozen}
+            onStep={stepSimulation}
+            onTimeScaleChange={setSimulationTimeScale}
+          />
+        </div>
+      )}
     </div>
   );
 };
@@ -155,6 +226,15 @@ GameContainer.propTypes = {
   trackId: PropTypes.string,
   environmentType: PropTypes.string,
   totalLaps: PropTypes.number,
+  gameMode: PropTypes.oneOf(['race', 'drift']),
+  assists: PropTypes.object,
+  transmission: PropTypes.oneOf(['automatic', 'manual']),
+  damage: PropTypes.oneOf(['off', 'visual', 'full']),
+  fuel: PropTypes.bool,
+  tireWear: PropTypes.bool,
+  physicsWorker: PropTypes.bool,
+  showPerformance: PropTypes.bool,
+  onTogglePerformance: PropTypes.func,
   onGameStateChange: PropTypes.func,
   onRaceFinished: PropTypes.func
 };
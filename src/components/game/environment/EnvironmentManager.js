@@ -1,5 +1,6 @@
 import * as THREE from 'three';
 import Skybox from './Skybox';
+import { createRandom } from '../../../utils/math';
 
 /**
  * EnvironmentManager class - Manages environmental elements
@@ -11,6 +12,8 @@ class EnvironmentManager {
     this.ground = null;
     this.environmentObjects = [];
     this.fogEnabled = false;
+    this.groundSurface = 'grass';
+    this.random = createRandom(1); // Seeded, so the scenery is the same every run
   }
   
   /**
@@ -22,11 +25,15 @@ class EnvironmentManager {
       skyboxType: 'daytime',
       groundSize: 2000,
       groundColor: 0x1a5c1a,
+      groundSurface: 'grass', // Surface material of the ground (see config/surfaces)
       fogColor: 0xc8d8e6,
-      fogDensity: 0.002
+      fogDensity: 0.002,
+      seed: 1 // Seed for the placement of trees, mountains and buildings
     };
     
     const config = { ...defaultOptions, ...options };
+    this.groundSurface = config.groundSurface;
+    this.random = createRandom(config.seed);
     
     // Create skybox
     this.createSkybox(config.skyboxType);
@@ -100,6 +107,15 @@ class EnvironmentManager {
     this.scene.add(this.ground);
   }
   
+  /**
+   * Get the ground under any position. The ground is flat and the same
+   * surface everywhere, so the position doesn't matter
+   * @returns {Object} { height, surface }
+   */
+  getSurfaceAt() {
+    return { height: 0, surface: this.groundSurface };
+  }
+  
   /**
    * Enable fog
    * @param {number} color - Fog color
@@ -135,8 +151,8 @@ class EnvironmentManager {
         const tree = treeModel.clone();
         
         // Random position within radius
-        const angle = Math.random() * Math.PI * 2;
-        const distance = Math.random() * radius;
+        const angle = this.random() * Math.PI * 2;
+        const distance = this.random() * radius;
         const x = Math.cos(angle) * distance;
         const z = Math.sin(angle) * distance;
         
@@ -144,11 +160,11 @@ class EnvironmentManager {
         tree.position.set(x, 0, z);
         
         // Random scale
-        const scale = 0.8 + Math.random() * 0.4;
+        const scale = 0.8 + this.random() * 0.4;
         tree.scale.set(scale, scale, scale);
         
         // Random rotation
-        tree.rotation.y = Math.random() * Math.PI * 2;
+        tree.rotation.y = this.random() * Math.PI * 2;
         
         // Enable shadows
         tree.traverse((child) => {
@@ -185,8 +201,8 @@ class EnvironmentManager {
       const mountain = new THREE.Mesh(mountainGeometry, mountainMaterial);
       
       // Random position outside radius
-      const angle = Math.random() * Math.PI * 2;
-      const distance = radius + Math.random() * 200;
+      const angle = this.random() * Math.PI * 2;
+      const distance = radius + this.random() * 200;
       const x = Math.cos(angle) * distance;
       const z = Math.sin(angle) * distance;
       
@@ -194,9 +210,9 @@ class EnvironmentManager {
       mountain.position.set(x, 0, z);
       
       // Random scale
-      const scaleX = 1 + Math.random() * 2;
-      const scaleY = 1 + Math.random() * 3;
-      const scaleZ = 1 + Math.random() * 2;
+      const scaleX = 1 + this.random() * 2;
+      const scaleY = 1 + this.random() * 3;
+      const scaleZ = 1 + this.random() * 2;
       mountain.scale.set(scaleX, scaleY, scaleZ);
       
       // Enable shadows
@@ -233,8 +249,8 @@ class EnvironmentManager {
     // Create buildings
     for (let i = 0; i < count; i++) {
       // Random geometry and material
-      const geometryIndex = Math.floor(Math.random() * buildingGeometries.length);
-      const materialIndex = Math.floor(Math.random() * buildingMaterials.length);
+      const geometryIndex = Math.floor(this.random() * buildingGeometries.length);
+      const materialIndex = Math.floor(this.random() * buildingMaterials.length);
       
       // Create building mesh
       const building = new THREE.Mesh(
@@ -243,8 +259,8 @@ class EnvironmentManager {
       );
       
       // Random position outside radius
-      const angle = Math.random() * Math.PI * 2;
-      const distance = radius + Math.random() * 100;
+      const angle = this.random() * Math.PI * 2;
+      const distance = radius + this.random() * 100;
       const x = Math.cos(angle) * distance;
       const z = Math.sin(angle) * distance;
       
@@ -252,7 +268,7 @@ class EnvironmentManager {
       building.position.set(x, building.geometry.parameters.height / 2, z);
       
       // Random rotation
-      building.rotation.y = Math.random() * Math.PI * 2;
+      building.rotation.y = this.random() * Math.PI * 2;
       
       // Enable shadows
       building.castShadow = true;
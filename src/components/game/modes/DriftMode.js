@@ -0,0 +1,174 @@
+/**
+ * DriftMode class - Scores drifts for the drift game mode
+ * Each drift scores drift angle × speed × duration; chaining drifts
+ * through consecutive corners builds up a combo multiplier
+ */
+class DriftMode {
+  constructor(options = {}) {
+    this.options = {
+      minAngle: 10, // degrees of body slip before a slide counts as a drift
+      minSpeed: 25, // km/h
+      pointsScale: 0.1, // points per degree × km/h × second
+      endDelay: 0.6, // seconds a drift can straighten out before it ends
+      comboWindow: 2, // seconds to start the next drift and keep the combo
+      comboStep: 0.5, // multiplier added for each chained drift
+      maxMultiplier: 5,
+      ...options
+    };
+    
+    this.onDriftCompleted = null;
+    this.onDriftFailed = null;
+    
+    this.reset();
+  }
+  
+  /**
+   * Initialize the drift mode
+   * @param {Object} options - Callbacks (onDriftCompleted, onDriftFailed)
+   */
+  init(options = {}) {
+    this.onDriftCompleted = options.onDriftCompleted;
+    this.onDriftFailed = options.onDriftFailed;
+    
+    this.reset();
+  }
+  
+  /**
+   * Reset the score
+   */
+  reset() {
+    this.totalScore = 0;
+    this.bestDrift = 0;
+    this.lastDriftScore = 0;
+    this.driftCount = 0;
+    this.combo = 0;
+    this.multiplier = 1;
+    this.currentDrift = null;
+    this.driftAngle = 0;
+    this.timeSinceDrift = Infinity;
+  }
+  
+  /**
+   * Update the drift mode
+   * @param {number} deltaTime - Time since last update in seconds
+   * @param {VehiclePhysics} vehiclePhysics - The player's vehicle
+   */
+  update(deltaTime, vehiclePhysics) {
+    const { minAngle, minSpeed, pointsScale, endDelay, comboWindow } = this.options;
+    
+    this.driftAngle = Math.abs(vehiclePhysics.getSlipAngle()) * 180 / Math.PI;
+    const speed = vehiclePhysics.state.speedKmh;
+    const isOnGround = vehiclePhysics.state.wheels.some(wheel => wheel.onGround);
+    const isMovingForward = vehiclePhysics.getForwardSpeed() > 0;
+    
+    // Spinning round loses the drift
+    if (this.currentDrift && !isMovingForward) {
+      this.cancelDrift();
+      return;
+    }
+    
+    const isSliding = this.driftAngle >= minAngle && speed >= minSpeed && isOnGround && isMovingForward;
+    
+    if (isSliding) {
+      if (!this.currentDrift) {
+        this.startDrift();
+      }
+      
+      // Drift angle × speed × duration
+      this.currentDrift.points += this.driftAngle * speed * deltaTime * pointsScale;
+      this.currentDrift.duration += deltaTime;
+      this.currentDrift.maxAngle = Math.max(this.currentDrift.maxAngle, this.driftAngle);
+      this.currentDrift.timeSinceSlide = 0;
+    } else if (this.currentDrift) {
+      // Give the driver a moment to link into the next slide
+      this.currentDrift.timeSinceSlide += deltaTime;
+      if (this.currentDrift.timeSinceSlide > endDelay) {
+        this.completeDrift();
+      }
+    } else {
+      this.timeSinceDrift += deltaTime;
+      if (this.timeSinceDrift > comboWindow) {
+        this.combo = 0;
+        this.multiplier = 1;
+      }
+    }
+  }
+  
+  /**
+   * Start a new drift, extending the combo if the last one ended recently
+   */
+  startDrift() {
+    if (this.timeSinceDrift <= this.options.comboWindow) {
+      this.combo++;
+      this.multiplier = Math.min(this.options.maxMultiplier, 1 + this.combo * this.options.comboStep);
+    }
+    
+    this.currentDrift = {
+      points: 0,
+      duration: 0,
+      maxAngle: 0,
+      timeSinceSlide: 0
+    };
+  }
+  
+  /**
+   * Bank the current drift's points
+   */
+  completeDrift() {
+    const drift = this.currentDrift;
+    const score = Math.round(drift.points * this.multiplier);
+    
+    this.totalScore += score;
+    this.bestDrift = Math.max(this.bestDrift, score);
+    this.lastDriftScore = score;
+    this.driftCount++;
+    this.currentDrift = null;
+    this.timeSinceDrift = 0;
+    
+    if (this.onDriftCompleted) {
+      this.onDriftCompleted({
+        score,
+        points: Math.round(drift.points),
+        multiplier: this.multiplier,
+        duration: drift.duration,
+        maxAngle: drift.maxAngle
+      });
+    }
+  }
+  
+  /**
+   * Lose the current drift and the combo (spin or crash)
+   */
+  cancelDrift() {
+    const lostPoints = this.currentDrift ? Math.round(this.currentDrift.points * this.multiplier) : 0;
+    
+    this.currentDrift = null;
+    this.combo = 0;
+    this.multiplier = 1;
+    this.timeSinceDrift = Infinity;
+    
+    if (this.onDriftFailed) {
+      this.onDriftFailed({ lostPoints });
+    }
+  }
+  
+  /**
+   * Get the current drift state
+   * @returns {Object} Drift state object
+   */
+  getDriftState() {
+    return {
+      totalScore: this.totalScore,
+      bestDrift: this.bestDrift,
+      lastDriftScore: this.lastDriftScore,
+      driftCount: this.driftCount,
+      isDrifting: this.currentDrift !== null,
+      currentPoints: this.currentDrift ? Math.round(this.currentDrift.points * this.multiplier) : 0,
+      driftAngle: this.driftAngle,
+      multiplier: this.multiplier,
+      combo: this.combo
+    };
+  }
+}
+
+export default DriftMode;
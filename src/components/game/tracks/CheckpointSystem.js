@@ -13,23 +13,40 @@ class CheckpointSystem {
     this.lapTimes = [];
     this.currentLapTime = 0;
     this.bestLapTime = null;
-    this.raceStartTime = 0;
     this.raceTime = 0;
+    this.penaltyTime = 0; // seconds added to the race time, e.g. for resetting the car
     this.isRaceStarted = false;
     this.isRaceFinished = false;
     this.onLapCompleted = null;
     this.onCheckpointPassed = null;
     this.onRaceFinished = null;
     
+    // Pit stops
+    this.pitBox = null; // { position, radius }
+    this.pitStopTime = 5; // seconds stopped in the pit box to refuel and change tires
+    this.pitStopTimer = 0;
+    this.pitStops = 0;
+    this.isPitStopDone = false; // Set until the car leaves the pit box
+    this.onPitStop = null;
+    
+    // Trigger volumes, when a collision system does the detection
+    this.collisionSystem = null;
+    this.vehicleObject = null;
+    this.triggerObjects = [];
+    this.isInPitBox = false;
+    
     // Checkpoint visualization
     this.checkpointObjects = [];
     this.startFinishObject = null;
+    this.pitBoxObject = null;
   }
   
   /**
    * Initialize the checkpoint system
    * @param {Array} checkpoints - Array of checkpoint objects
    * @param {Object} options - Configuration options
+   * @param {boolean} options.visualize - Whether to create checkpoint markers, default true
+   *   (off where there's nothing to draw them, e.g. in the physics worker)
    */
   init(checkpoints, options = {}) {
     this.checkpoints = checkpoints || [];
@@ -37,6 +54,9 @@ class CheckpointSystem {
     this.onLapCompleted = options.onLapCompleted;
     this.onCheckpointPassed = options.onCheckpointPassed;
     this.onRaceFinished = options.onRaceFinished;
+    this.pitBox = options.pitBox || null;
+    this.pitStopTime = options.pitStopTime || this.pitStopTime;
+    this.onPitStop = options.onPitStop;
     
     // Find start/finish line
     this.startFinishLine = this.checkpoints.find(cp => cp.isStartFinish);
@@ -45,7 +65,9 @@ class CheckpointSystem {
     this.reset();
     
     // Create checkpoint visualizations
-    this.createCheckpointVisualizations();
+    if (options.visualize !== false) {
+      this.createCheckpointVisualizations();
+    }
   }
   
   /**
@@ -56,10 +78,13 @@ class CheckpointSystem {
     this.laps = 0;
     this.lapTimes = [];
     this.currentLapTime = 0;
-    this.raceStartTime = 0;
     this.raceTime = 0;
+    this.penaltyTime = 0;
     this.isRaceStarted = false;
     this.isRaceFinished = false;
+    this.pitStopTimer = 0;
+    this.pitStops = 0;
+    this.isPitStopDone = false;
   }
   
   /**
@@ -67,7 +92,6 @@ class CheckpointSystem {
    */
   startRace() {
     this.reset();
-    this.raceStartTime = performance.now();
     this.isRaceStarted = true;
   }
   
@@ -124,6 +148,95 @@ class CheckpointSystem {
         this.checkpointObjects.push(checkpointObject);
       }
     });
+    
+    // Create pit box
+    this.pitBoxObject = null;
+    if (this.pitBox) {
+      const pitBoxGeometry = new THREE.CircleGeometry(this.pitBox.radius, 32);
+      const pitBoxMaterial = new THREE.MeshBasicMaterial({
+        color: 0xffcc00,
+        transparent: true,
+        opacity: 0.3,
+        side: THREE.DoubleSide
+      });
+      
+      this.pitBoxObject = new THREE.Mesh(pitBoxGeometry, pitBoxMaterial);
+      this.pitBoxObject.rotation.x = -Math.PI / 2;
+      this.pitBoxObject.position.copy(this.pitBox.position);
+      this.pitBoxObject.position.y += 0.05; // Slightly above track
+    }
+  }
+  
+  /**
+   * Detect checkpoints and the pit box with trigger volumes instead of distance checks
+   * @param {CollisionSystem} collisionSystem - Collision system the vehicle is registered with
+   * @param {THREE.Object3D} vehicleObject - The player's vehicle
+   */
+  createTriggers(collisionSystem, vehicleObject) {
+    this.removeTriggers();
+    this.collisionSystem = collisionSystem;
+    this.vehicleObject = vehicleObject;
+    
+    this.checkpoints.forEach((checkpoint, index) => {
+      // A slab across the track, deep enough that a fast car can't skip it in one step
+      const trigger = new THREE.Mesh(new THREE.BoxGeometry(checkpoint.width || 20, 4, 4));
+      trigger.position.copy(checkpoint.position);
+      trigger.position.y += 2;
+      trigger.rotation.y = checkpoint.rotation || 0;
+      
+      // Staying counts too, for a car already on the line when the race starts
+      const onCheckpoint = (object) => this.handleCheckpointTrigger(object, index);
+      collisionSystem.registerTrigger(trigger, { onEnter: onCheckpoint, onStay: onCheckpoint });
+      this.triggerObjects.push(trigger);
+    });
+    
+    if (this.pitBox) {
+      const size = this.pitBox.radius * 2;
+      const trigger = new THREE.Mesh(new THREE.BoxGeometry(size, 4, size));
+      trigger.position.copy(this.pitBox.position);
+      trigger.position.y += 2;
+      
+      collisionSystem.registerTrigger(trigger, {
+        onEnter: (object) => {
+          if (object === this.vehicleObject) this.isInPitBox = true;
+        },
+        onExit: (object) => {
+          if (object === this.vehicleObject) this.isInPitBox = false;
+        }
+      });
+      this.triggerObjects.push(trigger);
+    }
+  }
+  
+  /**
+   * Remove the trigger volumes and go back to distance checks
+   */
+  removeTriggers() {
+    if (this.collisionSystem) {
+      this.triggerObjects.forEach(trigger => {
+        this.collisionSystem.unregisterTrigger(trigger);
+        trigger.geometry.dispose();
+      });
+    }
+    
+    this.triggerObjects = [];
+    this.collisionSystem = null;
+    this.vehicleObject = null;
+    this.isInPitBox = false;
+  }
+  
+  /**
+   * Handle the vehicle touching a checkpoint trigger
+   * @param {THREE.Object3D} object - Object in the trigger
+   * @param {number} index - Index of the checkpoint
+   */
+  handleCheckpointTrigger(object, index) {
+    if (!this.isRaceStarted || this.isRaceFinished) return;
+    
+    // Checkpoints only count in order
+    if (object === this.vehicleObject && index === this.currentCheckpoint) {
+      this.checkpointPassed();
+    }
   }
   
   /**
@@ -156,26 +269,101 @@ class CheckpointSystem {
     this.checkpointObjects.forEach(obj => {
       scene.add(obj);
     });
+    
+    if (this.pitBoxObject) {
+      scene.add(this.pitBoxObject);
+    }
   }
   
   /**
    * Update checkpoint system
    * @param {number} deltaTime - Time since last update in seconds
    * @param {THREE.Vector3} vehiclePosition - Current vehicle position
+   * @param {number} vehicleSpeed - Current vehicle speed in km/h (needed for pit stops)
    */
-  update(deltaTime, vehiclePosition) {
+  update(deltaTime, vehiclePosition, vehicleSpeed = null) {
     if (!this.isRaceStarted || this.isRaceFinished) return;
     
-    // Update race time
-    this.raceTime = (performance.now() - this.raceStartTime) / 1000;
+    // Update race time from the simulation steps rather than the wall clock
+    this.raceTime += deltaTime;
     this.currentLapTime += deltaTime;
     
-    // Check if vehicle has passed the current checkpoint
+    // Check if vehicle has passed the current checkpoint, unless triggers report it
     const checkpoint = this.checkpoints[this.currentCheckpoint];
-    if (checkpoint && this.isVehicleAtCheckpoint(vehiclePosition, checkpoint)) {
+    if (!this.collisionSystem && checkpoint && this.isVehicleAtCheckpoint(vehiclePosition, checkpoint)) {
       // Mark checkpoint as passed
       this.checkpointPassed();
     }
+    
+    if (this.pitBox && vehicleSpeed !== null) {
+      this.updatePitStop(deltaTime, vehiclePosition, vehicleSpeed);
+    }
+  }
+  
+  /**
+   * Service the car once it has stood in the pit box long enough
+   * @param {number} deltaTime - Time since last update in seconds
+   * @param {THREE.Vector3} vehiclePosition - Vehicle position
+   * @param {number} vehicleSpeed - Vehicle speed in km/h
+   */
+  updatePitStop(deltaTime, vehiclePosition, vehicleSpeed) {
+    const inPitBox = this.collisionSystem ?
+      this.isInPitBox :
+      vehiclePosition.distanceTo(this.pitBox.position) < this.pitBox.radius;
+    
+    // One service per visit
+    if (!inPitBox) {
+      this.isPitStopDone = false;
+      this.pitStopTimer = 0;
+      return;
+    }
+    if (this.isPitStopDone) return;
+    
+    // The crew only works on a stationary car
+    if (vehicleSpeed > 2) {
+      this.pitStopTimer = 0;
+      return;
+    }
+    
+    this.pitStopTimer += deltaTime;
+    if (this.pitStopTimer >= this.pitStopTime) {
+      this.pitStopTimer = 0;
+      this.isPitStopDone = true;
+      this.pitStops++;
+      
+      // Call pit stop callback
+      if (this.onPitStop) {
+        this.onPitStop({
+          lap: this.laps + 1,
+          pitStops: this.pitStops
+        });
+      }
+    }
+  }
+  
+  /**
+   * Add a time penalty to the current lap and the race
+   * @param {number} seconds - Penalty in seconds
+   */
+  addPenalty(seconds) {
+    if (!this.isRaceStarted || this.isRaceFinished) return;
+    
+    this.penaltyTime += seconds;
+    this.raceTime += seconds;
+    this.currentLapTime += seconds;
+  }
+  
+  /**
+   * Get the last checkpoint the vehicle passed
+   * @returns {Object|null} Checkpoint, or null before the first one
+   */
+  getLastCheckpoint() {
+    if (this.checkpoints.length === 0 || (this.laps === 0 && this.currentCheckpoint === 0)) {
+      return null;
+    }
+    
+    const index = (this.currentCheckpoint - 1 + this.checkpoints.length) % this.checkpoints.length;
+    return this.checkpoints[index];
   }
   
   /**
@@ -274,6 +462,33 @@ class CheckpointSystem {
     }
   }
   
+  /**
+   * Take on the race state of a checkpoint system running elsewhere, e.g. in
+   * the physics worker, so the markers and lap times here stay in step with it
+   * @param {Object} raceState - Race state (see getRaceState)
+   */
+  applyRaceState(raceState) {
+    // Mark the checkpoints passed since the last update
+    if (raceState.currentCheckpoint !== this.currentCheckpoint) {
+      const passed = this.checkpointObjects[this.currentCheckpoint];
+      const next = this.checkpointObjects[raceState.currentCheckpoint];
+      if (passed) passed.material.color.set(0x00ff00); // Green for passed checkpoint
+      if (next) next.material.color.set(0xff8800); // Orange for next checkpoint
+    }
+    
+    this.currentCheckpoint = raceState.currentCheckpoint;
+    this.laps = raceState.currentLap - 1;
+    this.lapTimes = raceState.lapTimes;
+    this.currentLapTime = raceState.currentLapTime;
+    this.bestLapTime = raceState.bestLapTime;
+    this.raceTime = raceState.raceTime;
+    this.penaltyTime = raceState.penaltyTime;
+    this.isRaceStarted = raceState.isRaceStarted;
+    this.isRaceFinished = raceState.isRaceFinished;
+    this.pitStops = raceState.pitStops;
+    this.pitStopTimer = raceState.pitStopProgress * this.pitStopTime;
+  }
+  
   /**
    * Get current race state
    * @returns {Object} Race state object
@@ -288,8 +503,11 @@ class CheckpointSystem {
       bestLapTime: this.bestLapTime,
       lapTimes: this.lapTimes,
       raceTime: this.raceTime,
+      penaltyTime: this.penaltyTime,
       isRaceStarted: this.isRaceStarted,
-      isRaceFinished: this.isRaceFinished
+      isRaceFinished: this.isRaceFinished,
+      pitStops: this.pitStops,
+      pitStopProgress: this.pitStopTimer / this.pitStopTime
     };
   }
 }
@@ -0,0 +1,149 @@
+import * as THREE from 'three';
+
+/**
+ * NitroPickups class - Manages nitro canisters placed along the track
+ * Driving through a canister tops up the nitro tank; it reappears after a while
+ */
+class NitroPickups {
+  constructor() {
+    this.pickups = [];
+    this.pickupObjects = [];
+    this.amount = 0.35; // Fraction of the tank each pickup refills
+    this.radius = 4; // meters
+    this.respawnTime = 10; // seconds
+    this.onCollected = null;
+  }
+  
+  /**
+   * Initialize the pickups
+   * @param {Array<THREE.Vector3>} positions - Pickup positions
+   * @param {Object} options - Configuration options (amount, radius, respawnTime, onCollected)
+   */
+  init(positions, options = {}) {
+    this.amount = options.amount ?? this.amount;
+    this.radius = options.radius ?? this.radius;
+    this.respawnTime = options.respawnTime ?? this.respawnTime;
+    this.onCollected = options.onCollected;
+    
+    this.pickups = (positions || []).map((position, index) => ({
+      position: position.clone(),
+      index,
+      respawnTimer: 0 // seconds until the pickup is available again
+    }));
+    
+    // Create pickup visualizations
+    this.createPickupVisualizations();
+  }
+  
+  /**
+   * Make every pickup available again
+   */
+  reset() {
+    this.pickups.forEach(pickup => {
+      pickup.respawnTimer = 0;
+    });
+    
+    this.pickupObjects.forEach(obj => {
+      obj.visible = true;
+    });
+  }
+  
+  /**
+   * Create visual representations of the pickups
+   */
+  createPickupVisualizations() {
+    // Clear existing pickup objects
+    this.pickupObjects.forEach(obj => {
+      if (obj.parent) {
+        obj.parent.remove(obj);
+      }
+    });
+    this.pickupObjects = [];
+    
+    const geometry = new THREE.OctahedronGeometry(1);
+    const material = new THREE.MeshStandardMaterial({
+      color: 0x00ccff,
+      emissive: 0x0066ff,
+      emissiveIntensity: 0.8,
+      transparent: true,
+      opacity: 0.85
+    });
+    
+    this.pickups.forEach(pickup => {
+      const pickupObject = new THREE.Mesh(geometry, material);
+      pickupObject.position.copy(pickup.position);
+      pickupObject.position.y += 1.5; // Float above the track
+      
+      this.pickupObjects.push(pickupObject);
+    });
+  }
+  
+  /**
+   * Add pickup objects to the scene
+   * @param {THREE.Scene} scene - Three.js scene
+   */
+  addToScene(scene) {
+    this.pickupObjects.forEach(obj => {
+      scene.add(obj);
+    });
+  }
+  
+  /**
+   * Update the pickups
+   * @param {number} deltaTime - Time since last update in seconds
+   * @param {THREE.Vector3} vehiclePosition - Current vehicle position
+   * @returns {number} Fraction of the tank collected this update
+   */
+  update(deltaTime, vehiclePosition) {
+    let collected = 0;
+    
+    this.pickups.forEach((pickup, i) => {
+      const pickupObject = this.pickupObjects[i];
+      
+      // Count down to respawn
+      if (pickup.respawnTimer > 0) {
+        pickup.respawnTimer = Math.max(0, pickup.respawnTimer - deltaTime);
+        pickupObject.visible = pickup.respawnTimer === 0;
+        return;
+      }
+      
+      pickupObject.rotation.y += deltaTime * 2;
+      
+      // Ignore height so pickups can be collected over crests
+      const dx = vehiclePosition.x - pickup.position.x;
+      const dz = vehiclePosition.z - pickup.position.z;
+      if (dx * dx + dz * dz < this.radius * this.radius) {
+        pickup.respawnTimer = this.respawnTime;
+        pickupObject.visible = false;
+        collected += this.amount;
+        
+        // Call pickup collected callback
+        if (this.onCollected) {
+          this.onCollected({ index: pickup.index, amount: this.amount });
+        }
+      }
+    });
+    
+    return collected;
+  }
+  
+  /**
+   * Show the pickups as another copy of them has them, like the one in the
+   * physics worker, instead of collecting them here
+   * @param {Array<number>} respawnTimers - Seconds until each pickup is available again
+   * @param {number} deltaTime - Time since last update in seconds
+   */
+  applyRespawnTimers(respawnTimers, deltaTime) {
+    this.pickups.forEach((pickup, i) => {
+      const pickupObject = this.pickupObjects[i];
+      
+      pickup.respawnTimer = respawnTimers[i] || 0;
+      pickupObject.visible = pickup.respawnTimer === 0;
+      if (pickupObject.visible) {
+        pickupObject.rotation.y += deltaTime * 2;
+      }
+    });
+  }
+}
+
+export default NitroPickups;
@@ -14,6 +14,10 @@ class TrackBuilder {
     this.checkpoints = [];
     this.startPosition = new THREE.Vector3(0, 0, 0);
     this.startRotation = 0;
+    this.layout = null; // Predefined layout built (see buildLayout), if any
+    this.groundSurface = 'grass'; // Surface off the track (see config/surfaces)
+    this.pitBox = null;
+    this.centerline = null; // Sampled centerline for respawning, built on first use
   }
   
   /**
@@ -38,6 +42,7 @@ class TrackBuilder {
     
     // Add segment to the list
     this.segments.push(segment);
+    this.centerline = null;
     
     // Add segment's 3D object to the group
     this.group.add(segment.getObject3D());
@@ -100,6 +105,8 @@ class TrackBuilder {
     // Create checkpoint object
     const checkpoint = {
       position: checkpointPosition,
+      rotation: Math.atan2(exit.x - entry.x, exit.z - entry.z), // Heading across the line
+      width: segment.options.width,
       index: this.checkpoints.length,
       segmentIndex: segmentIndex
     };
@@ -131,6 +138,8 @@ class TrackBuilder {
     // Create start/finish line object
     const startFinishLine = {
       position: linePosition,
+      rotation: Math.atan2(exit.x - entry.x, exit.z - entry.z),
+      width: segment.options.width,
       isStartFinish: true
     };
     
@@ -146,6 +155,8 @@ class TrackBuilder {
    * @returns {TrackBuilder} This builder for chaining
    */
   buildLayout(layout = 'oval') {
+    this.layout = layout;
+    
     switch (layout) {
       case 'oval':
         return this.buildOvalTrack();
@@ -292,6 +303,8 @@ class TrackBuilder {
     this.segments = [];
     this.colliders = [];
     this.checkpoints = [];
+    this.pitBox = null;
+    this.centerline = null;
     
     return this;
   }
@@ -320,6 +333,175 @@ class TrackBuilder {
     return this.checkpoints;
   }
   
+  /**
+   * Get points along the centerline of the whole track
+   * @param {number} spacing - Approximate distance between points in meters
+   * @returns {Array<THREE.Vector3>} Centerline points in driving order
+   */
+  getCenterline(spacing = 5) {
+    const points = [];
+    
+    this.segments.forEach(segment => {
+      const length = segment.getEntryPoint().distanceTo(segment.getExitPoint());
+      const count = Math.max(1, Math.ceil(length / spacing));
+      
+      // Each segment starts where the previous one ended, so skip its exit point
+      for (let i = 0; i < count; i++) {
+        points.push(segment.getPointAt(i / count));
+      }
+    });
+    
+    // Close off tracks that don't loop back to the start
+    const lastSegment = this.segments[this.segments.length - 1];
+    if (lastSegment && lastSegment.getExitPoint().distanceTo(points[0]) > spacing) {
+      points.push(lastSegment.getExitPoint());
+    }
+    
+    return points;
+  }
+  
+  /**
+   * Get positions for speed boost pickups, one midway along each straight
+   * @returns {Array<THREE.Vector3>} Pickup positions
+   */
+  getBoostPositions() {
+    return this.segments
+      .filter(segment => segment instanceof StraightSegment)
+      .map(segment => segment.getPointAt(0.5));
+  }
+  
+  /**
+   * Set the road surface of every segment
+   * @param {string} surface - Surface ID (see config/surfaces)
+   * @param {Object} sections - Surface IDs by segment index, for segments laid with something else
+   * @returns {TrackBuilder} This builder for chaining
+   */
+  setTrackSurface(surface, sections = {}) {
+    this.segments.forEach((segment, index) => {
+      segment.options.surface = sections[index] || surface;
+    });
+    return this;
+  }
+  
+  /**
+   * Set the surface of the ground around the track
+   * @param {string} surface - Surface ID (see config/surfaces)
+   * @returns {TrackBuilder} This builder for chaining
+   */
+  setGroundSurface(surface) {
+    this.groundSurface = surface;
+    return this;
+  }
+  
+  /**
+   * Get the ground under a position, on the track or off it
+   * @param {number} x - World X position
+   * @param {number} z - World Z position
+   * @returns {Object} { height, surface }
+   */
+  getSurfaceAt(x, z) {
+    for (const segment of this.segments) {
+      const ground = segment.getSurfaceAt(x, z);
+      if (ground) return ground;
+    }
+    
+    return { height: 0, surface: this.groundSurface };
+  }
+  
+  /**
+   * Add a pit box beside the track, through a gap in the right barrier of a
+   * straight segment
+   * @param {number} segmentIndex - Index of the segment to pit from
+   * @param {number} t - Position of the pit box along the segment (0-1)
+   * @param {number} radius - Pit box radius in meters
+   * @returns {Object|null} { position, radius }, or null without a straight segment there
+   */
+  addPitBox(segmentIndex = 0, t = 0.25, radius = 4) {
+    const segment = this.segments[segmentIndex];
+    if (!segment || !segment.rightBarrier) return null;
+    
+    // Leave room to pull in and out across the width of the box
+    const { length, width, barrierWidth } = segment.options;
+    const gap = (radius * 2 + 4) / length;
+    segment.openRightBarrier(Math.max(0, t - gap / 2), Math.min(1, t + gap / 2));
+    this.colliders = this.segments.flatMap(s => s.getColliders());
+    
+    // Clear of the track, just past the barrier
+    const position = segment.getPointAt(t);
+    const right = new THREE.Vector3(0, 1, 0).cross(segment.getEntryDirection()).normalize();
+    position.add(right.multiplyScalar(width / 2 + barrierWidth + radius + 1));
+    
+    this.pitBox = { position, radius };
+    return this.pitBox;
+  }
+  
+  /**
+   * Get the pit box
+   * @returns {Object|null} { position, radius }, or null if the track has none
+   */
+  getPitBox() {
+    return this.pitBox;
+  }
+  
+  /**
+   * Find the closest point on the centerline to a position
+   * @param {THREE.Vector3} position - World position
+   * @returns {Object|null} { index, distance } into the sampled centerline, or null without a track
+   */
+  getClosestCenterlinePoint(position) {
+    if (this.segments.length === 0) return null;
+    
+    if (!this.centerline) {
+      this.centerline = this.getCenterline(2);
+    }
+    
+    let index = 0;
+    let closestDistanceSq = Infinity;
+    this.centerline.forEach((point, i) => {
+      const dx = position.x - point.x;
+      const dz = position.z - point.z;
+      const distanceSq = dx * dx + dz * dz;
+      if (distanceSq < closestDistanceSq) {
+        closestDistanceSq = distanceSq;
+        index = i;
+      }
+    });
+    
+    return { index, distance: Math.sqrt(closestDistanceSq) };
+  }
+  
+  /**
+   * Get the horizontal distance from a position to the track's centerline
+   * @param {THREE.Vector3} position - World position
+   * @returns {number} Distance in meters (Infinity without a track)
+   */
+  getDistanceToTrack(position) {
+    const closest = this.getClosestCenterlinePoint(position);
+    return closest ? closest.distance : Infinity;
+  }
+  
+  /**
+   * Get a place to put a car back on the track, on the centerline nearest
+   * to a position and facing the race direction
+   * @param {THREE.Vector3} position - World position, e.g. of the last checkpoint passed
+   * @returns {Object|null} { position, rotation }, or null without a track
+   */
+  getRespawnPoint(position) {
+    const closest = this.getClosestCenterlinePoint(position);
+    if (!closest) return null;
+    
+    // Face along the centerline, looking back from the last point
+    const point = this.centerline[closest.index];
+    const isLast = closest.index === this.centerline.length - 1;
+    const from = this.centerline[isLast ? Math.max(0, closest.index - 1) : closest.index];
+    const to = this.centerline[isLast ? closest.index : closest.index + 1];
+    
+    return {
+      position: point.clone(),
+      rotation: from === to ? this.startRotation : Math.atan2(to.x - from.x, to.z - from.z)
+    };
+  }
+  
   /**
    * Get the track's start position
    * @returns {THREE.Vector3} Start position
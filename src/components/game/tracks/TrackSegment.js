@@ -13,6 +13,7 @@ class TrackSegment {
       trackColor: 0x333333,
       barrierColor: 0xcc0000,
       textureRepeat: 2,
+      surface: 'asphalt', // Surface material (see config/surfaces)
       ...options
     };
     
@@ -22,6 +23,7 @@ class TrackSegment {
     this.exit = new THREE.Vector3(0, 0, 0);
     this.entryDirection = new THREE.Vector3(0, 0, 1);
     this.exitDirection = new THREE.Vector3(0, 0, 1);
+    this.centerline = null; // Cached centerline samples for surface queries
     
     // Load textures
     this.loadTextures();
@@ -34,6 +36,13 @@ class TrackSegment {
    * Load textures for the track segment
    */
   loadTextures() {
+    // Running headless (e.g. in Node) there's nothing to load images with
+    if (typeof document === 'undefined') {
+      this.trackTextures = { diffuse: null, normal: null, roughness: null };
+      this.barrierTextures = { diffuse: null, normal: null, roughness: null };
+      return;
+    }
+    
     const textureLoader = new THREE.TextureLoader();
     
     // Track textures
@@ -125,6 +134,7 @@ class TrackSegment {
     rightBarrier.castShadow = true;
     rightBarrier.receiveShadow = true;
     this.group.add(rightBarrier);
+    this.rightBarrier = rightBarrier;
     
     // Add right barrier collider
     this.colliders.push({
@@ -140,6 +150,44 @@ class TrackSegment {
     this.exitDirection = new THREE.Vector3(0, 0, 1);
   }
   
+  /**
+   * Open a gap in a straight segment's right barrier (e.g. a pit lane entrance),
+   * leaving a shorter barrier on either side of it
+   * @param {number} start - Where the gap starts along the segment (0-1)
+   * @param {number} end - Where the gap ends along the segment (0-1)
+   */
+  openRightBarrier(start, end) {
+    const barrier = this.rightBarrier;
+    if (!barrier) return;
+    
+    const { length, barrierHeight, barrierWidth } = this.options;
+    
+    this.group.remove(barrier);
+    this.colliders = this.colliders.filter(collider => collider.mesh !== barrier);
+    this.rightBarrier = null;
+    
+    // Rebuild the barrier either side of the gap
+    [[0, start], [end, 1]].forEach(([from, to]) => {
+      const pieceLength = (to - from) * length;
+      if (pieceLength <= 0) return;
+      
+      const piece = new THREE.Mesh(
+        new THREE.BoxGeometry(barrierWidth, barrierHeight, pieceLength),
+        barrier.material
+      );
+      piece.position.set(barrier.position.x, barrier.position.y, (from + to - 1) / 2 * length);
+      piece.castShadow = true;
+      piece.receiveShadow = true;
+      this.group.add(piece);
+      
+      this.colliders.push({
+        type: 'box',
+        mesh: piece,
+        size: new THREE.Vector3(barrierWidth, barrierHeight, pieceLength)
+      });
+    });
+  }
+  
   /**
    * Get the segment's 3D group
    * @returns {THREE.Group} The segment's group
@@ -188,6 +236,87 @@ class TrackSegment {
     return this.exitDirection.clone();
   }
   
+  /**
+   * Get a point on the segment's centerline
+   * @param {number} t - Position along the segment (0-1)
+   * @returns {THREE.Vector3} Point on the centerline
+   */
+  getPointAt(t) {
+    const chord = this.exit.clone().sub(this.entry);
+    const direction = this.entryDirection;
+    
+    // Signed angle (about the Y axis) between the entry direction and the chord
+    const chordAngle = Math.atan2(
+      direction.z * chord.x - direction.x * chord.z,
+      direction.x * chord.x + direction.z * chord.z
+    );
+    
+    if (Math.abs(chordAngle) < 0.001) {
+      return new THREE.Vector3().lerpVectors(this.entry, this.exit, t);
+    }
+    
+    // Circular arc leaving the entry point along the entry direction and ending at the exit
+    const up = new THREE.Vector3(0, 1, 0);
+    const horizontalChord = Math.sqrt(chord.x * chord.x + chord.z * chord.z);
+    const radius = horizontalChord / (2 * Math.sin(Math.abs(chordAngle)));
+    const center = direction.clone()
+      .setY(0)
+      .normalize()
+      .applyAxisAngle(up, Math.sign(chordAngle) * Math.PI / 2)
+      .multiplyScalar(radius)
+      .add(this.entry);
+    
+    const point = this.entry.clone().sub(center)
+      .applyAxisAngle(up, 2 * chordAngle * t)
+      .add(center);
+    point.y = this.entry.y + chord.y * t;
+    
+    return point;
+  }
+  
+  /**
+   * Get the ground under a position, if it's on this segment
+   * @param {number} x - World X position
+   * @param {number} z - World Z position
+   * @returns {Object|null} { height, surface }, or null if the position is off the segment
+   */
+  getSurfaceAt(x, z) {
+    if (!this.centerline) {
+      const length = this.entry.distanceTo(this.exit);
+      const count = Math.max(2, Math.ceil(length / 2));
+      this.centerline = [];
+      for (let i = 0; i <= count; i++) {
+        this.centerline.push(this.getPointAt(i / count));
+      }
+    }
+    
+    // Find the closest point on the sampled centerline
+    let closestDistanceSq = Infinity;
+    let closestHeight = 0;
+    for (let i = 0; i < this.centerline.length - 1; i++) {
+      const a = this.centerline[i];
+      const b = this.centerline[i + 1];
+      const abX = b.x - a.x;
+      const abZ = b.z - a.z;
+      const lengthSq = abX * abX + abZ * abZ;
+      const t = lengthSq > 0 ?
+        Math.max(0, Math.min(1, ((x - a.x) * abX + (z - a.z) * abZ) / lengthSq)) : 0;
+      const dx = x - (a.x + abX * t);
+      const dz = z - (a.z + abZ * t);
+      const distanceSq = dx * dx + dz * dz;
+      
+      if (distanceSq < closestDistanceSq) {
+        closestDistanceSq = distanceSq;
+        closestHeight = a.y + (b.y - a.y) * t;
+      }
+    }
+    
+    const halfWidth = this.options.width / 2;
+    if (closestDistanceSq > halfWidth * halfWidth) return null;
+    
+    return { height: closestHeight, surface: this.options.surface };
+  }
+  
   /**
    * Position the segment to connect with another segment
    * @param {THREE.Vector3} position - Position to place the segment
@@ -214,6 +343,7 @@ class TrackSegment {
     this.exit = worldExit;
     this.entryDirection = worldEntryDir;
     this.exitDirection = worldExitDir;
+    this.centerline = null;
   }
 }
 
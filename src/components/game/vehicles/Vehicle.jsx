@@ -3,6 +3,7 @@ import { useFrame } from '@react-three/fiber';
 import { useGLTF } from '@react-three/drei';
 import PropTypes from 'prop-types';
 import * as THREE from 'three';
+import VehicleDamage from './VehicleDamage';
 
 /**
  * Vehicle component for rendering and animating a vehicle in the scene
@@ -14,11 +15,16 @@ const Vehicle = ({
   scale = 1,
   color = '#ff3300',
   physics,
+  damage,
+  gameLoop,
   onLoad
 }) => {
   const group = useRef();
   const wheels = useRef([]);
   const bodyMaterial = useRef();
+  const nitroFlame = useRef();
+  const nitroFlameMesh = useRef();
+  const damageVisuals = useRef(null);
   
   // Load vehicle model
   const { scene, nodes, materials } = useGLTF(modelPath);
@@ -84,6 +90,9 @@ const Vehicle = ({
       group.current.position.set(position[0], position[1], position[2]);
       group.current.rotation.set(rotation[0], rotation[1], rotation[2]);
       group.current.scale.set(scale, scale, scale);
+      
+      // Sort the body into damage zones once it's in place
+      damageVisuals.current = new VehicleDamage(vehicleScene);
     }
     
     // Call onLoad callback if provided
@@ -114,8 +123,8 @@ const Vehicle = ({
   useFrame(() => {
     if (!group.current || !physics) return;
     
-    // Get transform data from physics
-    const transform = physics.getTransform();
+    // Get transform data from physics, blended between the last two steps
+    const transform = physics.getTransform(gameLoop ? gameLoop.getInterpolationAlpha() : 1);
     
     // Update vehicle position and rotation
     group.current.position.copy(transform.position);
@@ -137,10 +146,33 @@ const Vehicle = ({
         }
       }
     }
+    
+    // Show the nitro flame while boosting, flickering its length
+    if (nitroFlame.current) {
+      nitroFlame.current.visible = physics.state.boostForce > 0;
+      nitroFlame.current.position.copy(transform.position);
+      nitroFlame.current.quaternion.copy(transform.rotation);
+      nitroFlameMesh.current.scale.y = 0.8 + Math.random() * 0.4;
+    }
+    
+    // Dent and strip the body where it's been hit
+    if (damage && damageVisuals.current) {
+      damageVisuals.current.update(damage.getDamageState());
+    }
   });
   
   return (
-    <group ref={group} />
+    <>
+      <group ref={group} />
+      
+      {/* Nitro exhaust flame */}
+      <group ref={nitroFlame} visible={false}>
+        <mesh ref={nitroFlameMesh} position={[0, 0.4, -2.4]} rotation={[-Math.PI / 2, 0, 0]}>
+          <coneGeometry args={[0.25, 1.2, 12]} />
+          <meshBasicMaterial color="#33ccff" transparent opacity={0.8} />
+        </mesh>
+      </group>
+    </>
   );
 };
 
@@ -151,6 +183,8 @@ Vehicle.propTypes = {
   scale: PropTypes.number,
   color: PropTypes.string,
   physics: PropTypes.object,
+  damage: PropTypes.object,
+  gameLoop: PropTypes.object,
   onLoad: PropTypes.func
 };
 
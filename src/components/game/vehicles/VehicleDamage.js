@@ -0,0 +1,102 @@
+import * as THREE from 'three';
+
+// Body parts that come off a wrecked zone
+const LOOSE_PARTS = ['bumper', 'spoiler', 'wing', 'mirror', 'hood', 'bonnet', 'trunk', 'door'];
+
+// Direction each zone's panels are pushed in by an impact, in the model's frame
+const INWARD = {
+  front: new THREE.Vector3(0, 0, -1),
+  rear: new THREE.Vector3(0, 0, 1),
+  left: new THREE.Vector3(1, 0, 0),
+  right: new THREE.Vector3(-1, 0, 0)
+};
+
+/**
+ * VehicleDamage class - Shows damage on a vehicle model
+ * Crumples the body panels of damaged zones and drops loose parts off wrecked ones
+ */
+class VehicleDamage {
+  /**
+   * @param {THREE.Object3D} model - Vehicle model, facing +Z
+   */
+  constructor(model) {
+    this.parts = [];
+    this.crumple = 0.15; // meters a wrecked zone's panels are pushed in
+    
+    this.init(model);
+  }
+  
+  /**
+   * Sort the model's body parts into zones by where they sit on the car
+   * @param {THREE.Object3D} model - Vehicle model
+   */
+  init(model) {
+    model.updateMatrixWorld(true);
+    
+    const bodyParts = [];
+    model.traverse((child) => {
+      if (!child.isMesh) return;
+      
+      // Wheels keep spinning whatever happens to the body
+      const name = child.name.toLowerCase();
+      if (name.includes('wheel') || name.includes('tire')) return;
+      
+      const center = new THREE.Box3().setFromObject(child).getCenter(new THREE.Vector3());
+      bodyParts.push({ mesh: child, center: model.worldToLocal(center) });
+    });
+    
+    // Measure each part's position against the extent of the body
+    const halfLength = Math.max(0.01, ...bodyParts.map(part => Math.abs(part.center.z)));
+    const halfWidth = Math.max(0.01, ...bodyParts.map(part => Math.abs(part.center.x)));
+    const modelToWorld = new THREE.Matrix4().extractRotation(model.matrixWorld);
+    
+    this.parts = bodyParts.map(({ mesh, center }) => {
+      const alongLength = center.z / halfLength;
+      const alongWidth = center.x / halfWidth;
+      let zone;
+      if (Math.abs(alongLength) >= Math.abs(alongWidth)) {
+        zone = alongLength > 0 ? 'front' : 'rear';
+      } else {
+        zone = alongWidth > 0 ? 'right' : 'left';
+      }
+      
+      // Push direction in the space the part is positioned in
+      const worldToParent = new THREE.Matrix4().extractRotation(mesh.parent.matrixWorld).invert();
+      const inward = INWARD[zone].clone().applyMatrix4(modelToWorld).applyMatrix4(worldToParent);
+      
+      return {
+        mesh,
+        zone,
+        inward,
+        originalPosition: mesh.position.clone(),
+        isLoose: LOOSE_PARTS.some(part => mesh.name.toLowerCase().includes(part))
+      };
+    });
+  }
+  
+  /**
+   * Show the current damage
+   * @param {Object} damageState - Damage state (see DamageModel.getDamageState)
+   */
+  update(damageState) {
+    this.parts.forEach(part => {
+      const damage = damageState.zones[part.zone] || 0;
+      
+      part.mesh.position.copy(part.originalPosition)
+        .add(part.inward.clone().multiplyScalar(damage * this.crumple));
+      part.mesh.visible = !(part.isLoose && damageState.detached.includes(part.zone));
+    });
+  }
+  
+  /**
+   * Restore the undamaged model
+   */
+  reset() {
+    this.parts.forEach(part => {
+      part.mesh.position.copy(part.originalPosition);
+      part.mesh.visible = true;
+    });
+  }
+}
+
+export default VehicleDamage;
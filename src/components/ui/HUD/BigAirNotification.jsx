@@ -0,0 +1,60 @@
+import React, { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+
+/**
+ * BigAirNotification component - Celebrates a big jump with its air time and distance
+ */
+const BigAirNotification = ({ 
+  airTime, 
+  distance, 
+  height = 0, 
+  isVisible = false,
+  onDismiss = null
+}) => {
+  const [visible, setVisible] = useState(isVisible);
+  
+  useEffect(() => {
+    setVisible(isVisible);
+    
+    if (isVisible) {
+      const timer = setTimeout(() => {
+        setVisible(false);
+        if (onDismiss) onDismiss();
+      }, 2000);
+      
+      return () => clearTimeout(timer);
+    }
+  }, [isVisible, onDismiss]);
+  
+  if (!visible) return null;
+  
+  return (
+    <div className={`fixed top-1/3 left-1/2 transform -translate-x-1/2 -translate-y-1/2 
+                    transition-opacity duration-300 ${visible ? 'opacity-100' : 'opacity-0'}`}>
+      <div className="card bg-secondary text-secondary-content shadow-xl">
+        <div className="card-body p-4 text-center">
+          <h2 className="card-title justify-center text-2xl italic">BIG AIR!</h2>
+          <div className="text-3xl font-mono font-bold">
+            {airTime.toFixed(2)}s
+          </div>
+          <div className="flex justify-center gap-2 mt-2">
+            <div className="badge badge-outline">{Math.round(distance)}m</div>
+            {height > 0.5 && (
+              <div className="badge badge-outline">{height.toFixed(1)}m high</div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+BigAirNotification.propTypes = {
+  airTime: PropTypes.number.isRequired,
+  distance: PropTypes.number.isRequired,
+  height: PropTypes.number,
+  isVisible: PropTypes.bool,
+  onDismiss: PropTypes.func
+};
+
+export default BigAirNotification;
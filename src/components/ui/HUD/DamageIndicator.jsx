@@ -0,0 +1,55 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+
+// Color a zone by how badly it's damaged
+const getZoneColor = (damage) => {
+  if (damage >= 0.7) return 'bg-error';
+  if (damage >= 0.3) return 'bg-warning';
+  if (damage > 0) return 'bg-success opacity-60';
+  return 'bg-base-100 bg-opacity-50';
+};
+
+/**
+ * DamageIndicator component - Displays the damage to each zone of the car on a top-down outline
+ */
+const DamageIndicator = ({ zones = {}, total = 0, enginePower = 1, compact = false }) => {
+  const { front = 0, rear = 0, left = 0, right = 0 } = zones;
+  
+  return (
+    <div className={`damage-indicator bg-base-300 bg-opacity-70 rounded-lg text-base-content shadow-lg flex flex-col items-center ${compact ? 'p-1 gap-1' : 'p-2 gap-2'}`}>
+      {/* Top-down car outline, front at the top */}
+      <div className={`grid grid-cols-[6px_1fr_6px] grid-rows-[6px_1fr_6px] gap-0.5 ${compact ? 'w-8 h-14' : 'w-12 h-20'}`}>
+        <div />
+        <div className={`rounded-t-md ${getZoneColor(front)}`} />
+        <div />
+        <div className={`rounded-l-sm ${getZoneColor(left)}`} />
+        <div className="bg-base-100 bg-opacity-20 rounded-sm" />
+        <div className={`rounded-r-sm ${getZoneColor(right)}`} />
+        <div />
+        <div className={`rounded-b-md ${getZoneColor(rear)}`} />
+        <div />
+      </div>
+      
+      {!compact && (
+        <div className="text-xs font-mono text-center">
+          <div>{Math.round(total * 100)}%</div>
+          {enginePower < 1 && <div className="text-warning">ENG {Math.round(enginePower * 100)}%</div>}
+        </div>
+      )}
+    </div>
+  );
+};
+
+DamageIndicator.propTypes = {
+  zones: PropTypes.shape({
+    front: PropTypes.number,
+    rear: PropTypes.number,
+    left: PropTypes.number,
+    right: PropTypes.number
+  }),
+  total: PropTypes.number,
+  enginePower: PropTypes.number,
+  compact: PropTypes.bool
+};
+
+export default DamageIndicator;
@@ -0,0 +1,66 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+
+/**
+ * DriftScore component - Displays the drift mode score, the current drift and its combo multiplier
+ */
+const DriftScore = ({
+  totalScore = 0,
+  currentPoints = 0,
+  lastDriftScore = 0,
+  multiplier = 1,
+  isDrifting = false,
+  driftAngle = 0,
+  compact = false
+}) => {
+  // Compact mobile view
+  if (compact) {
+    return (
+      <div className="drift-score bg-base-300 bg-opacity-70 p-2 rounded-lg text-base-content shadow-lg text-center">
+        <div className="text-lg font-bold font-mono">{totalScore.toLocaleString()}</div>
+        {isDrifting && (
+          <div className="text-sm font-mono text-accent">
+            +{currentPoints.toLocaleString()} x{multiplier.toFixed(1)}
+          </div>
+        )}
+      </div>
+    );
+  }
+  
+  // Full desktop view
+  return (
+    <div className="drift-score bg-base-300 bg-opacity-70 p-4 rounded-lg text-base-content shadow-lg text-center min-w-48">
+      <div className="text-sm uppercase opacity-70">Drift Score</div>
+      <div className="text-3xl font-bold font-mono">{totalScore.toLocaleString()}</div>
+      
+      {isDrifting ? (
+        <div className="mt-2">
+          <div className="text-2xl font-bold font-mono text-accent">+{currentPoints.toLocaleString()}</div>
+          <div className="flex justify-center gap-2 mt-1">
+            <div className="badge badge-primary">x{multiplier.toFixed(1)}</div>
+            <div className="badge badge-ghost font-mono">{Math.round(driftAngle)}°</div>
+          </div>
+        </div>
+      ) : (
+        lastDriftScore > 0 && (
+          <div className="mt-2 text-sm">
+            Last drift: <span className="font-mono font-bold">{lastDriftScore.toLocaleString()}</span>
+            {multiplier > 1 && <span className="badge badge-primary badge-sm ml-2">x{multiplier.toFixed(1)}</span>}
+          </div>
+        )
+      )}
+    </div>
+  );
+};
+
+DriftScore.propTypes = {
+  totalScore: PropTypes.number,
+  currentPoints: PropTypes.number,
+  lastDriftScore: PropTypes.number,
+  multiplier: PropTypes.number,
+  isDrifting: PropTypes.bool,
+  driftAngle: PropTypes.number,
+  compact: PropTypes.bool
+};
+
+export default DriftScore;
@@ -0,0 +1,69 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+
+// Color a tire by how worn it is
+const getWearColor = (wear) => {
+  if (wear >= 0.7) return 'bg-error';
+  if (wear >= 0.4) return 'bg-warning';
+  return 'bg-success';
+};
+
+/**
+ * FuelAndTires component - Displays the fuel level, the wear of each tire and pit stop progress
+ */
+const FuelAndTires = ({ fuel = null, tireWear = null, pitStopProgress = 0, compact = false }) => {
+  const fuelPercent = fuel !== null ? Math.round(Math.max(0, Math.min(1, fuel)) * 100) : null;
+  
+  return (
+    <div className={`fuel-and-tires bg-base-300 bg-opacity-70 rounded-lg text-base-content shadow-lg flex flex-col ${compact ? 'p-1 gap-1 w-24' : 'p-2 gap-2 w-36'}`}>
+      {/* Fuel gauge */}
+      {fuelPercent !== null && (
+        <div>
+          <div className="flex justify-between text-xs font-mono">
+            <span>FUEL</span>
+            <span className={fuelPercent < 15 ? 'text-error' : ''}>{fuelPercent}%</span>
+          </div>
+          <progress
+            className={`progress w-full ${fuelPercent < 15 ? 'progress-error' : 'progress-accent'}`}
+            value={fuelPercent}
+            max="100"
+          />
+        </div>
+      )}
+      
+      {/* Tire wear, laid out like the wheels (FL, FR, RL, RR) */}
+      {tireWear && (
+        <div className="flex items-center gap-2">
+          {!compact && <span className="text-xs font-mono">TIRES</span>}
+          <div className="grid grid-cols-2 gap-1">
+            {tireWear.map((wear, index) => (
+              <div
+                key={`tire-${index}`}
+                className={`w-3 h-4 rounded-sm ${getWearColor(wear)}`}
+                style={{ opacity: 1 - wear * 0.5 }}
+                title={`${Math.round((1 - wear) * 100)}%`}
+              />
+            ))}
+          </div>
+        </div>
+      )}
+      
+      {/* Pit stop progress */}
+      {pitStopProgress > 0 && (
+        <div>
+          <div className="text-xs font-mono text-warning">PIT STOP</div>
+          <progress className="progress progress-warning w-full" value={pitStopProgress * 100} max="100" />
+        </div>
+      )}
+    </div>
+  );
+};
+
+FuelAndTires.propTypes = {
+  fuel: PropTypes.number,
+  tireWear: PropTypes.arrayOf(PropTypes.number),
+  pitStopProgress: PropTypes.number,
+  compact: PropTypes.bool
+};
+
+export default FuelAndTires;
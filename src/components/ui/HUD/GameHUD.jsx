@@ -1,11 +1,17 @@
 import React, { useState, useEffect } from 'react';
 import PropTypes from 'prop-types';
 import Speedometer from './Speedometer';
+import NitroMeter from './NitroMeter';
 import RaceInfo from './RaceInfo';
 import Notification from './Notification';
 import CountdownTimer from './CountdownTimer';
 import LapNotification from './LapNotification';
+import BigAirNotification from './BigAirNotification';
 import RaceResults from './RaceResults';
+import DriftScore from './DriftScore';
+import DamageIndicator from './DamageIndicator';
+import FuelAndTires from './FuelAndTires';
+import PerformanceOverlay from './PerformanceOverlay';
 
 /**
  * GameHUD component - Main HUD container that manages all HUD elements
@@ -15,7 +21,9 @@ const GameHUD = ({
   raceState = {},
   onCountdownComplete = null,
   onRestart = null,
-  onExit = null
+  onExit = null,
+  showPerformance = false,
+  onExportPerformance = null
 }) => {
   const [windowSize, setWindowSize] = useState({
     width: window.innerWidth,
@@ -29,6 +37,12 @@ const GameHUD = ({
     lapTime: 0,
     bestLap: false
   });
+  const [bigAirNotification, setBigAirNotification] = useState({
+    isVisible: false,
+    airTime: 0,
+    distance: 0,
+    height: 0
+  });
   
   // Update window size on resize
   useEffect(() => {
@@ -73,6 +87,46 @@ const GameHUD = ({
     }
   }, [raceState.checkpointPassed, raceState.currentCheckpoint, raceState.totalCheckpoints]);
   
+  // Check for pit stop completed
+  useEffect(() => {
+    if (raceState.pitStopCompleted) {
+      // Add notification
+      addNotification('Pit stop complete: refueled and fresh tires', 'success');
+    }
+  }, [raceState.pitStopCompleted]);
+  
+  // Check for big air
+  useEffect(() => {
+    if (raceState.bigAir) {
+      // Show big air notification
+      setBigAirNotification({
+        isVisible: true,
+        airTime: raceState.bigAir.airTime,
+        distance: raceState.bigAir.distance,
+        height: raceState.bigAir.height
+      });
+    }
+  }, [raceState.bigAir]);
+  
+  // Check for respawns
+  useEffect(() => {
+    if (raceState.respawned) {
+      const messages = {
+        flipped: 'Car flipped: back on track',
+        stuck: 'Car stuck: back on track',
+        outOfBounds: 'Out of bounds: back on track',
+        manual: 'Reset to track'
+      };
+      const { reason, penalty } = raceState.respawned;
+      
+      // Add notification
+      addNotification(
+        penalty > 0 ? `${messages[reason]} (+${penalty}s)` : messages[reason],
+        'warning'
+      );
+    }
+  }, [raceState.respawned]);
+  
   // Format time as mm:ss.ms
   const formatTime = (timeInSeconds) => {
     if (timeInSeconds === null) return '--:--.--';
@@ -100,6 +154,11 @@ const GameHUD = ({
     setLapNotification(prev => ({ ...prev, isVisible: false }));
   };
   
+  // Dismiss big air notification
+  const dismissBigAirNotification = () => {
+    setBigAirNotification(prev => ({ ...prev, isVisible: false }));
+  };
+  
   // Determine if we're on mobile
   const isMobile = windowSize.width < 768;
   
@@ -113,12 +172,40 @@ const GameHUD = ({
         />
       )}
       
-      {/* Speedometer */}
-      <div className={`absolute ${isMobile ? 'bottom-4 right-4' : 'bottom-8 right-8'}`}>
+      {/* Slipstream indicator */}
+      {gameState.vehicleState?.draft > 0.2 && (
+        <div className={`absolute ${isMobile ? 'bottom-56 right-4' : 'bottom-64 right-8'}`}>
+          <div className="badge badge-info badge-lg font-bold">SLIPSTREAM</div>
+        </div>
+      )}
+      
+      {/* Respawn countdown for a car in trouble */}
+      {gameState.respawnState?.progress > 0.25 && (
+        <div className="absolute top-1/2 left-1/2 transform -translate-x-1/2 -translate-y-1/2 text-center">
+          <div className="badge badge-warning badge-lg font-bold mb-2">RESETTING TO TRACK</div>
+          <progress
+            className="progress progress-warning w-48 block"
+            value={gameState.respawnState.progress * 100}
+            max="100"
+          />
+          {!isMobile && <div className="text-xs mt-1 text-base-content">Press R to reset now</div>}
+        </div>
+      )}
+      
+      {/* Speedometer and nitro meter */}
+      <div className={`absolute flex items-end gap-2 ${isMobile ? 'bottom-4 right-4' : 'bottom-8 right-8'}`}>
+        {gameState.nitroState && (
+          <NitroMeter 
+            level={gameState.nitroState.level}
+            isBoosting={gameState.nitroState.isBoosting}
+            compact={isMobile}
+          />
+        )}
         <Speedometer 
           speed={gameState.vehicleState?.speedKmh || 0} 
           rpm={gameState.vehicleState?.rpm || 0} 
-          gear={gameState.vehicleState?.gear || 1}
+          gear={gameState.vehicleState?.gear ?? 1}
+          maxRpm={gameState.vehicleState?.maxRpm}
           compact={isMobile}
         />
       </div>
@@ -137,6 +224,52 @@ const GameHUD = ({
         />
       </div>
       
+      {/* Drift score (drift mode only) */}
+      {gameState.driftState && (
+        <div className={`absolute ${isMobile ? 'top-20 right-4' : 'top-8 right-24'}`}>
+          <DriftScore 
+            totalScore={gameState.driftState.totalScore}
+            currentPoints={gameState.driftState.currentPoints}
+            lastDriftScore={gameState.driftState.lastDriftScore}
+            multiplier={gameState.driftState.multiplier}
+            isDrifting={gameState.driftState.isDrifting}
+            driftAngle={gameState.driftState.driftAngle}
+            compact={isMobile}
+          />
+        </div>
+      )}
+      
+      {/* Damage indicator, fuel and tires */}
+      <div className={`absolute flex items-end gap-2 ${isMobile ? 'top-20 left-4' : 'bottom-8 left-8'}`}>
+        {gameState.damageState && gameState.damageState.mode !== 'off' && (
+          <DamageIndicator 
+            zones={gameState.damageState.zones}
+            total={gameState.damageState.total}
+            enginePower={gameState.damageState.enginePower}
+            compact={isMobile}
+          />
+        )}
+        {(gameState.vehicleState?.fuel != null || gameState.vehicleState?.tireWear) && (
+          <FuelAndTires 
+            fuel={gameState.vehicleState.fuel}
+            tireWear={gameState.vehicleState.tireWear}
+            pitStopProgress={gameState.pitStopProgress}
+            compact={isMobile}
+          />
+        )}
+      </div>
+      
+      {/* Frame profiler */}
+      {showPerformance && gameState.performance && (
+        <div className={`absolute ${isMobile ? 'top-36 right-4' : 'top-24 right-4'}`}>
+          <PerformanceOverlay 
+            performance={gameState.performance}
+            onExport={onExportPerformance}
+            compact={isMobile}
+          />
+        </div>
+      )}
+      
       {/* Notifications */}
       <div className={`absolute ${isMobile ? 'top-24 left-4 right-4' : 'top-32 left-1/2 transform -translate-x-1/2'}`}>
         {notifications.map(notification => (
@@ -158,6 +291,15 @@ const GameHUD = ({
         onDismiss={dismissLapNotification}
       />
       
+      {/* Big air notification */}
+      <BigAirNotification 
+        airTime={bigAirNotification.airTime}
+        distance={bigAirNotification.distance}
+        height={bigAirNotification.height}
+        isVisible={bigAirNotification.isVisible}
+        onDismiss={dismissBigAirNotification}
+      />
+      
       {/* Race results */}
       <RaceResults 
         isVisible={raceState.isRaceFinished}
@@ -188,7 +330,9 @@ GameHUD.propTypes = {
   raceState: PropTypes.object,
   onCountdownComplete: PropTypes.func,
   onRestart: PropTypes.func,
-  onExit: PropTypes.func
+  onExit: PropTypes.func,
+  showPerformance: PropTypes.bool,
+  onExportPerformance: PropTypes.func
 };
 
 export default GameHUD;
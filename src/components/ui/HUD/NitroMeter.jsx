@@ -0,0 +1,35 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+
+/**
+ * NitroMeter component - Displays the nitro tank level as a vertical gauge
+ */
+const NitroMeter = ({ level = 0, isBoosting = false, compact = false }) => {
+  const percent = Math.round(Math.max(0, Math.min(1, level)) * 100);
+  
+  // Glow while boosting, dim when there isn't enough to boost
+  const fillColor = isBoosting ? 'bg-info shadow-[0_0_12px_rgba(56,189,248,0.9)]' : 'bg-info';
+  const fillOpacity = percent < 10 ? 'opacity-50' : 'opacity-100';
+  
+  return (
+    <div className={`nitro-meter bg-base-300 bg-opacity-70 rounded-lg text-base-content shadow-lg flex flex-col items-center ${compact ? 'p-1 gap-1' : 'p-2 gap-2'}`}>
+      <div className={`relative w-4 ${compact ? 'h-24' : 'h-36'} bg-base-100 bg-opacity-50 rounded-full overflow-hidden`}>
+        <div
+          className={`absolute bottom-0 left-0 right-0 rounded-full transition-all duration-100 ${fillColor} ${fillOpacity} ${isBoosting ? 'animate-pulse' : ''}`}
+          style={{ height: `${percent}%` }}
+        />
+      </div>
+      <div className={`font-bold font-mono ${compact ? 'text-xs' : 'text-sm'} ${isBoosting ? 'text-info' : ''}`}>
+        N2O
+      </div>
+    </div>
+  );
+};
+
+NitroMeter.propTypes = {
+  level: PropTypes.number,
+  isBoosting: PropTypes.bool,
+  compact: PropTypes.bool
+};
+
+export default NitroMeter;
@@ -0,0 +1,163 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+
+// Frame time budgets drawn across the graph, in ms
+const BUDGETS = [
+  { time: 1000 / 60, label: '60' },
+  { time: 1000 / 30, label: '30' }
+];
+
+// Frame times at the top of the graph, in ms
+const GRAPH_MAX_TIME = 50;
+
+// Color a frame by the budget it fits in
+const getFrameColor = (frameTime) => {
+  if (frameTime > 1000 / 30) return 'text-error';
+  if (frameTime > 1000 / 60 + 1) return 'text-warning';
+  return 'text-success';
+};
+
+// Format large counts, e.g. 1.2k or 3.4M
+const formatCount = (count) => {
+  if (count >= 1000000) return `${(count / 1000000).toFixed(1)}M`;
+  if (count >= 1000) return `${(count / 1000).toFixed(1)}k`;
+  return `${count}`;
+};
+
+/**
+ * PerformanceOverlay component - Displays frame times, per-system CPU time and
+ * renderer statistics from the frame profiler, with a rolling frame time graph
+ */
+const PerformanceOverlay = ({ performance = null, onExport = null, compact = false }) => {
+  if (!performance) return null;
+  
+  const {
+    fps,
+    frameTime,
+    averageFrameTime,
+    worstFrameTime,
+    cpuTime,
+    physicsSteps,
+    systems,
+    render,
+    heapSize,
+    frameTimes,
+    spikeCount,
+    lastSpike
+  } = performance;
+  
+  // Graph dimensions in SVG units; one bar per recorded frame
+  const graphWidth = 240;
+  const graphHeight = 60;
+  const barWidth = frameTimes.length > 0 ? graphWidth / frameTimes.length : 0;
+  const toY = (time) => graphHeight - (Math.min(time, GRAPH_MAX_TIME) / GRAPH_MAX_TIME) * graphHeight;
+  
+  return (
+    <div className={`performance-overlay bg-base-300 bg-opacity-70 rounded-lg text-base-content shadow-lg font-mono text-xs ${compact ? 'p-1 w-48' : 'p-2 w-64'}`}>
+      {/* Headline figures */}
+      <div className="flex justify-between items-baseline">
+        <span className={`text-lg font-bold ${getFrameColor(averageFrameTime)}`}>{fps} FPS</span>
+        <span>{frameTime.toFixed(1)} ms</span>
+      </div>
+      <div className="flex justify-between opacity-75">
+        <span>avg {averageFrameTime.toFixed(1)}</span>
+        <span>max {worstFrameTime.toFixed(1)}</span>
+        <span>cpu {cpuTime.toFixed(1)}</span>
+      </div>
+      
+      {/* Rolling frame time graph */}
+      <svg
+        className="w-full my-1"
+        viewBox={`0 0 ${graphWidth} ${graphHeight}`}
+        preserveAspectRatio="none"
+        style={{ height: compact ? 40 : 60 }}
+      >
+        {frameTimes.map((time, index) => (
+          <rect
+            key={`frame-${index}`}
+            className={getFrameColor(time)}
+            fill="currentColor"
+            x={index * barWidth}
+            y={toY(time)}
+            width={Math.max(barWidth - 0.2, 0.5)}
+            height={graphHeight - toY(time)}
+          />
+        ))}
+        {BUDGETS.map(budget => (
+          <line
+            key={`budget-${budget.label}`}
+            x1="0"
+            x2={graphWidth}
+            y1={toY(budget.time)}
+            y2={toY(budget.time)}
+            stroke="currentColor"
+            strokeOpacity="0.4"
+            strokeDasharray="4 2"
+          />
+        ))}
+      </svg>
+      
+      {/* Physics and renderer */}
+      <div className="flex justify-between">
+        <span>steps {physicsSteps.toFixed(2)}/frame</span>
+        {heapSize !== null && <span>heap {(heapSize / 1048576).toFixed(0)} MB</span>}
+      </div>
+      {render && (
+        <div className="flex justify-between">
+          <span>calls {render.calls}</span>
+          <span>tris {formatCount(render.triangles)}</span>
+          <span>tex {render.textures}</span>
+        </div>
+      )}
+      
+      {/* The costliest systems */}
+      {!compact && (
+        <div className="mt-1 border-t border-base-content border-opacity-20 pt-1">
+          {systems.slice(0, 6).map(system => (
+            <div key={system.name} className="flex justify-between">
+              <span className="truncate">{system.name}</span>
+              <span>{system.averageTime.toFixed(2)} ms</span>
+            </div>
+          ))}
+        </div>
+      )}
+      
+      {/* Spikes and export */}
+      <div className="flex justify-between items-center mt-1">
+        <span className={spikeCount > 0 ? 'text-warning' : 'opacity-75'}>
+          {spikeCount} spikes
+          {lastSpike && ` (last ${lastSpike.frameTime.toFixed(0)} ms${lastSpike.isGcSuspect ? ', GC?' : ''})`}
+        </span>
+        {onExport && (
+          <button className="btn btn-xs btn-ghost pointer-events-auto" onClick={onExport}>
+            Export
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+PerformanceOverlay.propTypes = {
+  performance: PropTypes.shape({
+    fps: PropTypes.number,
+    frameTime: PropTypes.number,
+    averageFrameTime: PropTypes.number,
+    worstFrameTime: PropTypes.number,
+    cpuTime: PropTypes.number,
+    physicsSteps: PropTypes.number,
+    systems: PropTypes.arrayOf(PropTypes.shape({
+      name: PropTypes.string,
+      averageTime: PropTypes.number
+    })),
+    render: PropTypes.object,
+    heapSize: PropTypes.number,
+    frameTimes: PropTypes.arrayOf(PropTypes.number),
+    spikeCount: PropTypes.number,
+    lastSpike: PropTypes.object
+  }),
+  onExport: PropTypes.func,
+  compact: PropTypes.bool
+};
+
+export default PerformanceOverlay;
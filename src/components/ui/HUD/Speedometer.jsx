@@ -130,12 +130,13 @@ const Speedometer = ({ speed, rpm, gear, maxSpeed = 300, maxRpm = 8000 }) => {
     ctx.lineWidth = 2;
     ctx.strokeRect(rpmBarX, rpmBarY, rpmBarWidth, rpmBarHeight);
     
-    // Draw gear indicator
+    // Draw gear indicator (R = reverse, N = neutral)
     ctx.font = 'bold 28px Arial';
     ctx.fillStyle = '#ffffff';
     ctx.textAlign = 'center';
     ctx.textBaseline = 'middle';
-    ctx.fillText(gear.toString(), centerX, centerY + radius * 0.3);
+    const gearLabel = gear < 0 ? 'R' : (gear === 0 ? 'N' : gear.toString());
+    ctx.fillText(gearLabel, centerX, centerY + radius * 0.3);
     
     // Draw RPM text
     ctx.font = '12px Arial';
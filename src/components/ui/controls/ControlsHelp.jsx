@@ -62,6 +62,8 @@ const ControlsHelp = () => {
           <div>Tap & hold red button</div>
           <div>Steering:</div>
           <div>Drag steering wheel left/right</div>
+          <div>Nitro:</div>
+          <div>Tap & hold blue button</div>
           <div>Pause:</div>
           <div>Menu button</div>
         </div>
@@ -77,10 +79,20 @@ const ControlsHelp = () => {
           <div>D / →</div>
           <div>Handbrake:</div>
           <div>Space</div>
+          <div>Nitro:</div>
+          <div>Shift / N</div>
+          <div>Shift Up/Down:</div>
+          <div>E / Q (manual)</div>
+          <div>Reset Car:</div>
+          <div>R</div>
           <div>Pause:</div>
           <div>P / Esc</div>
           <div>Toggle Camera:</div>
           <div>C</div>
+          <div>Performance:</div>
+          <div>F3</div>
+          <div>Freeze/Step:</div>
+          <div>F6 / F7</div>
         </div>
       )}
     </div>
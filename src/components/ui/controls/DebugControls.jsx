@@ -0,0 +1,71 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { TIME_SCALES } from '../../../config/debug';
+
+/**
+ * DebugControls component - Freezes, single-steps and slows down the simulation
+ * so collisions and checkpoint triggers can be inspected frame by frame
+ */
+const DebugControls = ({
+  debugState = null,
+  onToggleFrozen = null,
+  onStep = null,
+  onTimeScaleChange = null
+}) => {
+  if (!debugState) return null;
+  
+  const { isFrozen, timeScale, fixedStepCount, simulationTime } = debugState;
+  
+  return (
+    <div className="debug-controls bg-base-300 bg-opacity-70 p-2 rounded-lg text-base-content shadow-lg font-mono text-xs pointer-events-auto w-64">
+      <div className="flex justify-between items-center mb-1">
+        <span className={`font-bold ${isFrozen ? 'text-warning' : ''}`}>
+          {isFrozen ? 'FROZEN' : `${timeScale}×`}
+        </span>
+        <span>step {fixedStepCount} · {simulationTime.toFixed(3)}s</span>
+      </div>
+      
+      {/* Freeze and step */}
+      <div className="flex gap-1 mb-1">
+        <button className="btn btn-xs btn-primary flex-1" onClick={onToggleFrozen}>
+          {isFrozen ? 'Resume' : 'Freeze'}
+        </button>
+        <button className="btn btn-xs flex-1" disabled={!isFrozen} onClick={() => onStep(1)}>
+          Step
+        </button>
+        <button className="btn btn-xs flex-1" disabled={!isFrozen} onClick={() => onStep(10)}>
+          Step 10
+        </button>
+      </div>
+      
+      {/* Time scale */}
+      <div className="join w-full">
+        {TIME_SCALES.map(scale => (
+          <button
+            key={`scale-${scale}`}
+            className={`btn btn-xs join-item flex-1 ${scale === timeScale ? 'btn-active' : ''}`}
+            onClick={() => onTimeScaleChange(scale)}
+          >
+            {scale}×
+          </button>
+        ))}
+      </div>
+      
+      <div className="mt-1 opacity-75">F6 freeze · F7 step (Shift ×10) · [ ] speed</div>
+    </div>
+  );
+};
+
+DebugControls.propTypes = {
+  debugState: PropTypes.shape({
+    isFrozen: PropTypes.bool,
+    timeScale: PropTypes.number,
+    fixedStepCount: PropTypes.number,
+    simulationTime: PropTypes.number
+  }),
+  onToggleFrozen: PropTypes.func,
+  onStep: PropTypes.func,
+  onTimeScaleChange: PropTypes.func
+};
+
+export default DebugControls;
@@ -10,6 +10,7 @@ const TouchControls = ({ onControlsChange }) => {
   const [throttle, setThrottle] = useState(0);
   const [brake, setBrake] = useState(0);
   const [steering, setSteering] = useState(0);
+  const [boost, setBoost] = useState(false);
   
   // Touch states for each control
   const [acceleratorTouched, setAcceleratorTouched] = useState(false);
@@ -42,10 +43,11 @@ const TouchControls = ({ onControlsChange }) => {
       onControlsChange({
         throttle,
         brake,
-        steering
+        steering,
+        boost
       });
     }
-  }, [throttle, brake, steering, onControlsChange]);
+  }, [throttle, brake, steering, boost, onControlsChange]);
   
   // Handle accelerator touch events
   const handleAcceleratorStart = useCallback((e) => {
@@ -71,6 +73,16 @@ const TouchControls = ({ onControlsChange }) => {
     setBrake(0);
   }, []);
   
+  // Handle nitro boost touch events
+  const handleBoostStart = useCallback((e) => {
+    e.preventDefault();
+    setBoost(true);
+  }, []);
+  
+  const handleBoostEnd = useCallback(() => {
+    setBoost(false);
+  }, []);
+  
   // Handle steering joystick
   const handleSteeringMove = useCallback((x, y) => {
     // Only use the x-axis for steering
@@ -107,7 +119,7 @@ const TouchControls = ({ onControlsChange }) => {
         />
       </div>
       
-      {/* Accelerator and brake buttons (right side) */}
+      {/* Accelerator, nitro and brake buttons (right side) */}
       <div className="absolute bottom-20 right-8 flex flex-col gap-4 pointer-events-auto">
         {/* Accelerator */}
         <button 
@@ -119,6 +131,16 @@ const TouchControls = ({ onControlsChange }) => {
           <span className="text-2xl">↑</span>
         </button>
         
+        {/* Nitro boost */}
+        <button 
+          className={`btn btn-circle btn-lg ${boost ? 'btn-info' : 'btn-outline btn-info'}`}
+          onTouchStart={handleBoostStart}
+          onTouchEnd={handleBoostEnd}
+          onTouchCancel={handleBoostEnd}
+        >
+          <span className="text-sm font-bold">N2O</span>
+        </button>
+        
         {/* Brake */}
         <button 
           className={`btn btn-circle btn-lg ${brakeTouched ? 'btn-error' : 'btn-outline btn-error'}`}
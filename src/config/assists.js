@@ -0,0 +1,43 @@
+/**
+ * Driving assist configurations for Velocity Rush
+ * Defines assist levels and the assists enabled for each difficulty
+ */
+
+// How strongly each assist level intervenes (0-1)
+export const ASSIST_LEVELS = {
+  off: 0,
+  low: 0.35,
+  medium: 0.7,
+  high: 1
+};
+
+const assists = {
+  // Easy - Hard to lose the car, helps with braking and steering
+  easy: {
+    abs: 'high',
+    tractionControl: 'high',
+    stabilityControl: 'high',
+    brakingAssist: 'medium', // Brakes for corners on the racing line
+    steeringAssist: 'low' // Steers towards the racing line
+  },
+  
+  // Medium - Keeps the wheels from locking or spinning
+  medium: {
+    abs: 'high',
+    tractionControl: 'medium',
+    stabilityControl: 'low',
+    brakingAssist: 'off',
+    steeringAssist: 'off'
+  },
+  
+  // Hard - Everything is up to the driver
+  hard: {
+    abs: 'off',
+    tractionControl: 'off',
+    stabilityControl: 'off',
+    brakingAssist: 'off',
+    steeringAssist: 'off'
+  }
+};
+
+export default assists;
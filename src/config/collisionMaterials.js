@@ -0,0 +1,43 @@
+/**
+ * Collision materials for Velocity Rush
+ * Defines how hard things bounce off each other and how much they scrape
+ */
+
+// Material used when a collider doesn't say what it's made of
+export const DEFAULT_COLLISION_MATERIAL = 'concrete';
+
+const collisionMaterials = {
+  // Vehicle - Car body panels
+  vehicle: {
+    id: 'vehicle',
+    name: 'Vehicle',
+    restitution: 0.3, // Fraction of the closing speed given back as bounce
+    friction: 0.4 // Coefficient of friction while scraping
+  },
+  
+  // Concrete - Track barriers; dead and grinding
+  concrete: {
+    id: 'concrete',
+    name: 'Concrete',
+    restitution: 0.15,
+    friction: 0.7
+  },
+  
+  // Armco - Steel guardrail that flexes and lets cars slide along it
+  armco: {
+    id: 'armco',
+    name: 'Armco',
+    restitution: 0.35,
+    friction: 0.3
+  },
+  
+  // Tire wall - Soaks up the hit but grabs the car
+  tireWall: {
+    id: 'tireWall',
+    name: 'Tire Wall',
+    restitution: 0.5,
+    friction: 0.9
+  }
+};
+
+export default collisionMaterials;
@@ -0,0 +1,7 @@
+/**
+ * Debugging configuration for Velocity Rush
+ * Defines the simulation speeds offered by the debug controls
+ */
+
+// Time scales offered for slow motion and fast forward, slowest first
+export const TIME_SCALES = [0.1, 0.25, 0.5, 1, 2, 4];
@@ -0,0 +1,72 @@
+/**
+ * Surface materials for Velocity Rush
+ * Defines how each kind of ground affects the tires and suspension
+ */
+
+// Surface used when the ground doesn't say what it is
+export const DEFAULT_SURFACE = 'asphalt';
+
+const surfaces = {
+  // Asphalt - The reference surface
+  asphalt: {
+    id: 'asphalt',
+    name: 'Asphalt',
+    grip: 1.0, // Multiplier on tire grip
+    rollingResistance: 1.0, // Multiplier on the vehicle's rolling resistance
+    bumpiness: 0, // meters of ground unevenness
+    isLoose: false // Loose surfaces favour cars built for off-road
+  },
+  
+  // Dirt - Gravel roads and rally stages
+  dirt: {
+    id: 'dirt',
+    name: 'Dirt',
+    grip: 0.8,
+    rollingResistance: 1.3,
+    bumpiness: 0.03,
+    isLoose: true
+  },
+  
+  // Sand - Soft and draggy
+  sand: {
+    id: 'sand',
+    name: 'Sand',
+    grip: 0.7,
+    rollingResistance: 2.0,
+    bumpiness: 0.02,
+    isLoose: true
+  },
+  
+  // Grass - Verges and infields
+  grass: {
+    id: 'grass',
+    name: 'Grass',
+    grip: 0.7,
+    rollingResistance: 1.5,
+    bumpiness: 0.02,
+    isLoose: true
+  },
+  
+  // Ice - Very little grip, for anyone
+  ice: {
+    id: 'ice',
+    name: 'Ice',
+    grip: 0.3,
+    rollingResistance: 0.8,
+    bumpiness: 0,
+    isLoose: false
+  },
+  
+  // Boost pad - Pushes cars driving over it forward
+  boostPad: {
+    id: 'boostPad',
+    name: 'Boost Pad',
+    grip: 1.0,
+    rollingResistance: 1.0,
+    bumpiness: 0,
+    isLoose: false,
+    boost: 8 // m/s² along the car's heading with all wheels on the pad
+  }
+};
+
+export default surfaces;
@@ -17,6 +17,8 @@ const tracks = {
     laps: 3,
     length: 3500, // meters
     difficulty: 'easy',
+    surface: 'asphalt', // Road surface (see config/surfaces)
+    barrierMaterial: 'concrete', // Barrier collision material (see config/collisionMaterials)
     environment: 'daytime',
     
     // Track layout
@@ -54,6 +56,7 @@ const tracks = {
       groundNormalMap: '/assets/textures/ground_normal.jpg',
       groundRoughnessMap: '/assets/textures/ground_roughness.jpg',
       groundAoMap: '/assets/textures/ground_ao.jpg',
+      groundSurface: 'grass', // Off-track surface (see config/surfaces)
       skybox: 'daytime',
       ambientLight: 0.5,
       directionalLight: 1.0,
@@ -75,6 +78,8 @@ const tracks = {
     laps: 3,
     length: 4200, // meters
     difficulty: 'medium',
+    surface: 'dirt',
+    barrierMaterial: 'tireWall',
     environment: 'desert',
     
     // Track layout - more complex with elevation changes
@@ -93,6 +98,7 @@ const tracks = {
       groundNormalMap: '/assets/textures/sand_normal.jpg',
       groundRoughnessMap: '/assets/textures/sand_roughness.jpg',
       groundAoMap: '/assets/textures/sand_ao.jpg',
+      groundSurface: 'sand',
       skybox: 'desert',
       ambientLight: 0.7,
       directionalLight: 1.2,
@@ -114,6 +120,8 @@ const tracks = {
     laps: 4,
     length: 3800, // meters
     difficulty: 'hard',
+    surface: 'asphalt',
+    barrierMaterial: 'armco',
     environment: 'night',
     
     // Environment settings
@@ -122,6 +130,7 @@ const tracks = {
       groundNormalMap: '/assets/textures/asphalt_normal.jpg',
       groundRoughnessMap: '/assets/textures/asphalt_roughness.jpg',
       groundAoMap: '/assets/textures/asphalt_ao.jpg',
+      groundSurface: 'asphalt',
       skybox: 'night',
       ambientLight: 0.2,
       directionalLight: 0.1,
@@ -150,6 +159,9 @@ const tracks = {
     laps: 2,
     length: 5500, // meters
     difficulty: 'hard',
+    surface: 'asphalt',
+    surfaceSections: { 3: 'ice' }, // Icy straight across the summit (by segment, see TrackBuilder.buildLayout)
+    barrierMaterial: 'armco',
     environment: 'mountain',
     
     // Environment settings
@@ -158,6 +170,7 @@ const tracks = {
       groundNormalMap: '/assets/textures/rock_normal.jpg',
       groundRoughnessMap: '/assets/textures/rock_roughness.jpg',
       groundAoMap: '/assets/textures/rock_ao.jpg',
+      groundSurface: 'dirt',
       skybox: 'mountain',
       ambientLight: 0.6,
       directionalLight: 0.9,
@@ -179,6 +192,9 @@ const tracks = {
     laps: 3,
     length: 4800, // meters
     difficulty: 'expert',
+    surface: 'asphalt',
+    surfaceSections: { 4: 'boostPad' }, // Boost strip down the back straight
+    barrierMaterial: 'concrete',
     environment: 'future',
     
     // Special features
@@ -194,6 +210,7 @@ const tracks = {
       groundNormalMap: '/assets/textures/tech_normal.jpg',
       groundRoughnessMap: '/assets/textures/tech_roughness.jpg',
       groundAoMap: '/assets/textures/tech_ao.jpg',
+      groundSurface: 'asphalt',
       skybox: 'future',
       ambientLight: 0.4,
       directionalLight: 0.8,
@@ -3,6 +3,8 @@
  * Defines different vehicle types with their properties and stats
  */
 
+import { tireParamsFromHandling } from '../engine/physics/tireModel';
+
 const vehicles = {
   // Sports car - Balanced performance
   sports: {
@@ -30,6 +32,27 @@ const vehicles = {
       deceleration: 5, // m/s²
       braking: 20, // m/s²
       mass: 1200, // kg
+      driveType: 'rwd', // 'fwd', 'rwd', 'awd'
+      downforceCoefficient: 0.5, // N per (m/s)² of speed
+      offRoad: 0, // Fraction of the loose-surface penalty the car ignores (0-1)
+      airControl: 1.5, // rad/s² of pitch and roll the driver can add in the air
+      
+      // Drivetrain properties
+      drivetrain: {
+        idleRpm: 900,
+        revLimit: 7000,
+        torqueCurve: [[1000, 250], [3000, 360], [4500, 405], [6000, 380], [7000, 320]], // [rpm, Nm]
+        gearRatios: [3.4, 2.3, 1.7, 1.3, 1.0],
+        reverseRatio: 3.2,
+        finalDrive: 5.1 // Top gear hits the rev limiter at maxSpeed
+      },
+      
+      // Nitro properties
+      nitro: {
+        capacity: 3, // seconds of boost from a full tank
+        thrust: 5000, // newtons
+        maxSpeedBoost: 30 // km/h above maxSpeed while boosting
+      },
       
       // Steering properties
       maxSteeringAngle: Math.PI / 6, // 30 degrees
@@ -41,6 +64,8 @@ const vehicles = {
       suspensionStiffness: 10.0,
       suspensionDamping: 0.8,
       suspensionTravel: 0.3, // meters
+      antiRollFront: 22000, // N/m
+      antiRollRear: 15000, // N/m
       
       // Wheel properties
       wheelBase: 2.8, // meters
@@ -75,6 +100,27 @@ const vehicles = {
       deceleration: 4, // m/s²
       braking: 22, // m/s²
       mass: 1100, // kg
+      driveType: 'rwd', // 'fwd', 'rwd', 'awd'
+      downforceCoefficient: 1.2, // N per (m/s)² of speed
+      offRoad: 0,
+      airControl: 1.5,
+      
+      // Drivetrain properties
+      drivetrain: {
+        idleRpm: 1000,
+        revLimit: 8500,
+        torqueCurve: [[1000, 300], [3500, 450], [6000, 495], [7500, 480], [8500, 420]], // [rpm, Nm]
+        gearRatios: [3.1, 2.2, 1.7, 1.35, 1.1, 0.9],
+        reverseRatio: 3.0,
+        finalDrive: 5.35 // Top gear hits the rev limiter at maxSpeed
+      },
+      
+      // Nitro properties
+      nitro: {
+        capacity: 2.5, // seconds of boost from a full tank
+        thrust: 5500, // newtons
+        maxSpeedBoost: 35 // km/h above maxSpeed while boosting
+      },
       
       // Steering properties
       maxSteeringAngle: Math.PI / 7, // ~25 degrees
@@ -86,6 +132,8 @@ const vehicles = {
       suspensionStiffness: 12.0,
       suspensionDamping: 0.7,
       suspensionTravel: 0.25, // meters
+      antiRollFront: 30000, // N/m
+      antiRollRear: 26000, // N/m
       
       // Wheel properties
       wheelBase: 2.7, // meters
@@ -120,6 +168,27 @@ const vehicles = {
       deceleration: 6, // m/s²
       braking: 25, // m/s²
       mass: 1300, // kg
+      driveType: 'awd', // 'fwd', 'rwd', 'awd'
+      downforceCoefficient: 0.3, // N per (m/s)² of speed
+      offRoad: 0.7,
+      airControl: 2,
+      
+      // Drivetrain properties
+      drivetrain: {
+        idleRpm: 900,
+        revLimit: 7500,
+        torqueCurve: [[1000, 220], [3000, 330], [4500, 350], [6000, 320], [7500, 260]], // [rpm, Nm]
+        gearRatios: [3.6, 2.4, 1.8, 1.4, 1.1],
+        reverseRatio: 3.4,
+        finalDrive: 6.1 // Top gear hits the rev limiter at maxSpeed
+      },
+      
+      // Nitro properties
+      nitro: {
+        capacity: 3.5, // seconds of boost from a full tank
+        thrust: 5000, // newtons
+        maxSpeedBoost: 25 // km/h above maxSpeed while boosting
+      },
       
       // Steering properties
       maxSteeringAngle: Math.PI / 5, // 36 degrees
@@ -131,6 +200,8 @@ const vehicles = {
       suspensionStiffness: 8.0,
       suspensionDamping: 0.9,
       suspensionTravel: 0.4, // meters
+      antiRollFront: 12000, // N/m
+      antiRollRear: 9000, // N/m
       
       // Wheel properties
       wheelBase: 2.6, // meters
@@ -165,6 +236,27 @@ const vehicles = {
       deceleration: 4, // m/s²
       braking: 18, // m/s²
       mass: 1500, // kg
+      driveType: 'rwd', // 'fwd', 'rwd', 'awd'
+      downforceCoefficient: 0.3, // N per (m/s)² of speed
+      offRoad: 0.2,
+      airControl: 1,
+      
+      // Drivetrain properties
+      drivetrain: {
+        idleRpm: 750,
+        revLimit: 6500,
+        torqueCurve: [[1000, 600], [2500, 820], [3500, 845], [5000, 760], [6500, 600]], // [rpm, Nm]
+        gearRatios: [2.9, 1.9, 1.35, 1.0],
+        reverseRatio: 2.8,
+        finalDrive: 4.9 // Top gear hits the rev limiter at maxSpeed
+      },
+      
+      // Nitro properties
+      nitro: {
+        capacity: 4, // seconds of boost from a full tank
+        thrust: 7500, // newtons
+        maxSpeedBoost: 30 // km/h above maxSpeed while boosting
+      },
       
       // Steering properties
       maxSteeringAngle: Math.PI / 7, // ~25 degrees
@@ -176,6 +268,8 @@ const vehicles = {
       suspensionStiffness: 9.0,
       suspensionDamping: 0.75,
       suspensionTravel: 0.35, // meters
+      antiRollFront: 18000, // N/m
+      antiRollRear: 16000, // N/m
       
       // Wheel properties
       wheelBase: 3.0, // meters
@@ -210,6 +304,27 @@ const vehicles = {
       deceleration: 6, // m/s²
       braking: 28, // m/s²
       mass: 800, // kg
+      driveType: 'rwd', // 'fwd', 'rwd', 'awd'
+      downforceCoefficient: 3.0, // N per (m/s)² of speed
+      offRoad: 0,
+      airControl: 1,
+      
+      // Drivetrain properties
+      drivetrain: {
+        idleRpm: 2000,
+        revLimit: 12000,
+        torqueCurve: [[3000, 200], [6000, 300], [9000, 360], [11000, 340], [12000, 300]], // [rpm, Nm]
+        gearRatios: [3.0, 2.3, 1.85, 1.55, 1.3, 1.12, 1.0],
+        reverseRatio: 3.0,
+        finalDrive: 6.0 // Top gear hits the rev limiter at maxSpeed
+      },
+      
+      // Nitro properties
+      nitro: {
+        capacity: 2, // seconds of boost from a full tank
+        thrust: 4000, // newtons
+        maxSpeedBoost: 30 // km/h above maxSpeed while boosting
+      },
       
       // Steering properties
       maxSteeringAngle: Math.PI / 5, // 36 degrees
@@ -221,6 +336,8 @@ const vehicles = {
       suspensionStiffness: 15.0,
       suspensionDamping: 0.6,
       suspensionTravel: 0.2, // meters
+      antiRollFront: 40000, // N/m
+      antiRollRear: 32000, // N/m
       
       // Wheel properties
       wheelBase: 3.2, // meters
@@ -230,4 +347,12 @@ const vehicles = {
   }
 };
 
+// Derive tire parameters from each vehicle's handling stat unless set explicitly
+Object.values(vehicles).forEach(vehicle => {
+  vehicle.physics.tire = {
+    ...tireParamsFromHandling(vehicle.stats.handling),
+    ...vehicle.physics.tire
+  };
+});
+
 export default vehicles;
@@ -0,0 +1,122 @@
+/**
+ * Headless simulation for Velocity Rush
+ * Drives a vehicle around a track from an input script with no renderer,
+ * DOM or wall clock, so handling changes can be regression-tested in Node
+ */
+
+import VehiclePhysics from './physics/vehiclePhysics';
+import TrackBuilder from '../components/game/tracks/TrackBuilder';
+import vehicles from '../config/vehicles';
+import { createRandom } from '../utils/math';
+
+/**
+ * Get the controls an input script asks for at a point in time
+ * @param {Array<Object>} keyframes - Keyframes ({ time, throttle, brake, steering, ... }),
+ *   each holding its controls until a later keyframe changes them
+ * @param {number} time - Simulated time in seconds
+ * @returns {Object} Controls
+ */
+export function getScriptedControls(keyframes, time) {
+  const controls = { throttle: 0, brake: 0, steering: 0, handbrake: 0, boost: false };
+  
+  for (const { time: keyframeTime, ...keyframeControls } of keyframes) {
+    if (keyframeTime > time) break;
+    
+    Object.assign(controls, keyframeControls);
+  }
+  
+  return controls;
+}
+
+/**
+ * Step a vehicle over a track and record its trajectory
+ * @param {Object} options - Simulation options
+ * @param {string|Object} options.vehicle - Vehicle ID (see config/vehicles) or physics config
+ * @param {string} options.layout - Track layout (see TrackBuilder.buildLayout)
+ * @param {string} options.surface - Road surface (see config/surfaces)
+ * @param {string} options.groundSurface - Surface off the track
+ * @param {Array<Object>|Function} options.inputs - Keyframes (see getScriptedControls), or a
+ *   function of (time, vehiclePhysics, random) returning the controls for each step
+ * @param {number} options.duration - Simulated time in seconds
+ * @param {number} options.timeStep - Fixed time step in seconds
+ * @param {number} options.sampleInterval - Seconds between trajectory samples
+ * @param {number} options.seed - Seed for the random numbers handed to input functions
+ * @returns {Object} { vehicle, layout, steps, trajectory }
+ */
+export function runSimulation({
+  vehicle = 'sports',
+  layout = 'circuit',
+  surface = 'asphalt',
+  groundSurface = 'grass',
+  inputs = [],
+  duration = 30,
+  timeStep = 1 / 60,
+  sampleInterval = 0.1,
+  seed = 1
+} = {}) {
+  const physicsConfig = typeof vehicle === 'string' ? vehicles[vehicle]?.physics : vehicle;
+  if (!physicsConfig) {
+    throw new Error(`Unknown vehicle: ${vehicle}`);
+  }
+  
+  // Build the track and put the car on the grid
+  const trackBuilder = new TrackBuilder().buildLayout(layout);
+  trackBuilder.setTrackSurface(surface);
+  trackBuilder.setGroundSurface(groundSurface);
+  const getSurfaceAt = (x, z) => trackBuilder.getSurfaceAt(x, z);
+  
+  const vehiclePhysics = new VehiclePhysics(physicsConfig);
+  vehiclePhysics.resetTo(trackBuilder.getStartPosition(), trackBuilder.getStartRotation());
+  
+  const random = createRandom(seed);
+  const steps = Math.round(duration / timeStep);
+  const sampleEvery = Math.max(1, Math.round(sampleInterval / timeStep));
+  const trajectory = [];
+  
+  for (let step = 0; step <= steps; step++) {
+    // Count time in steps rather than adding up the time step, which drifts
+    const time = step * timeStep;
+    
+    if (step % sampleEvery === 0) {
+      trajectory.push(sampleState(vehiclePhysics, time));
+    }
+    if (step === steps) break;
+    
+    const controls = typeof inputs === 'function' ?
+      inputs(time, vehiclePhysics, random) : getScriptedControls(inputs, time);
+    vehiclePhysics.setControls(controls);
+    vehiclePhysics.update(timeStep, getSurfaceAt);
+  }
+  
+  return {
+    vehicle: typeof vehicle === 'string' ? vehicle : 'custom',
+    layout,
+    steps,
+    trajectory
+  };
+}
+
+/**
+ * Record the vehicle's state for the trajectory
+ * @param {VehiclePhysics} vehiclePhysics - Vehicle to record
+ * @param {number} time - Simulated time in seconds
+ * @returns {Object} Trajectory sample
+ */
+function sampleState(vehiclePhysics, time) {
+  const { state } = vehiclePhysics;
+  const metrics = vehiclePhysics.getPerformanceMetrics();
+  
+  return {
+    time,
+    position: state.position.toArray(),
+    rotation: state.rotation.toArray(),
+    velocity: state.velocity.toArray(),
+    speedKmh: metrics.speedKmh,
+    gear: metrics.gear,
+    rpm: metrics.rpm,
+    steering: state.steering,
+    slipAngle: metrics.slipAngle,
+    surface: metrics.surface,
+    wheelsOnGround: metrics.wheelsOnGround
+  };
+}
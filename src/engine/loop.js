@@ -1,8 +1,15 @@
 /**
  * Game loop manager for Velocity Rush
- * Handles timing, frame rate, and update/render cycle
+ * Handles timing, frame rate, and update/render cycle. Work is done by named
+ * systems, run phase by phase and by priority within a phase
  */
 
+// Phases run every fixed step, in order
+export const FIXED_PHASES = ['input', 'prePhysics', 'physics', 'postPhysics'];
+
+// Phases run every frame, in order, after the fixed steps
+export const FRAME_PHASES = ['animation', 'render', 'lateUI'];
+
 class GameLoop {
   constructor() {
     this.lastTime = 0;
@@ -16,11 +23,19 @@ class GameLoop {
     this.maxDeltaTime = 0.1; // Cap at 100ms to prevent spiral of death
     
     this.accumulatedTime = 0;
+    this.interpolationAlpha = 0; // How far the frame is into the next fixed step (0-1)
     this.timeScale = 1.0;
+    this.isSimulationPaused = false; // Frozen for debugging; frames still render
+    this.fixedStepCount = 0; // Fixed updates run so far, the simulation's own clock
+    this.frameFixedSteps = 0; // Fixed updates run in the current frame
     
-    this.updateCallbacks = [];
-    this.renderCallbacks = [];
-    this.fixedUpdateCallbacks = [];
+    // Systems by name, and each phase's systems in the order they run
+    this.systems = new Map();
+    this.phases = {};
+    [...FIXED_PHASES, ...FRAME_PHASES].forEach(phase => {
+      this.phases[phase] = [];
+    });
+    this.nextSystemId = 0;
     
     this.animationFrameId = null;
     this.onFrame = this.onFrame.bind(this);
@@ -50,22 +65,124 @@ class GameLoop {
     }
   }
   
+  /**
+   * Add a named system. Systems in a fixed phase are called with fixedTimeStep
+   * every fixed step; systems in a frame phase are called every frame with
+   * deltaTime and the interpolation alpha (see getInterpolationAlpha)
+   * @param {string} name - Unique name, used to enable, disable and remove the system
+   * @param {Function} callback - Function to run
+   * @param {Object} options - Scheduling options
+   * @param {string} options.phase - Phase to run in (see FIXED_PHASES and FRAME_PHASES), default 'physics'
+   * @param {number} options.priority - Systems with a lower priority run first within a phase, default 0
+   * @param {boolean} options.enabled - Whether the system starts enabled, default true
+   * @returns {GameLoop} This loop for chaining
+   */
+  addSystem(name, callback, options = {}) {
+    const { phase = 'physics', priority = 0, enabled = true } = options;
+    if (!this.phases[phase]) {
+      throw new Error(`Unknown game loop phase: ${phase}`);
+    }
+    
+    // Re-adding a name replaces the old system
+    this.removeSystem(name);
+    
+    const system = {
+      name,
+      callback,
+      phase,
+      priority,
+      enabled,
+      order: this.nextSystemId++, // Keeps systems with equal priority in the order they were added
+      time: 0, // ms the last run took
+      averageTime: 0, // ms, smoothed over recent runs
+      frameTime: 0, // ms spent in the system this frame, over every fixed step
+      runs: 0
+    };
+    
+    this.systems.set(name, system);
+    this.phases[phase].push(system);
+    this.phases[phase].sort((a, b) => a.priority - b.priority || a.order - b.order);
+    return this;
+  }
+  
+  /**
+   * Remove a named system
+   * @param {string} name - Name of the system
+   */
+  removeSystem(name) {
+    const system = this.systems.get(name);
+    if (!system) return;
+    
+    this.systems.delete(name);
+    this.phases[system.phase] = this.phases[system.phase].filter(other => other !== system);
+  }
+  
+  /**
+   * Turn a system on or off without losing its place
+   * @param {string} name - Name of the system
+   * @param {boolean} enabled - Whether the system should run
+   */
+  setSystemEnabled(name, enabled) {
+    const system = this.systems.get(name);
+    if (system) {
+      system.enabled = enabled;
+    }
+  }
+  
+  /**
+   * Get how long each system takes, in the order they run
+   * @returns {Array} { name, phase, priority, enabled, time, averageTime, frameTime, runs } per system, times in ms
+   */
+  getSystemTimings() {
+    return [...FIXED_PHASES, ...FRAME_PHASES].flatMap(phase =>
+      this.phases[phase].map(({ name, priority, enabled, time, averageTime, frameTime, runs }) => ({
+        name,
+        phase,
+        priority,
+        enabled,
+        time,
+        averageTime,
+        frameTime,
+        runs
+      }))
+    );
+  }
+  
+  /**
+   * Run the enabled systems in a phase and time them
+   * @param {string} phase - Phase to run
+   * @param {number} deltaTime - Time step passed to the systems
+   * @param {number} alpha - Interpolation alpha passed to frame systems
+   */
+  runPhase(phase, deltaTime, alpha) {
+    for (const system of this.phases[phase]) {
+      if (!system.enabled) continue;
+      
+      const start = performance.now();
+      system.callback(deltaTime, alpha);
+      system.time = performance.now() - start;
+      system.averageTime = system.runs === 0 ? system.time : system.averageTime * 0.9 + system.time * 0.1;
+      system.frameTime += system.time;
+      system.runs++;
+    }
+  }
+  
   /**
    * Add a callback to be called every frame for updates
-   * @param {Function} callback - Function to call with deltaTime
+   * @param {Function} callback - Function to call with deltaTime and the
+   *   interpolation alpha (see getInterpolationAlpha)
    */
   onUpdate(callback) {
-    this.updateCallbacks.push(callback);
-    return this;
+    return this.addSystem(`update-${this.nextSystemId}`, callback, { phase: 'animation' });
   }
   
   /**
    * Add a callback to be called every frame for rendering
-   * @param {Function} callback - Function to call with deltaTime
+   * @param {Function} callback - Function to call with deltaTime and the
+   *   interpolation alpha (see getInterpolationAlpha)
    */
   onRender(callback) {
-    this.renderCallbacks.push(callback);
-    return this;
+    return this.addSystem(`render-${this.nextSystemId}`, callback, { phase: 'render' });
   }
   
   /**
@@ -73,18 +190,19 @@ class GameLoop {
    * @param {Function} callback - Function to call with fixedTimeStep
    */
   onFixedUpdate(callback) {
-    this.fixedUpdateCallbacks.push(callback);
-    return this;
+    return this.addSystem(`fixedUpdate-${this.nextSystemId}`, callback, { phase: 'physics' });
   }
   
   /**
-   * Remove a callback
+   * Remove a callback added with onUpdate, onRender, onFixedUpdate or addSystem
    * @param {Function} callback - Function to remove
    */
   removeCallback(callback) {
-    this.updateCallbacks = this.updateCallbacks.filter(cb => cb !== callback);
-    this.renderCallbacks = this.renderCallbacks.filter(cb => cb !== callback);
-    this.fixedUpdateCallbacks = this.fixedUpdateCallbacks.filter(cb => cb !== callback);
+    this.systems.forEach(system => {
+      if (system.callback === callback) {
+        this.removeSystem(system.name);
+      }
+    });
   }
   
   /**
@@ -103,6 +221,24 @@ class GameLoop {
     this.timeScale = Math.max(0, scale);
   }
   
+  /**
+   * Get the time scale
+   * @returns {number} Time scale factor
+   */
+  getTimeScale() {
+    return this.timeScale;
+  }
+  
+  /**
+   * Freeze or unfreeze the simulation. While frozen no fixed updates run on
+   * their own and frame systems get no time to advance, but frames still
+   * render, so the scene can be inspected and moved through with step()
+   * @param {boolean} paused - Whether the simulation should be frozen
+   */
+  setSimulationPaused(paused) {
+    this.isSimulationPaused = paused;
+  }
+  
   /**
    * Frame update handler
    * @param {number} timestamp - Current timestamp from requestAnimationFrame
@@ -115,8 +251,14 @@ class GameLoop {
     this.deltaTime = Math.min(currentTime - this.lastTime, this.maxDeltaTime);
     this.lastTime = currentTime;
     
-    // Apply time scale
-    const scaledDeltaTime = this.deltaTime * this.timeScale;
+    // Start this frame's per-system totals
+    this.frameFixedSteps = 0;
+    this.systems.forEach(system => {
+      system.frameTime = 0;
+    });
+    
+    // Apply time scale; no time passes in a frozen simulation
+    const scaledDeltaTime = this.isSimulationPaused ? 0 : this.deltaTime * this.timeScale;
     
     // Calculate FPS
     this.frameCount++;
@@ -132,26 +274,62 @@ class GameLoop {
     
     // Run fixed update callbacks
     while (this.accumulatedTime >= this.fixedTimeStep) {
-      for (const callback of this.fixedUpdateCallbacks) {
-        callback(this.fixedTimeStep);
-      }
+      this.runFixedUpdate();
       this.accumulatedTime -= this.fixedTimeStep;
     }
     
-    // Run update callbacks
-    for (const callback of this.updateCallbacks) {
-      callback(scaledDeltaTime);
-    }
+    // The frame falls part way into the next fixed step; rendering blends the
+    // last two steps by this much so motion is smooth above the physics rate.
+    // A frozen simulation shows exactly the last step
+    this.interpolationAlpha = this.isSimulationPaused ? 1 : this.accumulatedTime / this.fixedTimeStep;
     
-    // Run render callbacks
-    for (const callback of this.renderCallbacks) {
-      callback(scaledDeltaTime);
+    // Run the per-frame phases: animation, render, then UI
+    for (const phase of FRAME_PHASES) {
+      this.runPhase(phase, scaledDeltaTime, this.interpolationAlpha);
     }
     
     // Schedule next frame
     this.animationFrameId = requestAnimationFrame(this.onFrame);
   }
   
+  /**
+   * Run the fixed phases once
+   */
+  runFixedUpdate() {
+    for (const phase of FIXED_PHASES) {
+      this.runPhase(phase, this.fixedTimeStep);
+    }
+    this.fixedStepCount++;
+    this.frameFixedSteps++;
+  }
+  
+  /**
+   * Run fixed updates without waiting for frames, e.g. to simulate headless
+   * or step through the simulation by hand
+   * @param {number} steps - Number of fixed steps to run
+   */
+  step(steps = 1) {
+    for (let i = 0; i < steps; i++) {
+      this.runFixedUpdate();
+    }
+  }
+  
+  /**
+   * Get the simulated time, counted in fixed steps so it doesn't depend on frame rate
+   * @returns {number} Simulated time in seconds
+   */
+  getSimulationTime() {
+    return this.fixedStepCount * this.fixedTimeStep;
+  }
+  
+  /**
+   * Get how far the current frame is between the last fixed step and the next
+   * @returns {number} Interpolation factor (0-1) for blending physics states
+   */
+  getInterpolationAlpha() {
+    return this.interpolationAlpha;
+  }
+  
   /**
    * Get current FPS
    * @returns {number} Current frames per second
@@ -0,0 +1,176 @@
+/**
+ * Curved barrier collider for Velocity Rush
+ * Treats an open cylinder arc as a thin wall, so cars driving round the inside
+ * of a bend only touch it where their corners cross the barrier
+ */
+
+import { Vector3, Matrix4 } from 'three';
+
+// Reused for every test to keep collision checks free of allocations
+const _local = new Vector3();
+const _deepest = new Vector3();
+const _closest = new Vector3();
+const _origin = new Vector3();
+const _direction = new Vector3();
+
+class ArcWall {
+  /**
+   * @param {Mesh} mesh - Barrier mesh with a CylinderGeometry
+   */
+  constructor(mesh) {
+    const { radiusTop, height, thetaStart, thetaLength } = mesh.geometry.parameters;
+    this.radius = radiusTop;
+    this.halfHeight = height / 2;
+    this.thetaStart = thetaStart;
+    this.thetaLength = thetaLength;
+    
+    mesh.updateWorldMatrix(true, false);
+    this.matrixWorld = mesh.matrixWorld.clone();
+    this.inverseMatrix = new Matrix4().copy(this.matrixWorld).invert();
+  }
+  
+  /**
+   * Check whether a local point lies within the arc and height of the wall
+   * @param {Vector3} local - Point in the wall's frame
+   * @returns {boolean} True if the point is alongside the wall
+   */
+  isAlongside(local) {
+    if (Math.abs(local.y) > this.halfHeight) return false;
+    
+    // CylinderGeometry sweeps from +z towards +x
+    let theta = Math.atan2(local.x, local.z) - this.thetaStart;
+    theta = ((theta % (Math.PI * 2)) + Math.PI * 2) % (Math.PI * 2);
+    return theta <= this.thetaLength;
+  }
+  
+  /**
+   * Measure how far a point has crossed the wall
+   * @param {Vector3} point - World position
+   * @param {boolean} isOutside - Whether the point belongs outside the bend
+   * @returns {number} Penetration in meters (0 or less if it hasn't crossed)
+   */
+  getPenetration(point, isOutside) {
+    _local.copy(point).applyMatrix4(this.inverseMatrix);
+    if (!this.isAlongside(_local)) return 0;
+    
+    const distance = Math.hypot(_local.x, _local.z);
+    return isOutside ? this.radius - distance : distance - this.radius;
+  }
+  
+  /**
+   * Get the point on the wall closest to a point
+   * @param {Vector3} point - World position
+   * @param {Vector3} target - Vector to store the result in
+   * @returns {Vector3} Closest point on the wall
+   */
+  clampPoint(point, target = new Vector3()) {
+    _local.copy(point).applyMatrix4(this.inverseMatrix);
+    
+    // Past either end of the arc, the nearer end is closest
+    const fullCircle = Math.PI * 2;
+    let theta = Math.atan2(_local.x, _local.z) - this.thetaStart;
+    theta = ((theta % fullCircle) + fullCircle) % fullCircle;
+    if (theta > this.thetaLength) {
+      theta = theta - this.thetaLength < fullCircle - theta ? this.thetaLength : 0;
+    }
+    theta += this.thetaStart;
+    
+    const y = Math.max(-this.halfHeight, Math.min(this.halfHeight, _local.y));
+    return target.set(this.radius * Math.sin(theta), y, this.radius * Math.cos(theta))
+      .applyMatrix4(this.matrixWorld);
+  }
+  
+  /**
+   * Find where a ray first hits the wall, from either side
+   * @param {Vector3} origin - Ray start
+   * @param {Vector3} direction - Unit ray direction
+   * @param {number} maxDistance - Furthest hit to report, in meters
+   * @param {Object} hit - { point, normal, distance } to fill in on a hit
+   * @returns {boolean} True if the ray hits the wall
+   */
+  raycast(origin, direction, maxDistance, hit) {
+    const localOrigin = _origin.copy(origin).applyMatrix4(this.inverseMatrix);
+    const localDirection = _direction.copy(direction).transformDirection(this.inverseMatrix);
+    
+    // Where the ray crosses the cylinder, seen from above
+    const a = localDirection.x * localDirection.x + localDirection.z * localDirection.z;
+    if (a < 1e-9) return false;
+    
+    const b = 2 * (localOrigin.x * localDirection.x + localOrigin.z * localDirection.z);
+    const c = localOrigin.x * localOrigin.x + localOrigin.z * localOrigin.z - this.radius * this.radius;
+    const discriminant = b * b - 4 * a * c;
+    if (discriminant < 0) return false;
+    
+    // The nearer crossing may be off the end of the arc while the further one isn't
+    const root = Math.sqrt(discriminant);
+    for (const distance of [(-b - root) / (2 * a), (-b + root) / (2 * a)]) {
+      if (distance < 0 || distance > maxDistance) continue;
+      
+      _local.copy(localOrigin).addScaledVector(localDirection, distance);
+      if (!this.isAlongside(_local)) continue;
+      
+      if (hit) {
+        // Face the side the ray came from
+        const side = _local.x * localDirection.x + _local.z * localDirection.z > 0 ? -1 : 1;
+        hit.normal.set(side * _local.x, 0, side * _local.z).transformDirection(this.matrixWorld);
+        hit.point.copy(_local).applyMatrix4(this.matrixWorld);
+        hit.distance = distance;
+      }
+      return true;
+    }
+    
+    return false;
+  }
+  
+  /**
+   * Test an oriented box against the wall
+   * @param {OrientedBox} box - Box to test
+   * @param {Object} contact - { point, normal, depth } to fill in on contact;
+   *   the normal points from the box towards the wall
+   * @returns {boolean} True if part of the box has crossed the wall
+   */
+  intersectsOrientedBox(box, contact) {
+    // The side of the wall the box's center is on is the side it belongs on
+    _local.copy(box.center).applyMatrix4(this.inverseMatrix);
+    const isOutside = Math.hypot(_local.x, _local.z) > this.radius;
+    const centerHeight = _local.y;
+    
+    let depth = 0;
+    for (const corner of box.corners) {
+      const penetration = this.getPenetration(corner, isOutside);
+      if (penetration > depth) {
+        depth = penetration;
+        _deepest.copy(_local);
+      }
+    }
+    
+    // From outside, the bend bulges towards the box and can dent a side between corners
+    if (isOutside) {
+      _closest.set(0, centerHeight, 0).applyMatrix4(this.matrixWorld);
+      const penetration = this.getPenetration(box.clampPoint(_closest, _closest), isOutside);
+      if (penetration > depth) {
+        depth = penetration;
+        _deepest.copy(_local);
+      }
+    }
+    
+    if (depth === 0) return false;
+    if (!contact) return true;
+    
+    // Push straight back across the wall from the deepest point
+    const distance = Math.hypot(_deepest.x, _deepest.z) || 1;
+    const side = isOutside ? -1 : 1;
+    contact.normal.set(side * _deepest.x / distance, 0, side * _deepest.z / distance)
+      .transformDirection(this.matrixWorld);
+    contact.point.set(
+      _deepest.x * this.radius / distance,
+      _deepest.y,
+      _deepest.z * this.radius / distance
+    ).applyMatrix4(this.matrixWorld);
+    contact.depth = depth;
+    
+    return true;
+  }
+}
+
+export default ArcWall;
@@ -0,0 +1,76 @@
+/**
+ * Collision events for Velocity Rush
+ * Publishes contacts as they begin, persist and end, so audio, camera shake,
+ * damage, the HUD and statistics can react to impacts without hooking into
+ * the physics
+ *
+ * Each event is an object with:
+ *   type - 'begin', 'persist' or 'end'
+ *   objectA, objectB - The participants; A is always a dynamic collider
+ *   point, normal, depth - The contact, with the normal pointing from A towards B
+ *   relativeSpeed - m/s the bodies were closing at along the normal, before the response
+ *   impulse - N·s the response applied (0 for 'end' and for pass-through colliders)
+ *   materialA, materialB - Collision materials involved (see config/collisionMaterials)
+ *   massA, massB - kg (Infinity for static objects)
+ */
+
+class CollisionEvents {
+  constructor() {
+    this.beginCallbacks = [];
+    this.persistCallbacks = [];
+    this.endCallbacks = [];
+  }
+  
+  /**
+   * Add a callback for contacts starting
+   * @param {Function} callback - Function to call with the event
+   * @returns {CollisionEvents} This bus for chaining
+   */
+  onBegin(callback) {
+    this.beginCallbacks.push(callback);
+    return this;
+  }
+  
+  /**
+   * Add a callback for contacts carrying on from the last step, like scraping along a barrier
+   * @param {Function} callback - Function to call with the event
+   * @returns {CollisionEvents} This bus for chaining
+   */
+  onPersist(callback) {
+    this.persistCallbacks.push(callback);
+    return this;
+  }
+  
+  /**
+   * Add a callback for contacts ending
+   * @param {Function} callback - Function to call with the event
+   * @returns {CollisionEvents} This bus for chaining
+   */
+  onEnd(callback) {
+    this.endCallbacks.push(callback);
+    return this;
+  }
+  
+  /**
+   * Remove a callback
+   * @param {Function} callback - Function to remove
+   */
+  removeCallback(callback) {
+    this.beginCallbacks = this.beginCallbacks.filter(cb => cb !== callback);
+    this.persistCallbacks = this.persistCallbacks.filter(cb => cb !== callback);
+    this.endCallbacks = this.endCallbacks.filter(cb => cb !== callback);
+  }
+  
+  /**
+   * Send an event to the callbacks for its type
+   * @param {Object} event - Collision event
+   */
+  publish(event) {
+    const callbacks = event.type === 'begin' ? this.beginCallbacks :
+      event.type === 'persist' ? this.persistCallbacks : this.endCallbacks;
+    
+    callbacks.forEach(callback => callback(event));
+  }
+}
+
+export default CollisionEvents;
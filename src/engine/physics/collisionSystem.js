@@ -1,27 +1,127 @@
 /**
  * Collision detection and response system for Velocity Rush
- * Handles vehicle-to-vehicle and vehicle-to-environment collisions
+ * The physics world: handles vehicle-to-vehicle and vehicle-to-environment
+ * collisions, trigger volumes that report cars passing through them, and
+ * raycast, shapecast, overlap, closest point and ground queries for vehicles,
+ * the camera and AI drivers
  */
 
-import { Vector3, Box3, Sphere } from 'three';
+import { Vector3, Box3, Sphere, Matrix4 } from 'three';
+import SpatialHash from './spatialHash';
+import OrientedBox, { getLocalBox } from './orientedBox';
+import ArcWall from './arcWall';
+import CollisionEvents from './collisionEvents';
+import collisionMaterials, { DEFAULT_COLLISION_MATERIAL } from '../../config/collisionMaterials';
+import { DEFAULT_SURFACE } from '../../config/surfaces';
+
+// Reused while resolving contacts
+const _relativeVelocity = new Vector3();
+const _velocityB = new Vector3();
+const _tangent = new Vector3();
+const _impulse = new Vector3();
+const _motion = new Vector3();
+const _offset = new Vector3();
+const _sweptBounds = new Box3();
+const _sweptBox = new OrientedBox();
+const _matrix = new Matrix4();
+
+// Reused by the queries
+const _queryBounds = new Box3();
+const _point = new Vector3();
+const _closestPoint = new Vector3();
+const _hit = { point: new Vector3(), normal: new Vector3(), distance: 0 };
+const _bestHit = { point: new Vector3(), normal: new Vector3(), distance: 0 };
+
+// Collision layers; two colliders only meet if each one's mask includes the other's layer
+export const COLLISION_LAYERS = {
+  car: 1,
+  barrier: 2,
+  prop: 4,
+  pickup: 8,
+  checkpoint: 16,
+  all: 0xffff
+};
 
 class CollisionSystem {
-  constructor() {
+  /**
+   * @param {Object} collisionConfig - Configuration overrides
+   */
+  constructor(collisionConfig) {
+    // Broad phase and response properties
+    this.config = {
+      cellSize: 20, // meters, about four car lengths
+      restitutionThreshold: 1, // m/s, slower impacts don't bounce so resting contacts stay put
+      penetrationSlop: 0.01, // meters of overlap left alone to stop jitter
+      positionCorrection: 0.8, // Fraction of the remaining overlap pushed out each step
+      continuousSpeed: 25, // m/s, faster colliders are swept against static ones (90 km/h)
+      sweepStep: 0.25, // meters between overlap tests along a sweep
+      maxSweepDistance: 10, // meters, longer moves in one step are teleports (respawns)
+      groundStep: 1, // meters between height checks when a ray looks for the ground
+      
+      // Override with provided config
+      ...collisionConfig
+    };
+    
     this.colliders = [];
     this.staticColliders = [];
+    this.triggers = [];
+    
+    // Static colliders are bucketed once when registered, dynamic ones as they move
+    this.staticGrid = new SpatialHash(this.config.cellSize);
+    this.dynamicGrid = new SpatialHash(this.config.cellSize);
+    this.triggerGrid = new SpatialHash(this.config.cellSize);
+    this.candidates = [];
+    this.queryResults = []; // Separate from candidates so callbacks can run queries
+    this.nextIndex = 0;
+    
+    // Ground under the world (see setGround)
+    this.getSurfaceAt = null;
+    
+    // Triggers with something inside, and the step it was last seen there
+    this.occupiedTriggers = new Set();
+    this.step = 0;
+    
+    // Touching pairs: dynamic object -> other object -> last event for the pair
+    this.contacts = new Map();
+    this.events = new CollisionEvents();
+    
+    this.stats = { candidatePairs: 0, collisions: 0, sweptColliders: 0, sweptHits: 0 };
   }
-
+  
   /**
-   * Register a dynamic object (like vehicles) for collision detection
+   * Register a dynamic object (like vehicles) for collision detection.
+   * Bodies are pushed by impulses: a VehiclePhysics in userData.vehicle uses its
+   * mass and inertia, otherwise userData.physics ({ velocity, mass }) is a point mass
    * @param {Object} object - The object to register
-   * @param {Function} onCollision - Callback when collision occurs
+   * @param {Function} onCollision - Callback when collision occurs, called with
+   *   (self, other, collisionPoint, collisionNormal, contact)
+   * @param {Object} options - Response overrides
+   * @param {number} options.layer - Collision layer (see COLLISION_LAYERS), default car
+   * @param {number} options.mask - Layers it collides with, default all
+   * @param {string} options.material - Collision material (see config/collisionMaterials)
+   * @param {number} options.restitution - Bounce, overriding the material's
+   * @param {number} options.friction - Friction, overriding the material's
+   * @param {string|Function} options.response - 'impulse' (default), 'none' to pass
+   *   through other bodies, or a function (self, other, contact) that replaces
+   *   the impulse response for this object
    */
-  registerCollider(object, onCollision) {
+  registerCollider(object, onCollision, options = {}) {
     if (!object.userData) object.userData = {};
+    
+    // The model's shape doesn't change, so its box in its own frame is only measured once
+    const localBox = getLocalBox(object);
+    const shape = new OrientedBox().setFromLocalBox(localBox, object.matrixWorld);
+    
     object.userData.collider = {
-      boundingBox: new Box3().setFromObject(object),
+      localBox,
+      shape,
+      previousCenter: shape.center.clone(), // Where the shape was last step, for sweeping
+      boundingBox: shape.getBoundingBox(),
       boundingSphere: new Sphere(),
-      onCollision: onCollision || this.defaultCollisionResponse,
+      onCollision: onCollision || null,
+      ...this.getResponseOptions(options, 'vehicle'),
+      ...this.getLayerOptions(options, COLLISION_LAYERS.car),
+      index: this.nextIndex++, // Registration order, so each pair is only checked once
     };
     
     // Calculate bounding sphere from bounding box
@@ -30,19 +130,51 @@ class CollisionSystem {
     );
     
     this.colliders.push(object);
+    this.dynamicGrid.insert(object, object.userData.collider.boundingBox);
     return object;
   }
-
+  
+  /**
+   * Stop checking a dynamic object for collisions
+   * @param {Object} object - The object to unregister
+   */
+  unregisterCollider(object) {
+    const index = this.colliders.indexOf(object);
+    if (index === -1) return;
+    
+    this.colliders.splice(index, 1);
+    this.dynamicGrid.remove(object);
+    
+    // Its contacts end with it
+    this.endContacts(event => event.objectA === object || event.objectB === object);
+    
+    // It's left any triggers it was in
+    this.occupiedTriggers.forEach(trigger => {
+      const { collider } = trigger.userData;
+      if (collider.occupants.delete(object)) {
+        if (collider.onExit) collider.onExit(object, trigger);
+        if (collider.occupants.size === 0) this.occupiedTriggers.delete(trigger);
+      }
+    });
+  }
+  
   /**
    * Register a static object (like track boundaries) for collision detection
    * @param {Object} object - The static object to register
+   * @param {Object} options - Response overrides (see registerCollider), default layer barrier
    */
-  registerStaticCollider(object) {
+  registerStaticCollider(object, options = {}) {
+    // Track pieces sit inside positioned segment groups
+    object.updateWorldMatrix(true, false);
+    
     if (!object.userData) object.userData = {};
     object.userData.collider = {
+      shape: this.createStaticShape(object),
       boundingBox: new Box3().setFromObject(object),
       boundingSphere: new Sphere(),
       isStatic: true,
+      ...this.getResponseOptions(options, DEFAULT_COLLISION_MATERIAL),
+      ...this.getLayerOptions(options, COLLISION_LAYERS.barrier),
     };
     
     // Calculate bounding sphere from bounding box
@@ -51,140 +183,900 @@ class CollisionSystem {
     );
     
     this.staticColliders.push(object);
+    this.staticGrid.insert(object, object.userData.collider.boundingBox);
     return object;
   }
-
+  
+  /**
+   * Register a trigger volume: a non-solid static object that reports cars
+   * entering, staying in and leaving it (checkpoints, pit lanes, hazards)
+   * @param {Object} object - Object whose geometry gives the volume
+   * @param {Object} options - Trigger options
+   * @param {number} options.layer - Collision layer, default checkpoint
+   * @param {number} options.mask - Layers it detects, default car
+   * @param {Function} options.onEnter - Called with (object, trigger) when something enters
+   * @param {Function} options.onStay - Called with (object, trigger, deltaTime) each step it stays inside
+   * @param {Function} options.onExit - Called with (object, trigger) when it leaves
+   * @returns {Object} The trigger object
+   */
+  registerTrigger(object, options = {}) {
+    object.updateWorldMatrix(true, false);
+    
+    if (!object.userData) object.userData = {};
+    object.userData.collider = {
+      shape: this.createStaticShape(object),
+      boundingBox: new Box3().setFromObject(object),
+      isStatic: true,
+      isTrigger: true,
+      ...this.getLayerOptions(options, COLLISION_LAYERS.checkpoint, COLLISION_LAYERS.car),
+      onEnter: options.onEnter || null,
+      onStay: options.onStay || null,
+      onExit: options.onExit || null,
+      occupants: new Map(), // Object inside -> step it was last seen
+    };
+    
+    this.triggers.push(object);
+    this.triggerGrid.insert(object, object.userData.collider.boundingBox);
+    return object;
+  }
+  
+  /**
+   * Remove a trigger volume
+   * @param {Object} object - The trigger to remove
+   */
+  unregisterTrigger(object) {
+    const index = this.triggers.indexOf(object);
+    if (index === -1) return;
+    
+    this.triggers.splice(index, 1);
+    this.triggerGrid.remove(object);
+    this.occupiedTriggers.delete(object);
+  }
+  
+  /**
+   * Remove all trigger volumes
+   */
+  clearTriggers() {
+    this.triggers = [];
+    this.triggerGrid.clear();
+    this.occupiedTriggers.clear();
+  }
+  
+  /**
+   * Pick the collision shape for a static object
+   * @param {Object} object - The static object
+   * @returns {OrientedBox|ArcWall} Collision shape
+   */
+  createStaticShape(object) {
+    // Curved barriers are open cylinders; a box around one would cover the whole bend
+    const { geometry } = object;
+    if (geometry && geometry.type === 'CylinderGeometry' && geometry.parameters.openEnded) {
+      return new ArcWall(object);
+    }
+    
+    return new OrientedBox().setFromLocalBox(getLocalBox(object), object.matrixWorld);
+  }
+  
+  /**
+   * Replace the static colliders with a track's barriers
+   * @param {Array} colliders - Track colliders (see TrackBuilder.getColliders)
+   * @param {string} material - Barrier collision material (see config/collisionMaterials)
+   */
+  setTrackColliders(colliders, material = DEFAULT_COLLISION_MATERIAL) {
+    this.clearStaticColliders();
+    
+    colliders.forEach(collider => {
+      this.registerStaticCollider(collider.mesh, { material });
+    });
+  }
+  
+  /**
+   * Work out a collider's layer and mask
+   * @param {Object} options - Collider options
+   * @param {number} defaultLayer - Layer to use if none is given
+   * @param {number} defaultMask - Mask to use if none is given
+   * @returns {Object} { layer, mask }
+   */
+  getLayerOptions(options, defaultLayer, defaultMask = COLLISION_LAYERS.all) {
+    return {
+      layer: options.layer ?? defaultLayer,
+      mask: options.mask ?? defaultMask
+    };
+  }
+  
+  /**
+   * Check whether two colliders' layers let them meet
+   * @param {Object} colliderA - First collider
+   * @param {Object} colliderB - Second collider
+   * @returns {boolean} True if each one's mask includes the other's layer
+   */
+  canCollide(colliderA, colliderB) {
+    return (colliderA.mask & colliderB.layer) !== 0 && (colliderB.mask & colliderA.layer) !== 0;
+  }
+  
+  /**
+   * Work out a collider's response settings from its material and overrides
+   * @param {Object} options - Response overrides (see registerCollider)
+   * @param {string} defaultMaterial - Material to use if none is given
+   * @returns {Object} { material, restitution, friction, response }
+   */
+  getResponseOptions(options, defaultMaterial) {
+    const material = collisionMaterials[options.material] ? options.material : defaultMaterial;
+    
+    return {
+      material,
+      restitution: options.restitution ?? collisionMaterials[material].restitution,
+      friction: options.friction ?? collisionMaterials[material].friction,
+      response: options.response || 'impulse'
+    };
+  }
+  
+  /**
+   * Remove all static colliders
+   */
+  clearStaticColliders() {
+    this.staticColliders = [];
+    this.staticGrid.clear();
+  }
+  
   /**
    * Update collision data for a specific object
    * @param {Object} object - The object to update
    */
   updateCollider(object) {
     if (object.userData && object.userData.collider) {
-      object.userData.collider.boundingBox.setFromObject(object);
-      object.userData.collider.boundingBox.getBoundingSphere(
-        object.userData.collider.boundingSphere
-      );
+      const { collider, vehicle } = object.userData;
+      object.updateWorldMatrix(true, false);
+      
+      // Vehicles are placed from their physics state; the model may be drawn between steps
+      const matrix = vehicle ?
+        _matrix.compose(vehicle.state.position, vehicle.state.rotation, object.scale) :
+        object.matrixWorld;
+      
+      collider.previousCenter.copy(collider.shape.center);
+      collider.shape.setFromLocalBox(collider.localBox, matrix);
+      collider.shape.getBoundingBox(collider.boundingBox);
+      collider.boundingBox.getBoundingSphere(collider.boundingSphere);
     }
   }
-
+  
   /**
-   * Default collision response
-   * @param {Object} self - The object itself
-   * @param {Object} other - The object collided with
-   * @param {Vector3} collisionPoint - Point of collision
-   * @param {Vector3} collisionNormal - Normal vector at collision point
-   */
-  defaultCollisionResponse(self, other, collisionPoint, collisionNormal) {
-    // Basic elastic collision response
-    if (self.userData.physics && other.userData.physics) {
-      const v1 = self.userData.physics.velocity;
-      const v2 = other.userData.physics.velocity || new Vector3();
-      const m1 = self.userData.physics.mass || 1;
-      const m2 = other.userData.physics.mass || Infinity; // Static objects have infinite mass
-      
-      // Calculate new velocities (simplified elastic collision)
-      if (m2 < Infinity) {
-        // Dynamic-to-dynamic collision
-        const v1Final = v1.clone().sub(
-          collisionNormal.clone().multiplyScalar(
-            2 * m2 / (m1 + m2) * v1.clone().sub(v2).dot(collisionNormal)
-          )
-        );
-        
-        const v2Final = v2.clone().sub(
-          collisionNormal.clone().multiplyScalar(
-            2 * m1 / (m1 + m2) * v2.clone().sub(v1).dot(collisionNormal)
-          )
-        );
+   * Resolve a contact with impulses: bounce and friction at the contact point,
+   * which spin bodies hit off-center, then push the bodies apart so they don't
+   * sink into each other
+   * @param {Object} objA - First object
+   * @param {Object} objB - Second object
+   * @param {Object} contact - { point, normal, depth } with the normal pointing from A towards B
+   * @returns {number} Size of the impulse applied in N·s
+   */
+  resolveContact(objA, objB, contact) {
+    const colliderA = objA.userData.collider;
+    const colliderB = objB.userData.collider;
+    const { point, normal } = contact;
+    
+    const inverseMassA = this.getInverseMassAt(objA, point, normal);
+    const inverseMassB = this.getInverseMassAt(objB, point, normal);
+    const totalInverseMass = inverseMassA + inverseMassB;
+    if (totalInverseMass === 0) return 0;
+    
+    // Velocity of B's contact point relative to A's; negative along the normal when closing
+    const relativeVelocity = this.getPointVelocity(objB, point, _relativeVelocity)
+      .sub(this.getPointVelocity(objA, point, _velocityB));
+    const normalSpeed = relativeVelocity.dot(normal);
+    
+    let normalImpulse = 0;
+    let frictionImpulse = 0;
+    if (normalSpeed < 0) {
+      const impactSpeed = -normalSpeed;
+      
+      // Both materials share the bounce, slow knocks don't bounce at all
+      const restitution = impactSpeed > this.config.restitutionThreshold ?
+        (colliderA.restitution + colliderB.restitution) / 2 : 0;
+      normalImpulse = (1 + restitution) * impactSpeed / totalInverseMass;
+      
+      _impulse.copy(normal).multiplyScalar(normalImpulse);
+      this.applyImpulse(objA, _impulse.negate(), point);
+      this.applyImpulse(objB, _impulse.negate(), point);
+      
+      // Friction opposes sliding along the contact, up to the Coulomb limit
+      this.getPointVelocity(objB, point, _relativeVelocity).sub(this.getPointVelocity(objA, point, _velocityB));
+      const tangent = _tangent.copy(_relativeVelocity).addScaledVector(normal, -_relativeVelocity.dot(normal));
+      const slideSpeed = tangent.length();
+      
+      if (slideSpeed > 1e-4) {
+        tangent.divideScalar(slideSpeed);
+        const tangentInverseMass = this.getInverseMassAt(objA, point, tangent) + this.getInverseMassAt(objB, point, tangent);
+        const friction = Math.sqrt(colliderA.friction * colliderB.friction);
+        frictionImpulse = Math.min(slideSpeed / tangentInverseMass, friction * normalImpulse);
         
-        self.userData.physics.velocity.copy(v1Final.multiplyScalar(0.8)); // Add some energy loss
-        other.userData.physics.velocity.copy(v2Final.multiplyScalar(0.8)); // Add some energy loss
-      } else {
-        // Dynamic-to-static collision
-        const reflection = v1.clone().reflect(collisionNormal).multiplyScalar(0.5); // More energy loss for wall collisions
-        self.userData.physics.velocity.copy(reflection);
+        _impulse.copy(tangent).multiplyScalar(frictionImpulse);
+        this.applyImpulse(objA, _impulse, point);
+        this.applyImpulse(objB, _impulse.negate(), point);
       }
     }
+    
+    // Push the bodies apart in proportion to how easily each one moves
+    const correction = Math.max(0, contact.depth - this.config.penetrationSlop) *
+      this.config.positionCorrection / totalInverseMass;
+    if (correction > 0) {
+      this.moveBody(objA, normal, -correction * inverseMassA);
+      this.moveBody(objB, normal, correction * inverseMassB);
+    }
+    
+    return Math.hypot(normalImpulse, frictionImpulse);
   }
-
+  
+  /**
+   * Get the mass of an object
+   * @param {Object} object - Collider object
+   * @returns {number} Mass in kg (Infinity for static objects)
+   */
+  getMass(object) {
+    const { vehicle, physics, collider } = object.userData;
+    if (collider.isStatic) return Infinity;
+    if (vehicle) return vehicle.getMass();
+    return physics && physics.mass ? physics.mass : Infinity;
+  }
+  
+  /**
+   * Get how easily an object gives way to a push at a point
+   * @param {Object} object - Collider object
+   * @param {Vector3} point - World position of the push
+   * @param {Vector3} direction - Unit direction of the push
+   * @returns {number} Inverse effective mass (0 for immovable objects)
+   */
+  getInverseMassAt(object, point, direction) {
+    const { vehicle } = object.userData;
+    if (vehicle && !object.userData.collider.isStatic) {
+      return vehicle.getInverseMassAt(point, direction);
+    }
+    
+    return 1 / this.getMass(object);
+  }
+  
+  /**
+   * Get the velocity of a point on an object
+   * @param {Object} object - Collider object
+   * @param {Vector3} point - World position
+   * @param {Vector3} target - Vector to store the result in
+   * @returns {Vector3} Velocity in m/s
+   */
+  getPointVelocity(object, point, target) {
+    const { vehicle, physics, collider } = object.userData;
+    if (collider.isStatic) return target.set(0, 0, 0);
+    if (vehicle) return vehicle.getPointVelocity(point, target);
+    return physics && physics.velocity ? target.copy(physics.velocity) : target.set(0, 0, 0);
+  }
+  
+  /**
+   * Apply an impulse to an object
+   * @param {Object} object - Collider object
+   * @param {Vector3} impulse - Impulse in world space (N·s)
+   * @param {Vector3} point - World position it acts at
+   */
+  applyImpulse(object, impulse, point) {
+    const mass = this.getMass(object);
+    if (mass === Infinity) return;
+    
+    const { vehicle, physics } = object.userData;
+    if (vehicle) {
+      vehicle.applyImpulse(impulse, point);
+    } else {
+      physics.velocity.addScaledVector(impulse, 1 / mass);
+    }
+  }
+  
+  /**
+   * Move an object along a direction to separate it from what it hit
+   * @param {Object} object - Collider object
+   * @param {Vector3} direction - Unit direction
+   * @param {number} distance - meters
+   */
+  moveBody(object, direction, distance) {
+    if (distance === 0) return;
+    
+    const { vehicle } = object.userData;
+    const position = vehicle ? vehicle.state.position : object.position;
+    position.addScaledVector(direction, distance);
+  }
+  
   /**
    * Check for collisions between all registered objects
    * @param {number} deltaTime - Time since last update
    */
   update(deltaTime) {
-    // Update all dynamic colliders
+    const { stats, candidates } = this;
+    this.step++;
+    stats.candidatePairs = 0;
+    stats.collisions = 0;
+    stats.sweptColliders = 0;
+    stats.sweptHits = 0;
+    
+    // Update all dynamic colliders and move them to the cells they now cover
     for (const object of this.colliders) {
       this.updateCollider(object);
+      
+      // A fast car can move further in a step than a barrier is thick, so sweep
+      // it along its path and stop it where it first touched
+      if (this.isMovingFast(object.userData.collider, deltaTime)) {
+        stats.sweptColliders++;
+        if (this.sweepAgainstStatic(object)) {
+          stats.sweptHits++;
+        }
+      }
+      
+      this.dynamicGrid.update(object, object.userData.collider.boundingBox);
     }
     
-    // Check dynamic-to-dynamic collisions
     for (let i = 0; i < this.colliders.length; i++) {
       const objA = this.colliders[i];
+      const colliderA = objA.userData.collider;
       
-      // Check against other dynamic objects
-      for (let j = i + 1; j < this.colliders.length; j++) {
-        const objB = this.colliders[j];
+      // Check against dynamic objects in the same cells, each pair once
+      candidates.length = 0;
+      this.dynamicGrid.query(colliderA.boundingBox, candidates);
+      for (const objB of candidates) {
+        if (objB.userData.collider.index <= colliderA.index) continue;
+        if (!this.canCollide(colliderA, objB.userData.collider)) continue;
         
-        // Quick sphere-sphere test first (broad phase)
-        if (objA.userData.collider.boundingSphere.intersectsSphere(
-          objB.userData.collider.boundingSphere
-        )) {
-          // More precise box-box test (narrow phase)
-          if (objA.userData.collider.boundingBox.intersectsBox(
-            objB.userData.collider.boundingBox
-          )) {
-            // Calculate collision details
-            const collisionPoint = new Vector3();
-            objA.userData.collider.boundingSphere.center.clone().add(
-              objB.userData.collider.boundingSphere.center
-            ).multiplyScalar(0.5);
-            
-            const collisionNormal = new Vector3().subVectors(
-              objB.userData.collider.boundingSphere.center,
-              objA.userData.collider.boundingSphere.center
-            ).normalize();
-            
-            // Trigger collision callbacks
-            if (objA.userData.collider.onCollision) {
-              objA.userData.collider.onCollision(objA, objB, collisionPoint, collisionNormal);
-            }
-            
-            if (objB.userData.collider.onCollision) {
-              objB.userData.collider.onCollision(objB, objA, collisionPoint, collisionNormal.clone().negate());
-            }
-          }
+        stats.candidatePairs++;
+        this.checkPair(objA, objB, true);
+      }
+      
+      // Check against static objects in the same cells
+      candidates.length = 0;
+      this.staticGrid.query(colliderA.boundingBox, candidates);
+      for (const staticObj of candidates) {
+        if (!this.canCollide(colliderA, staticObj.userData.collider)) continue;
+        
+        stats.candidatePairs++;
+        this.checkPair(objA, staticObj, false);
+      }
+    }
+    
+    // Pairs that didn't touch this step have come apart
+    this.endContacts(contact => contact.step !== this.step);
+    
+    this.updateTriggers(deltaTime);
+  }
+  
+  /**
+   * Find which dynamic colliders are inside which triggers, and report
+   * the ones that entered, stayed and left
+   * @param {number} deltaTime - Time since last update
+   */
+  updateTriggers(deltaTime) {
+    const { step, candidates } = this;
+    
+    for (const object of this.colliders) {
+      const collider = object.userData.collider;
+      
+      candidates.length = 0;
+      this.triggerGrid.query(collider.boundingBox, candidates);
+      for (const trigger of candidates) {
+        const triggerCollider = trigger.userData.collider;
+        if (!this.canCollide(collider, triggerCollider)) continue;
+        if (!collider.boundingBox.intersectsBox(triggerCollider.boundingBox)) continue;
+        if (!this.intersectShapes(collider.shape, triggerCollider.shape)) continue;
+        
+        const wasInside = triggerCollider.occupants.has(object);
+        triggerCollider.occupants.set(object, step);
+        this.occupiedTriggers.add(trigger);
+        
+        if (!wasInside) {
+          if (triggerCollider.onEnter) triggerCollider.onEnter(object, trigger);
+        } else if (triggerCollider.onStay) {
+          triggerCollider.onStay(object, trigger, deltaTime);
         }
       }
+    }
+    
+    // Anything not seen inside this step has left
+    this.occupiedTriggers.forEach(trigger => {
+      const triggerCollider = trigger.userData.collider;
+      
+      triggerCollider.occupants.forEach((lastStep, object) => {
+        if (lastStep === step) return;
+        
+        triggerCollider.occupants.delete(object);
+        if (triggerCollider.onExit) triggerCollider.onExit(object, trigger);
+      });
+      
+      if (triggerCollider.occupants.size === 0) {
+        this.occupiedTriggers.delete(trigger);
+      }
+    });
+  }
+  
+  /**
+   * Check whether a collider moved fast enough last step to need sweeping
+   * @param {Object} collider - Dynamic collider
+   * @param {number} deltaTime - Time since last update
+   * @returns {boolean} True if the collider should be swept
+   */
+  isMovingFast(collider, deltaTime) {
+    const distance = collider.shape.center.distanceTo(collider.previousCenter);
+    return deltaTime > 0 && distance <= this.config.maxSweepDistance &&
+      distance / deltaTime >= this.config.continuousSpeed;
+  }
+  
+  /**
+   * Sweep a dynamic collider from where it was last step to where it is now,
+   * and move it back to the first point it touches a static collider
+   * @param {Object} object - Dynamic object
+   * @returns {boolean} True if the sweep hit something
+   */
+  sweepAgainstStatic(object) {
+    const collider = object.userData.collider;
+    const motion = _motion.subVectors(collider.shape.center, collider.previousCenter);
+    
+    // Static colliders anywhere along the path
+    _sweptBounds.copy(collider.boundingBox).translate(_offset.copy(motion).negate()).union(collider.boundingBox);
+    
+    this.candidates.length = 0;
+    this.staticGrid.query(_sweptBounds, this.candidates);
+    
+    let timeOfImpact = 1;
+    for (const staticObj of this.candidates) {
+      if (!this.canCollide(collider, staticObj.userData.collider)) continue;
+      
+      const { shape } = staticObj.userData.collider;
+      timeOfImpact = Math.min(timeOfImpact, this.getTimeOfImpact(collider.shape, collider.previousCenter, motion, shape, timeOfImpact));
+    }
+    if (timeOfImpact >= 1) return false;
+    
+    // Back up to the impact; the overlap there is resolved like any other contact
+    const rewind = (1 - timeOfImpact) * motion.length();
+    motion.normalize();
+    this.moveBody(object, motion, -rewind);
+    collider.shape.translate(motion.multiplyScalar(-rewind));
+    collider.shape.getBoundingBox(collider.boundingBox);
+    collider.boundingBox.getBoundingSphere(collider.boundingSphere);
+    
+    return true;
+  }
+  
+  /**
+   * Find when a box moving in a straight line first touches a shape.
+   * The box is stepped along its path, then the first touch is narrowed down
+   * by bisection; turning during the move is ignored
+   * @param {OrientedBox} movingBox - Box to move
+   * @param {Vector3} start - Center of the box at the start of the move
+   * @param {Vector3} motion - World movement
+   * @param {OrientedBox|ArcWall} shape - Shape to test against
+   * @param {number} limit - Fraction of the move to search up to
+   * @returns {number} Fraction of the move at impact (1 if it never touches)
+   */
+  getTimeOfImpact(movingBox, start, motion, shape, limit) {
+    const box = _sweptBox.copy(movingBox);
+    const isTouchingAt = (time) => {
+      box.translate(_offset.copy(start).addScaledVector(motion, time).sub(box.center));
+      return this.intersectShapes(box, shape);
+    };
+    
+    // Already touching where it started is left to the contact test
+    if (isTouchingAt(0)) return 1;
+    
+    const steps = Math.ceil(motion.length() / this.config.sweepStep);
+    let previous = 0;
+    for (let i = 1; i <= steps; i++) {
+      const time = i / steps;
+      if (previous >= limit) break;
       
-      // Check against static objects
-      for (const staticObj of this.staticColliders) {
-        // Quick sphere-sphere test first
-        if (objA.userData.collider.boundingSphere.intersectsSphere(
-          staticObj.userData.collider.boundingSphere
-        )) {
-          // More precise box-box test
-          if (objA.userData.collider.boundingBox.intersectsBox(
-            staticObj.userData.collider.boundingBox
-          )) {
-            // Calculate collision details
-            const collisionPoint = new Vector3();
-            objA.userData.collider.boundingSphere.center.clone().add(
-              staticObj.userData.collider.boundingSphere.center
-            ).multiplyScalar(0.5);
-            
-            const collisionNormal = new Vector3().subVectors(
-              staticObj.userData.collider.boundingSphere.center,
-              objA.userData.collider.boundingSphere.center
-            ).normalize();
-            
-            // Trigger collision callback
-            if (objA.userData.collider.onCollision) {
-              objA.userData.collider.onCollision(objA, staticObj, collisionPoint, collisionNormal);
-            }
+      if (isTouchingAt(time)) {
+        // Keep the touching end so there's a contact to resolve
+        let touching = time;
+        for (let j = 0; j < 6; j++) {
+          const middle = (previous + touching) / 2;
+          if (isTouchingAt(middle)) {
+            touching = middle;
+          } else {
+            previous = middle;
           }
         }
+        return touching;
       }
+      
+      previous = time;
     }
+    
+    return 1;
+  }
+  
+  /**
+   * Test a dynamic collider's box against another shape
+   * @param {OrientedBox} box - Dynamic collider's box
+   * @param {OrientedBox|ArcWall} shape - Shape to test against
+   * @param {Object} contact - { point, normal, depth } to fill in, with the normal pointing from the box
+   * @returns {boolean} True if they overlap
+   */
+  intersectShapes(box, shape, contact) {
+    return shape instanceof ArcWall ?
+      shape.intersectsOrientedBox(box, contact) :
+      box.intersectsOrientedBox(shape, contact);
+  }
+  
+  /**
+   * Set the ground the world's queries and vehicles stand on
+   * @param {Function} getSurfaceAt - Function returning the ground height, or { height, surface }, at a position
+   */
+  setGround(getSurfaceAt) {
+    this.getSurfaceAt = getSurfaceAt;
+  }
+  
+  /**
+   * Get the ground under a position; pass this to VehiclePhysics.update
+   * @param {number} x - World X position
+   * @param {number} z - World Z position
+   * @returns {Object} { height, surface }, flat asphalt at y=0 without a ground
+   */
+  getGroundAt(x, z) {
+    const ground = this.getSurfaceAt ? this.getSurfaceAt(x, z) : null;
+    if (typeof ground === 'number') {
+      return { height: ground, surface: DEFAULT_SURFACE };
+    }
+    
+    return ground || { height: 0, surface: DEFAULT_SURFACE };
+  }
+  
+  /**
+   * Find the first collider or patch of ground a ray hits
+   * @param {Vector3} origin - Ray start
+   * @param {Vector3} direction - Unit ray direction
+   * @param {Object} options - Query options
+   * @param {number} options.maxDistance - meters, default 100
+   * @param {number} options.mask - Layers to hit, default all
+   * @param {Object} options.ignore - Object to skip, like the car casting the ray
+   * @param {boolean} options.ground - Whether the ground can be hit, default true
+   * @returns {Object|null} { object, point, normal, distance }, with a null object for the ground
+   */
+  raycast(origin, direction, options = {}) {
+    const { maxDistance = 100, ground = true } = options;
+    
+    _point.copy(origin).addScaledVector(direction, maxDistance);
+    _queryBounds.makeEmpty().expandByPoint(origin).expandByPoint(_point);
+    
+    let hitObject;
+    let closest = maxDistance;
+    for (const object of this.getQueryCandidates(_queryBounds, options)) {
+      if (object.userData.collider.shape.raycast(origin, direction, closest, _hit)) {
+        closest = _hit.distance;
+        hitObject = object;
+        this.copyHit(_hit, _bestHit);
+      }
+    }
+    
+    if (ground && this.raycastGround(origin, direction, closest, _hit)) {
+      hitObject = null;
+      this.copyHit(_hit, _bestHit);
+    }
+    
+    if (hitObject === undefined) return null;
+    
+    return {
+      object: hitObject,
+      point: _bestHit.point.clone(),
+      normal: _bestHit.normal.clone(),
+      distance: _bestHit.distance
+    };
+  }
+  
+  /**
+   * Find where a ray meets the ground. The ground is only known as a height at
+   * each position, so the ray is stepped along and the crossing bisected
+   * @param {Vector3} origin - Ray start
+   * @param {Vector3} direction - Unit ray direction
+   * @param {number} maxDistance - Furthest hit to report, in meters
+   * @param {Object} hit - { point, normal, distance } to fill in on a hit
+   * @returns {boolean} True if the ray reaches the ground
+   */
+  raycastGround(origin, direction, maxDistance, hit) {
+    const isBelowGroundAt = (distance) => {
+      _point.copy(origin).addScaledVector(direction, distance);
+      return _point.y <= this.getGroundAt(_point.x, _point.z).height;
+    };
+    
+    // Starting under the ground doesn't count as a hit
+    if (isBelowGroundAt(0)) return false;
+    
+    const steps = Math.ceil(maxDistance / this.config.groundStep);
+    let previous = 0;
+    for (let i = 1; i <= steps; i++) {
+      const distance = Math.min(i * this.config.groundStep, maxDistance);
+      if (!isBelowGroundAt(distance)) {
+        previous = distance;
+        continue;
+      }
+      
+      let below = distance;
+      for (let j = 0; j < 8; j++) {
+        const middle = (previous + below) / 2;
+        if (isBelowGroundAt(middle)) {
+          below = middle;
+        } else {
+          previous = middle;
+        }
+      }
+      
+      hit.distance = below;
+      hit.point.copy(origin).addScaledVector(direction, below);
+      
+      // The slope from the heights either side
+      const { x, z } = hit.point;
+      const step = 0.1;
+      hit.normal.set(
+        this.getGroundAt(x - step, z).height - this.getGroundAt(x + step, z).height,
+        step * 2,
+        this.getGroundAt(x, z - step).height - this.getGroundAt(x, z + step).height
+      ).normalize();
+      return true;
+    }
+    
+    return false;
+  }
+  
+  /**
+   * Sweep a box along a straight path and find the first collider it hits.
+   * Colliders the box already overlaps at the start are ignored
+   * @param {OrientedBox} box - Box to sweep
+   * @param {Vector3} motion - World movement
+   * @param {Object} options - Query options (see raycast)
+   * @returns {Object|null} { object, time, distance, point, normal, depth }, where time
+   *   is the fraction of the movement made before the hit
+   */
+  shapecast(box, motion, options = {}) {
+    box.getBoundingBox(_queryBounds).union(box.getBoundingBox(_sweptBounds).translate(motion));
+    
+    let hitObject = null;
+    let timeOfImpact = 1;
+    for (const object of this.getQueryCandidates(_queryBounds, options)) {
+      const time = this.getTimeOfImpact(box, box.center, motion, object.userData.collider.shape, timeOfImpact);
+      if (time < timeOfImpact) {
+        timeOfImpact = time;
+        hitObject = object;
+      }
+    }
+    
+    if (!hitObject) return null;
+    
+    // Contact where the box first touched
+    const contact = { point: new Vector3(), normal: new Vector3(), depth: 0 };
+    _sweptBox.copy(box).translate(_offset.copy(motion).multiplyScalar(timeOfImpact));
+    this.intersectShapes(_sweptBox, hitObject.userData.collider.shape, contact);
+    
+    return {
+      object: hitObject,
+      time: timeOfImpact,
+      distance: timeOfImpact * motion.length(),
+      ...contact
+    };
+  }
+  
+  /**
+   * Find the colliders overlapping a box
+   * @param {OrientedBox} box - Box to test
+   * @param {Object} options - Query options (see raycast)
+   * @param {boolean} options.triggers - Whether to include trigger volumes, default false
+   * @param {Array} results - Array to add the objects to
+   * @returns {Array} Overlapping objects
+   */
+  overlap(box, options = {}, results = []) {
+    const bounds = box.getBoundingBox(_queryBounds);
+    
+    for (const object of this.getQueryCandidates(bounds, options)) {
+      const collider = object.userData.collider;
+      if (collider.boundingBox.intersectsBox(bounds) && this.intersectShapes(box, collider.shape)) {
+        results.push(object);
+      }
+    }
+    
+    return results;
+  }
+  
+  /**
+   * Find the nearest point on any collider, like the closest barrier to an AI car
+   * @param {Vector3} point - World position
+   * @param {Object} options - Query options (see raycast)
+   * @param {number} options.maxDistance - meters to search, default 20
+   * @returns {Object|null} { object, point, distance }
+   */
+  closestPoint(point, options = {}) {
+    const { maxDistance = 20 } = options;
+    _queryBounds.min.set(point.x - maxDistance, point.y - maxDistance, point.z - maxDistance);
+    _queryBounds.max.set(point.x + maxDistance, point.y + maxDistance, point.z + maxDistance);
+    
+    let closestObject = null;
+    let closest = maxDistance;
+    for (const object of this.getQueryCandidates(_queryBounds, options)) {
+      object.userData.collider.shape.clampPoint(point, _point);
+      
+      const distance = _point.distanceTo(point);
+      if (distance <= closest) {
+        closest = distance;
+        closestObject = object;
+        _closestPoint.copy(_point);
+      }
+    }
+    
+    if (!closestObject) return null;
+    
+    return { object: closestObject, point: _closestPoint.clone(), distance: closest };
+  }
+  
+  /**
+   * Collect the colliders near a box that a query can see
+   * @param {Box3} bounds - World box to search
+   * @param {Object} options - Query options (see raycast and overlap)
+   * @returns {Array} Matching objects (reused between queries)
+   */
+  getQueryCandidates(bounds, options) {
+    const { mask = COLLISION_LAYERS.all, ignore = null, triggers = false } = options;
+    const results = this.queryResults;
+    
+    results.length = 0;
+    this.staticGrid.query(bounds, results);
+    this.dynamicGrid.query(bounds, results);
+    if (triggers) {
+      this.triggerGrid.query(bounds, results);
+    }
+    
+    // Drop the ignored object and layers the query doesn't look at
+    let count = 0;
+    for (const object of results) {
+      if (object === ignore || (object.userData.collider.layer & mask) === 0) continue;
+      results[count++] = object;
+    }
+    results.length = count;
+    
+    return results;
+  }
+  
+  /**
+   * Copy a ray hit
+   * @param {Object} source - Hit to copy
+   * @param {Object} target - Hit to copy into
+   */
+  copyHit(source, target) {
+    target.point.copy(source.point);
+    target.normal.copy(source.normal);
+    target.distance = source.distance;
+  }
+  
+  /**
+   * Test two colliders for contact and trigger their collision callbacks
+   * @param {Object} objA - Dynamic object
+   * @param {Object} objB - Object to test against
+   * @param {boolean} notifyOther - Whether to trigger objB's callback as well
+   */
+  checkPair(objA, objB, notifyOther) {
+    const colliderA = objA.userData.collider;
+    const colliderB = objB.userData.collider;
+    
+    // Quick sphere-sphere test first
+    if (!colliderA.boundingSphere.intersectsSphere(colliderB.boundingSphere)) return;
+    
+    // Then the world-aligned boxes
+    if (!colliderA.boundingBox.intersectsBox(colliderB.boundingBox)) return;
+    
+    // Exact test against the real shapes; the normal points from A towards B
+    const contact = { point: new Vector3(), normal: new Vector3(), depth: 0 };
+    if (!this.intersectShapes(colliderA.shape, colliderB.shape, contact)) return;
+    
+    this.stats.collisions++;
+    
+    // How hard they hit, before the response changes it
+    const relativeSpeed = Math.max(0, -this.getPointVelocity(objB, contact.point, _relativeVelocity)
+      .sub(this.getPointVelocity(objA, contact.point, _velocityB))
+      .dot(contact.normal));
+    
+    // Respond to the contact; custom responses replace the impulses for their own object
+    let impulse = 0;
+    const isCustomA = typeof colliderA.response === 'function';
+    const isCustomB = notifyOther && typeof colliderB.response === 'function';
+    if (isCustomA || isCustomB) {
+      if (isCustomA) colliderA.response(objA, objB, contact);
+      if (isCustomB) colliderB.response(objB, objA, this.reverseContact(contact));
+    } else if (colliderA.response !== 'none' && colliderB.response !== 'none') {
+      impulse = this.resolveContact(objA, objB, contact);
+    }
+    
+    this.publishContact(objA, objB, contact, relativeSpeed, impulse);
+    
+    // Trigger collision callbacks
+    if (colliderA.onCollision) {
+      colliderA.onCollision(objA, objB, contact.point, contact.normal, contact);
+    }
+    
+    if (notifyOther && colliderB.onCollision) {
+      const reversed = this.reverseContact(contact);
+      colliderB.onCollision(objB, objA, reversed.point, reversed.normal, reversed);
+    }
+  }
+  
+  /**
+   * Publish a begin or persist event for a touching pair
+   * @param {Object} objA - Dynamic object
+   * @param {Object} objB - Object it's touching
+   * @param {Object} contact - { point, normal, depth } with the normal pointing from A towards B
+   * @param {number} relativeSpeed - Closing speed along the normal in m/s
+   * @param {number} impulse - Impulse the response applied in N·s
+   */
+  publishContact(objA, objB, contact, relativeSpeed, impulse) {
+    let pairs = this.contacts.get(objA);
+    if (!pairs) {
+      pairs = new Map();
+      this.contacts.set(objA, pairs);
+    }
+    
+    const event = {
+      type: pairs.has(objB) ? 'persist' : 'begin',
+      objectA: objA,
+      objectB: objB,
+      point: contact.point,
+      normal: contact.normal,
+      depth: contact.depth,
+      relativeSpeed,
+      impulse,
+      materialA: objA.userData.collider.material,
+      materialB: objB.userData.collider.material,
+      massA: this.getMass(objA),
+      massB: this.getMass(objB),
+      step: this.step
+    };
+    
+    pairs.set(objB, event);
+    this.events.publish(event);
+  }
+  
+  /**
+   * Publish end events for touching pairs and forget them
+   * @param {Function} isEnded - Called with each pair's last event, true to end it
+   */
+  endContacts(isEnded) {
+    this.contacts.forEach((pairs, objA) => {
+      pairs.forEach((lastEvent, objB) => {
+        if (!isEnded(lastEvent)) return;
+        
+        pairs.delete(objB);
+        this.events.publish({ ...lastEvent, type: 'end', relativeSpeed: 0, impulse: 0, step: this.step });
+      });
+      
+      if (pairs.size === 0) {
+        this.contacts.delete(objA);
+      }
+    });
+  }
+  
+  /**
+   * Get a contact as seen from the other body
+   * @param {Object} contact - { point, normal, depth }
+   * @returns {Object} Copy of the contact with the normal flipped
+   */
+  reverseContact(contact) {
+    return { point: contact.point.clone(), normal: contact.normal.clone().negate(), depth: contact.depth };
+  }
+  
+  /**
+   * Get broad phase statistics from the last update
+   * @returns {Object} Collider counts, the pairs a brute force check would test,
+   *   the pairs the grid actually tested, how many were touching and how many
+   *   fast colliders were swept
+   */
+  getStats() {
+    const dynamicCount = this.colliders.length;
+    const staticCount = this.staticColliders.length;
+    
+    return {
+      dynamicColliders: dynamicCount,
+      staticColliders: staticCount,
+      triggers: this.triggers.length,
+      occupiedCells: this.dynamicGrid.getCellCount() + this.staticGrid.getCellCount(),
+      bruteForcePairs: dynamicCount * (dynamicCount - 1) / 2 + dynamicCount * staticCount,
+      candidatePairs: this.stats.candidatePairs,
+      collisions: this.stats.collisions,
+      sweptColliders: this.stats.sweptColliders,
+      sweptHits: this.stats.sweptHits
+    };
   }
 }
 
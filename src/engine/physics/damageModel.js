@@ -0,0 +1,153 @@
+/**
+ * Vehicle damage model for Velocity Rush
+ * Accumulates impact energy per body zone and turns it into lost engine
+ * power, knocked-out steering alignment and a lower top speed
+ */
+
+// Body zones, in the order the HUD lists them
+export const DAMAGE_ZONES = ['front', 'rear', 'left', 'right'];
+
+class DamageModel {
+  /**
+   * @param {VehiclePhysics} vehiclePhysics - The vehicle that takes the damage
+   * @param {Object} damageConfig - Configuration overrides
+   */
+  constructor(vehiclePhysics, damageConfig) {
+    this.vehicle = vehiclePhysics;
+    
+    // Damage properties
+    this.config = {
+      mode: 'full', // 'off', 'visual' (looks only), 'full'
+      zoneStrength: 400000, // joules of impact energy that wreck a zone
+      minImpactEnergy: 5000, // joules, lighter knocks leave no mark
+      enginePowerLoss: 0.5, // Fraction of engine power lost with the front wrecked
+      rearPowerLoss: 0.2, // Fraction lost with the rear wrecked (exhaust, driveshaft)
+      maxSteeringOffset: 0.015, // radians the front wheels are knocked out of line with one side wrecked
+      topSpeedLoss: 0.3, // Fraction of top speed lost with every zone wrecked
+      detachThreshold: 0.7, // Zone damage at which loose parts fall off
+      
+      // Override with vehicle and provided config
+      ...vehiclePhysics.config.damage,
+      ...damageConfig
+    };
+    
+    this.zones = { front: 0, rear: 0, left: 0, right: 0 }; // 0 (intact) to 1 (wrecked)
+    this.onDamage = null;
+  }
+  
+  /**
+   * Set how much damage matters
+   * @param {string} mode - 'off', 'visual' or 'full'
+   */
+  setMode(mode) {
+    this.config.mode = mode;
+    
+    // Turning damage off repairs the car
+    if (mode === 'off') {
+      this.reset();
+    } else {
+      this.updateEffects();
+    }
+  }
+  
+  /**
+   * Repair the car
+   */
+  reset() {
+    DAMAGE_ZONES.forEach(zone => {
+      this.zones[zone] = 0;
+    });
+    
+    this.updateEffects();
+  }
+  
+  /**
+   * Take a hit
+   * @param {Vector3} normal - World direction from the car towards what it hit
+   * @param {number} impactSpeed - Closing speed along the normal in m/s
+   * @param {number} otherMass - Mass of what it hit in kg (Infinity for walls)
+   * @returns {number} Damage added to the hit zone (0-1)
+   */
+  applyImpact(normal, impactSpeed, otherMass = Infinity) {
+    if (this.config.mode === 'off' || impactSpeed <= 0) return 0;
+    
+    // Only the closing speed between the two bodies' centers of mass is absorbed
+    const mass = this.vehicle.getMass();
+    const reducedMass = otherMass === Infinity ? mass : mass * otherMass / (mass + otherMass);
+    const energy = 0.5 * reducedMass * impactSpeed * impactSpeed;
+    if (energy < this.config.minImpactEnergy) return 0;
+    
+    const zone = this.getZone(normal);
+    const before = this.zones[zone];
+    this.zones[zone] = Math.min(1, before + (energy - this.config.minImpactEnergy) / this.config.zoneStrength);
+    
+    this.updateEffects();
+    
+    // Call damage callback
+    if (this.onDamage) {
+      this.onDamage({ zone, amount: this.zones[zone] - before, energy });
+    }
+    
+    return this.zones[zone] - before;
+  }
+  
+  /**
+   * Work out which zone of the body faces a direction
+   * @param {Vector3} direction - World direction from the car's center
+   * @returns {string} Zone name
+   */
+  getZone(direction) {
+    const local = direction.clone().applyQuaternion(this.vehicle.state.rotation.clone().invert());
+    
+    // The car is about twice as long as it is wide, so corners count as the ends
+    if (Math.abs(local.z) >= Math.abs(local.x) * 0.5) {
+      return local.z > 0 ? 'front' : 'rear';
+    }
+    return local.x > 0 ? 'right' : 'left';
+  }
+  
+  /**
+   * Pass the handling effects of the current damage to the vehicle physics
+   */
+  updateEffects() {
+    if (this.config.mode !== 'full') {
+      this.vehicle.setDamageEffects({ enginePower: 1, steeringOffset: 0, maxSpeed: null });
+      return;
+    }
+    
+    const { front, rear, left, right } = this.zones;
+    const total = this.getTotalDamage();
+    
+    this.vehicle.setDamageEffects({
+      enginePower: 1 - front * this.config.enginePowerLoss - rear * this.config.rearPowerLoss,
+      
+      // A bent suspension pulls the car towards the damaged side
+      steeringOffset: (right - left) * this.config.maxSteeringOffset,
+      maxSpeed: total > 0 ? this.vehicle.config.maxSpeed * (1 - total * this.config.topSpeedLoss) : null
+    });
+  }
+  
+  /**
+   * Get the overall damage
+   * @returns {number} Average zone damage (0-1)
+   */
+  getTotalDamage() {
+    return DAMAGE_ZONES.reduce((sum, zone) => sum + this.zones[zone], 0) / DAMAGE_ZONES.length;
+  }
+  
+  /**
+   * Get the damage state for the HUD and the vehicle model
+   * @returns {Object} Damage state
+   */
+  getDamageState() {
+    return {
+      mode: this.config.mode,
+      zones: { ...this.zones },
+      total: this.getTotalDamage(),
+      detached: DAMAGE_ZONES.filter(zone => this.zones[zone] >= this.config.detachThreshold),
+      enginePower: this.vehicle.state.enginePower
+    };
+  }
+}
+
+export default DamageModel;
@@ -0,0 +1,26 @@
+/**
+ * Driver controls for Velocity Rush
+ * Turns the input manager's state into vehicle controls, and holds the car on
+ * the grid until the race starts
+ */
+
+// Controls that hold the car on the grid. The handbrake does it, since holding
+// the brake at a standstill selects reverse
+export const GRID_CONTROLS = { throttle: 0, brake: 0, steering: 0, handbrake: 1, boost: false };
+
+/**
+ * Turn the input manager's state into vehicle controls
+ * @param {Object} input - Input state (see useInputManager)
+ * @returns {Object} Controls (see VehiclePhysics.setControls)
+ */
+export function getInputControls(input) {
+  return {
+    throttle: input.throttleValue ?? (input.forward ? 1 : 0),
+    brake: input.backward ? 1 : (input.brakeValue || 0), // Selects reverse once stopped
+    steering: input.steeringValue ?? (input.left ? -1 : (input.right ? 1 : 0)),
+    handbrake: input.handbrake ? 1 : 0,
+    boost: Boolean(input.boost),
+    shiftUp: Boolean(input.shiftUp),
+    shiftDown: Boolean(input.shiftDown)
+  };
+}
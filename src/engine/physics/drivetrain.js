@@ -0,0 +1,258 @@
+/**
+ * Drivetrain simulation for Velocity Rush
+ * Models the engine torque curve, gearbox, shifting and rev limiter
+ */
+
+// Normalised torque curve used when a vehicle doesn't define its own
+// (rpm as a fraction of the rev limit, torque as a fraction of peak torque)
+const DEFAULT_TORQUE_CURVE = [
+  [0.0, 0.6],
+  [0.15, 0.65],
+  [0.4, 0.9],
+  [0.65, 1.0],
+  [0.85, 0.95],
+  [1.0, 0.8]
+];
+
+const RPM_TO_RAD = Math.PI * 2 / 60;
+
+class Drivetrain {
+  constructor(drivetrainConfig) {
+    // Drivetrain properties
+    this.config = {
+      // Engine properties
+      idleRpm: 900,
+      revLimit: 7000,
+      peakTorque: 400, // Nm, only used to scale the default torque curve
+      torqueCurve: null, // [[rpm, Nm], ...] sorted by rpm
+      engineBraking: 60, // Nm at the rev limit with the throttle closed
+      
+      // Gearbox properties
+      gearRatios: [3.4, 2.3, 1.7, 1.3, 1.0],
+      reverseRatio: 3.2,
+      finalDrive: 5.1,
+      efficiency: 0.9,
+      shiftTime: 0.2, // seconds without drive while changing gear
+      limiterHoldTime: 2.0, // seconds an automatic gearbox holds a gear it was pushed into off the limiter
+      limiterRange: 250, // rpm below the limit over which the rev limiter fades out torque
+      
+      // Automatic shift points (default to fractions of the rev limit)
+      upshiftRpm: null,
+      downshiftRpm: null,
+      
+      // 'automatic' or 'manual'
+      transmission: 'automatic',
+      
+      // Override with provided config
+      ...drivetrainConfig
+    };
+    
+    if (!this.config.torqueCurve) {
+      this.config.torqueCurve = DEFAULT_TORQUE_CURVE.map(([rpm, torque]) => [
+        rpm * this.config.revLimit,
+        torque * this.config.peakTorque
+      ]);
+    }
+    
+    this.upshiftRpm = this.config.upshiftRpm || this.config.revLimit * 0.9;
+    this.downshiftRpm = this.config.downshiftRpm || this.config.revLimit * 0.45;
+    
+    // Current state
+    this.state = {
+      gear: 1, // -1 = reverse, 0 = neutral, 1+ = forward gears
+      rpm: this.config.idleRpm,
+      shiftTimer: 0,
+      limiterHoldTimer: 0,
+      isLimiting: false
+    };
+  }
+  
+  /**
+   * Number of forward gears
+   * @returns {number} Gear count
+   */
+  get gearCount() {
+    return this.config.gearRatios.length;
+  }
+  
+  /**
+   * Set the transmission mode
+   * @param {string} mode - 'automatic' or 'manual'
+   */
+  setTransmission(mode) {
+    this.config.transmission = mode === 'manual' ? 'manual' : 'automatic';
+    
+    // Automatic gearboxes don't sit in neutral
+    if (this.config.transmission === 'automatic' && this.state.gear === 0) {
+      this.selectGear(1);
+    }
+  }
+  
+  /**
+   * Select a gear, starting a shift if it differs from the current one
+   * @param {number} gear - Gear to select (-1 to gearCount)
+   */
+  selectGear(gear) {
+    const target = Math.max(-1, Math.min(this.gearCount, gear));
+    if (target === this.state.gear) return;
+    
+    this.state.gear = target;
+    this.state.shiftTimer = this.config.shiftTime;
+  }
+  
+  /**
+   * Shift up one gear (manual shift input)
+   * @returns {boolean} True if the gear changed
+   */
+  shiftUp() {
+    if (this.state.gear >= this.gearCount) return false;
+    
+    this.selectGear(this.state.gear + 1);
+    return true;
+  }
+  
+  /**
+   * Shift down one gear (manual shift input)
+   * @param {number} forwardSpeed - Vehicle speed along its heading in m/s
+   * @returns {boolean} True if the gear changed
+   */
+  shiftDown(forwardSpeed = 0) {
+    // Reverse can only be selected when (nearly) stopped
+    if (this.state.gear <= -1 || (this.state.gear === 0 && forwardSpeed > 1)) return false;
+    
+    this.selectGear(this.state.gear - 1);
+    return true;
+  }
+  
+  /**
+   * Overall ratio between engine and wheel speed for a gear
+   * @param {number} gear - Gear (-1 to gearCount)
+   * @returns {number} Signed ratio (negative in reverse, 0 in neutral)
+   */
+  getRatio(gear = this.state.gear) {
+    if (gear === 0) return 0;
+    
+    const gearRatio = gear < 0 ? -this.config.reverseRatio : this.config.gearRatios[gear - 1];
+    return gearRatio * this.config.finalDrive;
+  }
+  
+  /**
+   * Look up engine torque at a given rpm from the torque curve
+   * @param {number} rpm - Engine speed
+   * @returns {number} Torque in Nm
+   */
+  getEngineTorque(rpm) {
+    const curve = this.config.torqueCurve;
+    
+    if (rpm <= curve[0][0]) return curve[0][1];
+    
+    for (let i = 1; i < curve.length; i++) {
+      if (rpm <= curve[i][0]) {
+        const [rpmA, torqueA] = curve[i - 1];
+        const [rpmB, torqueB] = curve[i];
+        return torqueA + (torqueB - torqueA) * (rpm - rpmA) / (rpmB - rpmA);
+      }
+    }
+    
+    return curve[curve.length - 1][1];
+  }
+  
+  /**
+   * Map pedal inputs onto the gearbox. With an automatic gearbox the brake
+   * pedal selects reverse once the car has stopped and then acts as throttle.
+   * @param {number} throttle - Throttle pedal (0-1)
+   * @param {number} brake - Brake pedal (0-1)
+   * @param {number} forwardSpeed - Vehicle speed along its heading in m/s
+   * @returns {Object} Effective throttle and brake
+   */
+  resolvePedals(throttle, brake, forwardSpeed) {
+    if (this.config.transmission !== 'automatic') {
+      return { throttle, brake };
+    }
+    
+    if (this.state.gear > 0 && brake > 0 && throttle === 0 && forwardSpeed < 0.5) {
+      this.selectGear(-1);
+    } else if (this.state.gear < 0 && throttle > 0 && forwardSpeed > -0.5) {
+      this.selectGear(1);
+    }
+    
+    if (this.state.gear < 0) {
+      return { throttle: brake, brake: throttle };
+    }
+    
+    return { throttle, brake };
+  }
+  
+  /**
+   * Update engine speed and gear, and compute the torque delivered to the wheels
+   * @param {number} dt - Delta time in seconds
+   * @param {number} throttle - Effective throttle (0-1)
+   * @param {number} wheelSpeed - Average angular velocity of the driven wheels in rad/s
+   * @param {number} roadSpeed - Angular velocity the driven wheels would have without slip in rad/s
+   * @returns {number} Total drive torque at the driven wheels in Nm
+   */
+  update(dt, throttle, wheelSpeed, roadSpeed = wheelSpeed) {
+    const { idleRpm, revLimit, efficiency } = this.config;
+    
+    this.state.shiftTimer = Math.max(0, this.state.shiftTimer - dt);
+    this.state.limiterHoldTimer = Math.max(0, this.state.limiterHoldTimer - dt);
+    
+    // Engine speed follows the wheels through the gearbox; below idle the clutch slips
+    const ratio = this.getRatio();
+    const engineSpeed = Math.abs(wheelSpeed * ratio) / RPM_TO_RAD;
+    const isEngaged = ratio !== 0 && this.state.shiftTimer === 0;
+    
+    if (!isEngaged) {
+      // Clutch open: the engine free-revs towards the throttle position
+      const targetRpm = idleRpm + throttle * (revLimit - idleRpm);
+      this.state.rpm += (targetRpm - this.state.rpm) * Math.min(1, dt * 8);
+    } else {
+      this.state.rpm = Math.max(idleRpm, engineSpeed);
+    }
+    
+    // Automatic shifting follows road speed so wheelspin doesn't trigger upshifts
+    if (this.config.transmission === 'automatic' && this.state.gear > 0 && this.state.shiftTimer === 0) {
+      const shiftRpm = Math.abs(roadSpeed * ratio) / RPM_TO_RAD;
+      
+      // Also shift up when wheelspin holds the engine on the limiter, as long as the next gear
+      // keeps the engine clear of idle, and hold that gear so it doesn't drop straight back
+      const nextGearRpm = this.state.gear < this.gearCount ?
+        shiftRpm * this.getRatio(this.state.gear + 1) / ratio : 0;
+      const isStuckOnLimiter = this.state.isLimiting && nextGearRpm > (idleRpm + this.downshiftRpm) / 2;
+      
+      if ((shiftRpm > this.upshiftRpm || isStuckOnLimiter) && this.state.gear < this.gearCount) {
+        this.selectGear(this.state.gear + 1);
+        if (shiftRpm <= this.upshiftRpm) {
+          this.state.limiterHoldTimer = this.config.limiterHoldTime;
+        }
+      } else if (shiftRpm < this.downshiftRpm && this.state.gear > 1 && this.state.limiterHoldTimer === 0) {
+        // Only drop a gear if it won't immediately push us past the upshift point
+        const lowerRpm = shiftRpm * this.getRatio(this.state.gear - 1) / ratio;
+        if (lowerRpm < this.upshiftRpm * 0.9) {
+          this.selectGear(this.state.gear - 1);
+        }
+      }
+    }
+    
+    // Rev limiter fades torque out just below the limit
+    this.state.rpm = Math.min(this.state.rpm, revLimit);
+    const limiterFade = Math.max(0, Math.min(1, (revLimit - this.state.rpm) / this.config.limiterRange));
+    this.state.isLimiting = isEngaged && throttle > 0 && limiterFade < 1;
+    
+    if (ratio === 0 || this.state.shiftTimer > 0) {
+      return 0;
+    }
+    
+    // Engine torque, or engine braking with the throttle closed
+    let engineTorque = 0;
+    if (throttle > 0) {
+      engineTorque = this.getEngineTorque(this.state.rpm) * throttle * limiterFade;
+    } else if (throttle === 0) {
+      engineTorque = -this.config.engineBraking * (this.state.rpm / revLimit) * Math.sign(wheelSpeed * ratio);
+    }
+    
+    return engineTorque * ratio * efficiency;
+  }
+}
+
+export default Drivetrain;
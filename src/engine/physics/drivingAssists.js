@@ -0,0 +1,390 @@
+/**
+ * Driving assists for Velocity Rush
+ * Sits between player input and VehiclePhysics and adjusts the controls:
+ * ABS, traction control, stability control and racing line braking/steering aids
+ */
+
+import { Vector3 } from 'three';
+import assistPresets, { ASSIST_LEVELS } from '../../config/assists';
+
+class DrivingAssists {
+  /**
+   * @param {VehiclePhysics} vehiclePhysics - Vehicle the assists drive
+   * @param {Object} assistConfig - Assist levels and tuning overrides
+   */
+  constructor(vehiclePhysics, assistConfig) {
+    this.vehicle = vehiclePhysics;
+    
+    // Assist properties
+    this.config = {
+      // Assist levels ('off', 'low', 'medium', 'high')
+      ...assistPresets.medium,
+      
+      // ABS and traction control
+      absSlipRatio: 0.2, // Wheel slip allowed under braking at the highest level
+      tractionSlipRatio: 0.15, // Wheel slip allowed under power at the highest level
+      releaseRate: 6, // How quickly pedal pressure is backed off (per second)
+      recoveryRate: 6, // How quickly pedal pressure is restored (per second)
+      
+      // Stability control
+      yawRateTolerance: 0.1, // rad/s
+      maxSlipAngle: 0.1, // radians of body slip before correcting
+      slideCorrection: 1.5, // Steering correction per radian of body slip
+      
+      // Racing line aids
+      lineSpacing: 2, // meters between racing line points
+      curvatureWindow: 10, // meters either side used to measure corner tightness
+      cornerGrip: 0.85, // Fraction of tire grip used when working out corner speeds
+      brakingLookAhead: 80, // meters
+      steeringLookAhead: 12, // meters (grows with speed)
+      steeringBlend: 0.8, // Share of the steering taken over at the highest level
+      
+      // Override with provided config
+      ...assistConfig
+    };
+    
+    // Racing line
+    this.racingLine = [];
+    this.lineCurvature = [];
+    this.lineIndex = -1;
+    
+    // Pedal pressure let through by ABS and traction control
+    this.brakePressure = 1;
+    this.throttlePressure = 1;
+    
+    // Which assists intervened on the last update
+    this.active = {
+      abs: false,
+      tractionControl: false,
+      stabilityControl: false,
+      brakingAssist: false,
+      steeringAssist: false
+    };
+  }
+  
+  /**
+   * Set assist levels
+   * @param {Object} levels - Level per assist ('off', 'low', 'medium', 'high')
+   */
+  setLevels(levels) {
+    Object.assign(this.config, levels);
+  }
+  
+  /**
+   * Get how strongly an assist intervenes
+   * @param {string} assist - Assist name
+   * @returns {number} Strength (0-1)
+   */
+  getStrength(assist) {
+    return ASSIST_LEVELS[this.config[assist]] || 0;
+  }
+  
+  /**
+   * Set the line the braking and steering assists follow
+   * @param {Array<Vector3>} points - Points around the track in driving order (treated as a loop)
+   */
+  setRacingLine(points) {
+    this.racingLine = [];
+    this.lineCurvature = [];
+    this.lineIndex = -1;
+    
+    if (!points || points.length < 3) return;
+    
+    // Resample to even spacing so distances can be counted in points
+    const { lineSpacing } = this.config;
+    for (let i = 0; i < points.length; i++) {
+      const start = points[i];
+      const end = points[(i + 1) % points.length];
+      const steps = Math.max(1, Math.round(start.distanceTo(end) / lineSpacing));
+      
+      for (let j = 0; j < steps; j++) {
+        this.racingLine.push(new Vector3().lerpVectors(start, end, j / steps));
+      }
+    }
+    
+    // Curvature from the circle through points either side of each point
+    const span = Math.max(1, Math.round(this.config.curvatureWindow / lineSpacing));
+    this.lineCurvature = this.racingLine.map((point, i) => {
+      const before = this.getLinePoint(i - span);
+      const after = this.getLinePoint(i + span);
+      
+      const a = before.distanceTo(point);
+      const b = point.distanceTo(after);
+      const c = before.distanceTo(after);
+      const cross = (point.x - before.x) * (after.z - before.z) - (point.z - before.z) * (after.x - before.x);
+      
+      return a * b * c > 0 ? 2 * Math.abs(cross) / (a * b * c) : 0;
+    });
+  }
+  
+  /**
+   * Get a racing line point, wrapping around the loop
+   * @param {number} index - Point index
+   * @returns {Vector3} Racing line point
+   */
+  getLinePoint(index) {
+    const count = this.racingLine.length;
+    return this.racingLine[((index % count) + count) % count];
+  }
+  
+  /**
+   * Find the racing line point closest to the vehicle
+   * @returns {number} Point index
+   */
+  updateLineIndex() {
+    const position = this.vehicle.state.position;
+    const count = this.racingLine.length;
+    
+    // Search the whole line the first time, then only around the last match
+    const searchStart = this.lineIndex < 0 ? 0 : this.lineIndex - 10;
+    const searchLength = this.lineIndex < 0 ? count : 40;
+    
+    let closestIndex = this.lineIndex;
+    let closestDistance = Infinity;
+    
+    for (let i = searchStart; i < searchStart + searchLength; i++) {
+      const point = this.getLinePoint(i);
+      const dx = point.x - position.x;
+      const dz = point.z - position.z;
+      const distance = dx * dx + dz * dz;
+      
+      if (distance < closestDistance) {
+        closestDistance = distance;
+        closestIndex = ((i % count) + count) % count;
+      }
+    }
+    
+    this.lineIndex = closestIndex;
+    return closestIndex;
+  }
+  
+  /**
+   * Apply the assists to a set of controls
+   * @param {Object} controls - Player controls (throttle, brake, steering, ...)
+   * @param {number} dt - Delta time in seconds
+   * @returns {Object} Assisted controls for VehiclePhysics.setControls
+   */
+  apply(controls, dt) {
+    const assisted = { ...controls };
+    
+    // Racing line aids add input first, then the vehicle dynamics
+    // assists tidy up whatever the combined input asks for
+    if (this.racingLine.length > 0) {
+      this.updateLineIndex();
+    }
+    this.applySteeringAssist(assisted);
+    this.applyBrakingAssist(assisted);
+    this.applyStabilityControl(assisted);
+    this.applyTractionControl(assisted, dt);
+    this.applyAbs(assisted, dt);
+    
+    return assisted;
+  }
+  
+  /**
+   * Whether the gearbox is in reverse, which swaps the roles of the pedals
+   * @returns {boolean} True in reverse
+   */
+  isReversing() {
+    return this.vehicle.drivetrain.state.gear < 0;
+  }
+  
+  /**
+   * Steer towards a point ahead on the racing line (pure pursuit)
+   * @param {Object} controls - Controls to adjust
+   */
+  applySteeringAssist(controls) {
+    const strength = this.getStrength('steeringAssist');
+    this.active.steeringAssist = false;
+    
+    if (strength === 0 || this.racingLine.length === 0 || this.isReversing()) return;
+    
+    const { state, config } = this.vehicle;
+    const speed = Math.max(0, this.vehicle.getForwardSpeed());
+    const lookAhead = Math.max(this.config.steeringLookAhead, speed * 0.8);
+    const target = this.getLinePoint(this.lineIndex + Math.round(lookAhead / this.config.lineSpacing));
+    
+    // Target in vehicle space
+    const local = target.clone()
+      .sub(state.position)
+      .applyQuaternion(state.rotation.clone().invert());
+    const distanceSq = local.x * local.x + local.z * local.z;
+    if (distanceSq < 0.01) return;
+    
+    // Steering angle for the arc through the target point
+    const curvature = 2 * local.x / distanceSq;
+    const steerAngle = Math.atan(config.wheelBase * curvature);
+    const autoSteering = Math.max(-1, Math.min(1, steerAngle / config.maxSteeringAngle));
+    
+    controls.steering = (controls.steering || 0) +
+      (autoSteering - (controls.steering || 0)) * strength * this.config.steeringBlend;
+    this.active.steeringAssist = true;
+  }
+  
+  /**
+   * Brake ahead of corners on the racing line that are too fast to take
+   * @param {Object} controls - Controls to adjust
+   */
+  applyBrakingAssist(controls) {
+    const strength = this.getStrength('brakingAssist');
+    this.active.brakingAssist = false;
+    
+    const speed = this.vehicle.getForwardSpeed();
+    if (strength === 0 || this.racingLine.length === 0 || speed < 5) return;
+    
+    const { lineSpacing, brakingLookAhead, cornerGrip } = this.config;
+    const usableGrip = cornerGrip * this.vehicle.tireModel.config.peakFriction * 9.81;
+    
+    // Fastest speed we can be doing now and still slow down for every corner ahead
+    let targetSpeed = Infinity;
+    const lookAheadPoints = Math.round(brakingLookAhead / lineSpacing);
+    
+    for (let i = 0; i <= lookAheadPoints; i++) {
+      const curvature = this.lineCurvature[(this.lineIndex + i) % this.racingLine.length];
+      if (curvature <= 0) continue;
+      
+      const cornerSpeed = Math.sqrt(usableGrip / curvature);
+      const distance = i * lineSpacing;
+      targetSpeed = Math.min(targetSpeed, Math.sqrt(cornerSpeed * cornerSpeed + 2 * usableGrip * distance));
+    }
+    
+    if (speed <= targetSpeed) return;
+    
+    const brake = Math.min(1, (speed - targetSpeed) / 5) * strength;
+    controls.brake = Math.max(controls.brake || 0, brake);
+    controls.throttle = (controls.throttle || 0) * (1 - strength);
+    this.active.brakingAssist = true;
+  }
+  
+  /**
+   * Keep the car's yaw rate close to what the steering asks for by braking
+   * individual wheels, and help catch slides
+   * @param {Object} controls - Controls to adjust
+   */
+  applyStabilityControl(controls) {
+    const strength = this.getStrength('stabilityControl');
+    this.active.stabilityControl = false;
+    
+    // Per-wheel brakes (FL, FR, RL, RR), released unless a correction is needed
+    const wheelBrakes = [0, 0, 0, 0];
+    controls.wheelBrakes = wheelBrakes;
+    
+    const forwardSpeed = this.vehicle.getForwardSpeed();
+    if (strength === 0 || forwardSpeed < 5) return;
+    
+    const { state, config } = this.vehicle;
+    const speed = state.velocity.length();
+    const steering = controls.steering || 0;
+    
+    // Yaw rate the driver is asking for, limited by what the tires can deliver
+    const maxYawRate = this.vehicle.tireModel.config.peakFriction * 9.81 / speed;
+    const steerAngle = steering * config.maxSteeringAngle;
+    const desiredYawRate = Math.max(-maxYawRate, Math.min(maxYawRate,
+      forwardSpeed * Math.tan(steerAngle) / config.wheelBase));
+    
+    const upDir = new Vector3(0, 1, 0).applyQuaternion(state.rotation);
+    const yawRate = state.angularVelocity.dot(upDir);
+    const yawError = yawRate - desiredYawRate;
+    const slipAngle = this.vehicle.getSlipAngle();
+    
+    const isSliding = Math.abs(slipAngle) > this.config.maxSlipAngle;
+    const isOversteer = isSliding ||
+      (Math.abs(yawError) > this.config.yawRateTolerance && Math.sign(yawError) === Math.sign(yawRate));
+    const isUndersteer = !isOversteer && Math.abs(yawError) > this.config.yawRateTolerance;
+    
+    if (!isOversteer && !isUndersteer) return;
+    
+    const correction = Math.min(1, Math.abs(yawError) + Math.max(0, Math.abs(slipAngle) - this.config.maxSlipAngle));
+    const isTurningRight = yawRate > 0;
+    
+    if (isOversteer) {
+      // Brake the outside front wheel to pull the nose back, and steer into the slide
+      wheelBrakes[isTurningRight ? 0 : 1] = correction * strength;
+      controls.steering = Math.max(-1, Math.min(1,
+        steering + slipAngle * this.config.slideCorrection * strength));
+    } else {
+      // Running wide: brake the inside rear wheel to help the car turn in
+      wheelBrakes[isTurningRight ? 3 : 2] = correction * strength;
+    }
+    
+    controls.throttle = (controls.throttle || 0) * (1 - correction * strength * 0.5);
+    this.active.stabilityControl = true;
+  }
+  
+  /**
+   * Back off the drive pedal while the driven wheels are spinning
+   * @param {Object} controls - Controls to adjust
+   * @param {number} dt - Delta time in seconds
+   */
+  applyTractionControl(controls, dt) {
+    const strength = this.getStrength('tractionControl');
+    const pedal = this.isReversing() ? 'brake' : 'throttle';
+    
+    if (strength === 0 || !(controls[pedal] > 0)) {
+      this.throttlePressure = 1;
+      this.active.tractionControl = false;
+      return;
+    }
+    
+    const direction = this.isReversing() ? -1 : 1;
+    const threshold = this.config.tractionSlipRatio / strength;
+    const isSpinning = this.vehicle.state.wheels.some(wheel =>
+      wheel.isDriven && wheel.onGround && wheel.slipRatio * direction > threshold);
+    
+    this.throttlePressure = this.updatePressure(this.throttlePressure, isSpinning, dt);
+    controls[pedal] *= this.throttlePressure;
+    this.active.tractionControl = this.throttlePressure < 1;
+  }
+  
+  /**
+   * Back off the brake pedal while any wheel is locking
+   * @param {Object} controls - Controls to adjust
+   * @param {number} dt - Delta time in seconds
+   */
+  applyAbs(controls, dt) {
+    const strength = this.getStrength('abs');
+    const pedal = this.isReversing() ? 'throttle' : 'brake';
+    
+    if (strength === 0 || !(controls[pedal] > 0)) {
+      this.brakePressure = 1;
+      this.active.abs = false;
+      return;
+    }
+    
+    const direction = Math.sign(this.vehicle.getForwardSpeed());
+    const threshold = this.config.absSlipRatio / strength;
+    
+    // Rear wheels locked by the handbrake are meant to be, so they don't count
+    const { wheels, handbrake } = this.vehicle.state;
+    const isLocking = wheels.some(wheel =>
+      wheel.onGround && !(handbrake > 0 && !wheel.isFront) && wheel.slipRatio * direction < -threshold);
+    
+    this.brakePressure = this.updatePressure(this.brakePressure, isLocking, dt);
+    controls[pedal] *= this.brakePressure;
+    this.active.abs = this.brakePressure < 1;
+  }
+  
+  /**
+   * Release or restore pedal pressure
+   * @param {number} pressure - Current pressure (0-1)
+   * @param {boolean} isSlipping - Whether the wheels are past the slip threshold
+   * @param {number} dt - Delta time in seconds
+   * @returns {number} New pressure
+   */
+  updatePressure(pressure, isSlipping, dt) {
+    if (isSlipping) {
+      return Math.max(0.1, pressure - this.config.releaseRate * dt);
+    }
+    return Math.min(1, pressure + this.config.recoveryRate * dt);
+  }
+  
+  /**
+   * Get which assists are currently intervening
+   * @returns {Object} Active flag per assist
+   */
+  getActiveAssists() {
+    return { ...this.active };
+  }
+}
+
+export default DrivingAssists;
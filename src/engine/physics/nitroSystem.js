@@ -0,0 +1,112 @@
+/**
+ * Nitro boost for Velocity Rush
+ * Drains a nitro tank into extra thrust while the boost button is held, and
+ * refills it from drifting, air time and pickups
+ */
+
+class NitroSystem {
+  /**
+   * @param {VehiclePhysics} vehiclePhysics - Vehicle the nitro pushes
+   * @param {Object} nitroConfig - Tank and thrust overrides on top of the vehicle's `nitro` config
+   */
+  constructor(vehiclePhysics, nitroConfig) {
+    this.vehicle = vehiclePhysics;
+    
+    // Nitro properties
+    this.config = {
+      capacity: 3, // seconds of boost from a full tank
+      thrust: 5000, // newtons
+      maxSpeedBoost: 30, // km/h added to the vehicle's maxSpeed while boosting
+      startLevel: 1, // Fraction of the tank filled at the start
+      minLevel: 0.1, // Fraction needed to start boosting from empty
+      
+      // Refill rates (fraction of the tank per second)
+      driftRefill: 0.12,
+      airRefill: 0.25,
+      
+      // What counts as a drift
+      driftAngle: 10, // degrees of body slip
+      driftSpeed: 25, // km/h
+      
+      // Override with the vehicle's nitro config, then any provided config
+      ...vehiclePhysics.config.nitro,
+      ...nitroConfig
+    };
+    
+    this.state = {
+      level: this.config.startLevel, // 0 to 1
+      isBoosting: false
+    };
+  }
+  
+  /**
+   * Top up the tank
+   * @param {number} amount - Fraction of the tank to add (0-1)
+   */
+  addNitro(amount) {
+    this.state.level = Math.max(0, Math.min(1, this.state.level + amount));
+  }
+  
+  /**
+   * Refill the tank and reset boosting
+   */
+  reset() {
+    this.state.level = this.config.startLevel;
+    this.state.isBoosting = false;
+    this.vehicle.setBoost(0);
+  }
+  
+  /**
+   * Update the tank and the boost thrust on the vehicle
+   * @param {number} dt - Delta time in seconds
+   */
+  update(dt) {
+    const { capacity, thrust, maxSpeedBoost, minLevel } = this.config;
+    const vehicleState = this.vehicle.state;
+    
+    // Earn nitro by driving with style
+    const isAirborne = vehicleState.wheels.every(wheel => !wheel.onGround);
+    if (isAirborne) {
+      this.addNitro(this.config.airRefill * dt);
+    } else if (this.isDrifting()) {
+      this.addNitro(this.config.driftRefill * dt);
+    }
+    
+    // Boosting from an empty tank needs a minimum refill first, so tapping
+    // the button doesn't give a stutter of tiny boosts
+    const canBoost = this.state.isBoosting ? this.state.level > 0 : this.state.level >= minLevel;
+    this.state.isBoosting = vehicleState.boost && canBoost && this.vehicle.getForwardSpeed() > -1;
+    
+    if (this.state.isBoosting) {
+      this.state.level = Math.max(0, this.state.level - dt / capacity);
+      this.vehicle.setBoost(thrust, this.vehicle.config.maxSpeed + maxSpeedBoost);
+    } else {
+      this.vehicle.setBoost(0);
+    }
+  }
+  
+  /**
+   * Check whether the vehicle is sliding enough to earn nitro
+   * @returns {boolean} True while drifting
+   */
+  isDrifting() {
+    const slipAngle = Math.abs(this.vehicle.getSlipAngle()) * 180 / Math.PI;
+    
+    return slipAngle >= this.config.driftAngle &&
+      this.vehicle.state.speedKmh >= this.config.driftSpeed &&
+      this.vehicle.getForwardSpeed() > 0;
+  }
+  
+  /**
+   * Get the current nitro state
+   * @returns {Object} Nitro state (level 0-1, isBoosting)
+   */
+  getNitroState() {
+    return {
+      level: this.state.level,
+      isBoosting: this.state.isBoosting
+    };
+  }
+}
+
+export default NitroSystem;
@@ -0,0 +1,321 @@
+/**
+ * Oriented bounding box for Velocity Rush
+ * Follows an object's rotation so turned cars and barriers collide with their
+ * real footprint, and finds contact points, normals and penetration depth
+ */
+
+import { Vector3, Box3, Matrix4 } from 'three';
+
+// Reused for every test to keep collision checks free of allocations
+const _offset = new Vector3();
+const _axis = new Vector3();
+const _bestAxis = new Vector3();
+const _support = new Vector3();
+const _otherSupport = new Vector3();
+const _box = new Box3();
+const _matrix = new Matrix4();
+const _inverse = new Matrix4();
+
+// Edge-edge axes have to beat a face axis by this much to be picked, which keeps
+// the normal steady when a car slides along a barrier
+const EDGE_AXIS_BIAS = 1.05;
+
+/**
+ * Work out the box around an object's geometry in the object's own frame
+ * @param {Object3D} object - Mesh or group
+ * @param {Box3} target - Box to store the result in
+ * @returns {Box3} Local bounding box (empty if the object has no geometry)
+ */
+export function getLocalBox(object, target = new Box3()) {
+  object.updateWorldMatrix(true, true);
+  _inverse.copy(object.matrixWorld).invert();
+  target.makeEmpty();
+  
+  object.traverse(child => {
+    if (!child.geometry) return;
+    
+    if (!child.geometry.boundingBox) {
+      child.geometry.computeBoundingBox();
+    }
+    
+    _matrix.multiplyMatrices(_inverse, child.matrixWorld);
+    target.union(_box.copy(child.geometry.boundingBox).applyMatrix4(_matrix));
+  });
+  
+  return target;
+}
+
+class OrientedBox {
+  constructor() {
+    this.center = new Vector3();
+    this.halfSize = new Vector3(); // meters along each axis
+    this.axes = [new Vector3(1, 0, 0), new Vector3(0, 1, 0), new Vector3(0, 0, 1)];
+    this.corners = Array.from({ length: 8 }, () => new Vector3());
+  }
+  
+  /**
+   * Place the box around a local bounding box moved by an object's world matrix
+   * @param {Box3} localBox - Bounding box in the object's frame (see getLocalBox)
+   * @param {Matrix4} matrixWorld - The object's world matrix
+   * @returns {OrientedBox} This box
+   */
+  setFromLocalBox(localBox, matrixWorld) {
+    localBox.getCenter(this.center).applyMatrix4(matrixWorld);
+    localBox.getSize(this.halfSize).multiplyScalar(0.5);
+    
+    // The matrix columns are the object's axes, scaled
+    matrixWorld.extractBasis(this.axes[0], this.axes[1], this.axes[2]);
+    for (let i = 0; i < 3; i++) {
+      const scale = this.axes[i].length();
+      this.axes[i].divideScalar(scale || 1);
+      this.halfSize.setComponent(i, this.halfSize.getComponent(i) * scale);
+    }
+    
+    this.updateCorners();
+    return this;
+  }
+  
+  /**
+   * Copy another box
+   * @param {OrientedBox} box - Box to copy
+   * @returns {OrientedBox} This box
+   */
+  copy(box) {
+    this.center.copy(box.center);
+    this.halfSize.copy(box.halfSize);
+    for (let i = 0; i < 3; i++) {
+      this.axes[i].copy(box.axes[i]);
+    }
+    
+    this.updateCorners();
+    return this;
+  }
+  
+  /**
+   * Move the box without turning it
+   * @param {Vector3} offset - World offset in meters
+   * @returns {OrientedBox} This box
+   */
+  translate(offset) {
+    this.center.add(offset);
+    this.corners.forEach(corner => corner.add(offset));
+    return this;
+  }
+  
+  /**
+   * Recalculate the world positions of the corners
+   */
+  updateCorners() {
+    const [axisX, axisY, axisZ] = this.axes;
+    const { x, y, z } = this.halfSize;
+    
+    for (let i = 0; i < 8; i++) {
+      this.corners[i].copy(this.center)
+        .addScaledVector(axisX, i & 1 ? x : -x)
+        .addScaledVector(axisY, i & 2 ? y : -y)
+        .addScaledVector(axisZ, i & 4 ? z : -z);
+    }
+  }
+  
+  /**
+   * Get the world axis-aligned box around this box, for the broad phase
+   * @param {Box3} target - Box to store the result in
+   * @returns {Box3} Axis-aligned bounding box
+   */
+  getBoundingBox(target = new Box3()) {
+    return target.setFromPoints(this.corners);
+  }
+  
+  /**
+   * Check whether a point is inside the box
+   * @param {Vector3} point - World position
+   * @param {number} tolerance - meters of slack
+   * @returns {boolean} True if the point is inside
+   */
+  containsPoint(point, tolerance = 0.001) {
+    _offset.subVectors(point, this.center);
+    
+    for (let i = 0; i < 3; i++) {
+      if (Math.abs(_offset.dot(this.axes[i])) > this.halfSize.getComponent(i) + tolerance) {
+        return false;
+      }
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Get the point in the box closest to a point
+   * @param {Vector3} point - World position
+   * @param {Vector3} target - Vector to store the result in
+   * @returns {Vector3} Closest point in or on the box
+   */
+  clampPoint(point, target = new Vector3()) {
+    _offset.subVectors(point, this.center);
+    target.copy(this.center);
+    
+    for (let i = 0; i < 3; i++) {
+      const half = this.halfSize.getComponent(i);
+      const distance = Math.max(-half, Math.min(half, _offset.dot(this.axes[i])));
+      target.addScaledVector(this.axes[i], distance);
+    }
+    
+    return target;
+  }
+  
+  /**
+   * Find where a ray first hits the box
+   * @param {Vector3} origin - Ray start
+   * @param {Vector3} direction - Unit ray direction
+   * @param {number} maxDistance - Furthest hit to report, in meters
+   * @param {Object} hit - { point, normal, distance } to fill in on a hit
+   * @returns {boolean} True if the ray hits the box
+   */
+  raycast(origin, direction, maxDistance, hit) {
+    _offset.subVectors(origin, this.center);
+    let near = 0;
+    let far = maxDistance;
+    let hitAxis = -1;
+    let hitSide = 1;
+    
+    // Clip the ray between each pair of faces
+    for (let i = 0; i < 3; i++) {
+      const half = this.halfSize.getComponent(i);
+      const start = _offset.dot(this.axes[i]);
+      const speed = direction.dot(this.axes[i]);
+      
+      // Parallel to the faces; it misses unless it runs between them
+      if (Math.abs(speed) < 1e-9) {
+        if (Math.abs(start) > half) return false;
+        continue;
+      }
+      
+      const entry = (-Math.sign(speed) * half - start) / speed;
+      const exit = (Math.sign(speed) * half - start) / speed;
+      if (entry > near) {
+        near = entry;
+        hitAxis = i;
+        hitSide = -Math.sign(speed);
+      }
+      far = Math.min(far, exit);
+      if (near > far) return false;
+    }
+    
+    if (!hit) return true;
+    
+    hit.distance = near;
+    hit.point.copy(origin).addScaledVector(direction, near);
+    if (hitAxis === -1) {
+      // Started inside; report it right away, facing back along the ray
+      hit.normal.copy(direction).negate();
+    } else {
+      hit.normal.copy(this.axes[hitAxis]).multiplyScalar(hitSide);
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Get how far the box reaches along a direction from its center
+   * @param {Vector3} direction - Unit direction
+   * @returns {number} Projected half-length in meters
+   */
+  getProjectedRadius(direction) {
+    return (
+      Math.abs(this.axes[0].dot(direction)) * this.halfSize.x +
+      Math.abs(this.axes[1].dot(direction)) * this.halfSize.y +
+      Math.abs(this.axes[2].dot(direction)) * this.halfSize.z
+    );
+  }
+  
+  /**
+   * Get the corner furthest along a direction
+   * @param {Vector3} direction - Direction to search
+   * @param {Vector3} target - Vector to store the corner in
+   * @returns {Vector3} Furthest corner
+   */
+  getSupportPoint(direction, target = new Vector3()) {
+    target.copy(this.center);
+    for (let i = 0; i < 3; i++) {
+      const side = this.axes[i].dot(direction) >= 0 ? 1 : -1;
+      target.addScaledVector(this.axes[i], side * this.halfSize.getComponent(i));
+    }
+    return target;
+  }
+  
+  /**
+   * Test against another box with the separating axis theorem
+   * @param {OrientedBox} other - Box to test against
+   * @param {Object} contact - { point, normal, depth } to fill in when the boxes overlap;
+   *   the normal points from this box towards the other
+   * @returns {boolean} True if the boxes overlap
+   */
+  intersectsOrientedBox(other, contact) {
+    const offset = _offset.subVectors(other.center, this.center);
+    let minOverlap = Infinity;
+    let bestDistance = 0;
+    
+    // The three face normals of each box, then the nine edge-edge crossings
+    for (let i = 0; i < 15; i++) {
+      if (i < 3) {
+        _axis.copy(this.axes[i]);
+      } else if (i < 6) {
+        _axis.copy(other.axes[i - 3]);
+      } else {
+        _axis.crossVectors(this.axes[Math.floor((i - 6) / 3)], other.axes[(i - 6) % 3]);
+        
+        // Parallel edges don't give a usable axis
+        const length = _axis.length();
+        if (length < 1e-6) continue;
+        _axis.divideScalar(length);
+      }
+      
+      const distance = offset.dot(_axis);
+      const overlap = this.getProjectedRadius(_axis) + other.getProjectedRadius(_axis) - Math.abs(distance);
+      if (overlap < 0) return false;
+      
+      const score = i < 6 ? overlap : overlap * EDGE_AXIS_BIAS;
+      if (score < minOverlap) {
+        minOverlap = score;
+        bestDistance = distance;
+        _bestAxis.copy(_axis);
+      }
+    }
+    
+    if (!contact) return true;
+    
+    // Push apart along the axis of least overlap
+    contact.normal.copy(_bestAxis).multiplyScalar(bestDistance < 0 ? -1 : 1);
+    contact.depth = this.getProjectedRadius(_bestAxis) + other.getProjectedRadius(_bestAxis) - Math.abs(bestDistance);
+    
+    // The contact is where corners have gone into the other box
+    contact.point.set(0, 0, 0);
+    let count = 0;
+    for (const corner of this.corners) {
+      if (other.containsPoint(corner)) {
+        contact.point.add(corner);
+        count++;
+      }
+    }
+    for (const corner of other.corners) {
+      if (this.containsPoint(corner)) {
+        contact.point.add(corner);
+        count++;
+      }
+    }
+    
+    if (count > 0) {
+      contact.point.divideScalar(count);
+    } else {
+      // Edges crossing with no corner inside; meet halfway between the deepest points
+      this.getSupportPoint(contact.normal, _support);
+      _offset.copy(contact.normal).negate();
+      other.getSupportPoint(_offset, _otherSupport);
+      contact.point.addVectors(_support, _otherSupport).multiplyScalar(0.5);
+    }
+    
+    return true;
+  }
+}
+
+export default OrientedBox;
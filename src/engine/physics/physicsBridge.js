@@ -0,0 +1,333 @@
+/**
+ * Physics bridge for Velocity Rush
+ * The main thread's end of the physics worker (see physicsWorker). Sends the
+ * driver's controls and race commands over, and keeps the latest state the
+ * worker posts back so the car can be drawn between steps and the HUD filled in
+ */
+
+import { getLocalBox } from './orientedBox';
+import { getInputControls } from './driverControls';
+
+// Controls sent to the worker whenever one of them changes
+const CONTROL_KEYS = ['throttle', 'brake', 'steering', 'handbrake', 'boost', 'shiftUp', 'shiftDown'];
+
+/**
+ * Check whether physics can run in a worker here
+ * @returns {boolean} True if module workers are available
+ */
+export function isPhysicsWorkerSupported() {
+  return typeof Worker !== 'undefined';
+}
+
+class PhysicsBridge {
+  constructor() {
+    this.worker = null;
+    this.snapshot = null; // Latest state from the worker (see PhysicsWorld.getSnapshot)
+    this.receivedAt = 0; // ms, when the snapshot arrived
+    this.fixedTimeStep = 1 / 60;
+    this.controls = {};
+    this.isPaused = false;
+    this.timeScale = 1;
+    this.eventCallbacks = [];
+    
+    this.handleMessage = this.handleMessage.bind(this);
+  }
+  
+  /**
+   * Start the worker and build the physics world in it
+   * @param {Object} options - World options (see PhysicsWorld)
+   * @param {THREE.Object3D} vehicleObject - The car's model, measured for its collision box
+   * @param {number} fixedTimeStep - Time step in seconds
+   * @returns {PhysicsBridge} This bridge for chaining
+   */
+  init(options, vehicleObject = null, fixedTimeStep = this.fixedTimeStep) {
+    this.dispose();
+    this.fixedTimeStep = fixedTimeStep;
+    
+    const worldOptions = { ...options };
+    if (vehicleObject) {
+      const box = getLocalBox(vehicleObject);
+      worldOptions.vehicleBox = { min: box.min.toArray(), max: box.max.toArray() };
+    }
+    
+    this.worker = new Worker(new URL('./physicsWorker.js', import.meta.url), { type: 'module' });
+    this.worker.onmessage = this.handleMessage;
+    this.worker.onerror = (error) => console.error('Physics worker error:', error.message);
+    this.post('init', { options: worldOptions, fixedTimeStep });
+    return this;
+  }
+  
+  /**
+   * Send a message to the worker
+   * @param {string} type - Message type (see physicsWorker)
+   * @param {Object} data - Message data
+   */
+  post(type, data = {}) {
+    if (this.worker) {
+      this.worker.postMessage({ type, ...data });
+    }
+  }
+  
+  /**
+   * Handle a message from the worker
+   * @param {MessageEvent} message - Message from the worker
+   */
+  handleMessage({ data }) {
+    if (data.type === 'error') {
+      console.error('Physics worker failed to start:', data.message);
+      return;
+    }
+    
+    if (data.type === 'state') {
+      this.snapshot = data.snapshot;
+      this.receivedAt = performance.now();
+      this.fixedTimeStep = data.fixedTimeStep;
+      
+      data.events.forEach(event => {
+        this.eventCallbacks.forEach(callback => callback(event));
+      });
+    }
+  }
+  
+  /**
+   * Add a callback for race events from the worker
+   * @param {Function} callback - Function to call with each { type, data } event
+   * @returns {PhysicsBridge} This bridge for chaining
+   */
+  onEvent(callback) {
+    this.eventCallbacks.push(callback);
+    return this;
+  }
+  
+  /**
+   * Remove a callback
+   * @param {Function} callback - Function to remove
+   */
+  removeCallback(callback) {
+    this.eventCallbacks = this.eventCallbacks.filter(cb => cb !== callback);
+  }
+  
+  /**
+   * Set the driver's input; only changes are sent
+   * @param {Object} input - Input state (see useInputManager)
+   */
+  setInput(input) {
+    this.setControls(getInputControls(input));
+  }
+  
+  /**
+   * Set the driver's controls; only changes are sent
+   * @param {Object} controls - Controls (see VehiclePhysics.setControls)
+   */
+  setControls(controls) {
+    if (CONTROL_KEYS.every(key => controls[key] === this.controls[key])) return;
+    
+    this.controls = { ...controls };
+    this.post('controls', { controls: this.controls });
+  }
+  
+  /**
+   * Start the race clock and lap counting
+   */
+  startRace() {
+    this.post('startRace');
+  }
+  
+  /**
+   * Put the car on the grid and get ready for a new race
+   */
+  reset() {
+    this.post('reset');
+  }
+  
+  /**
+   * Reset the car to the track at the driver's request
+   */
+  requestRespawn() {
+    this.post('respawn');
+  }
+  
+  /**
+   * Set the gearbox mode
+   * @param {string} mode - 'automatic' or 'manual'
+   */
+  setTransmission(mode) {
+    this.post('transmission', { mode });
+  }
+  
+  /**
+   * Set driving assist levels
+   * @param {Object} levels - Level per assist ('off', 'low', 'medium', 'high')
+   */
+  setAssists(levels) {
+    this.post('assists', { levels });
+  }
+  
+  /**
+   * Set how much damage matters
+   * @param {string} mode - 'off', 'visual' or 'full'
+   */
+  setDamageMode(mode) {
+    this.post('damageMode', { mode });
+  }
+  
+  /**
+   * Enable or disable fuel use and tire wear
+   * @param {Object} options - { fuel, tireWear }
+   */
+  setFuelAndTireWear(options) {
+    this.post('fuelAndTireWear', { options });
+  }
+  
+  /**
+   * Stop or restart the worker's clock
+   * @param {boolean} paused - Whether the simulation should stop
+   */
+  setPaused(paused) {
+    if (paused === this.isPaused) return;
+    
+    this.isPaused = paused;
+    this.post('paused', { paused });
+  }
+  
+  /**
+   * Slow down or speed up the worker's clock
+   * @param {number} scale - Time scale factor
+   */
+  setTimeScale(scale) {
+    if (scale === this.timeScale) return;
+    
+    this.timeScale = scale;
+    this.post('timeScale', { scale });
+  }
+  
+  /**
+   * Run fixed steps in the worker straight away, e.g. while paused for debugging
+   * @param {number} steps - Number of fixed steps to run
+   */
+  step(steps = 1) {
+    this.post('step', { steps });
+  }
+  
+  /**
+   * Get how far the main thread is between the last two steps it has been sent
+   * @returns {number} Interpolation factor (0-1) for blending physics states
+   */
+  getInterpolationAlpha() {
+    if (this.isPaused || this.timeScale === 0) return 1;
+    
+    const stepTime = this.fixedTimeStep * 1000 / this.timeScale;
+    return Math.min(1, (performance.now() - this.receivedAt) / stepTime);
+  }
+  
+  /**
+   * Copy the latest state into a main thread vehicle, so the camera, the model
+   * and anything else reading the car see where the worker has it
+   * @param {VehiclePhysics} vehiclePhysics - Vehicle to update
+   */
+  applyTo(vehiclePhysics) {
+    if (!this.snapshot) return;
+    
+    const { vehicle, metrics } = this.snapshot;
+    const { state, previousState } = vehiclePhysics;
+    
+    state.position.fromArray(vehicle.position);
+    state.rotation.fromArray(vehicle.rotation);
+    state.velocity.fromArray(vehicle.velocity);
+    state.angularVelocity.fromArray(vehicle.angularVelocity);
+    state.steering = vehicle.steering;
+    state.wheels.forEach((wheel, i) => {
+      wheel.rotation = vehicle.wheelRotations[i];
+    });
+    state.speedKmh = metrics.speedKmh;
+    state.rpm = metrics.rpm;
+    state.gear = metrics.gear;
+    
+    previousState.position.fromArray(vehicle.previousPosition);
+    previousState.rotation.fromArray(vehicle.previousRotation);
+    previousState.steering = vehicle.previousSteering;
+    vehicle.previousWheelRotations.forEach((rotation, i) => {
+      previousState.wheelRotations[i] = rotation;
+    });
+  }
+  
+  /**
+   * Get the car's metrics for the HUD
+   * @returns {Object|null} Metrics (see VehiclePhysics.getPerformanceMetrics), or null before the first state
+   */
+  getPerformanceMetrics() {
+    return this.snapshot ? this.snapshot.metrics : null;
+  }
+  
+  /**
+   * Get the race state for the HUD
+   * @returns {Object|null} Race state (see CheckpointSystem.getRaceState), or null before the first state
+   */
+  getRaceState() {
+    return this.snapshot ? this.snapshot.raceState : null;
+  }
+  
+  /**
+   * Get the car's damage for the HUD
+   * @returns {Object|null} Damage state (see DamageModel.getDamageState), or null before the first state
+   */
+  getDamageState() {
+    return this.snapshot ? this.snapshot.damageState : null;
+  }
+  
+  /**
+   * Get respawn progress for the HUD
+   * @returns {Object|null} Respawn state (see RespawnSystem.getRespawnState), or null before the first state
+   */
+  getRespawnState() {
+    return this.snapshot ? this.snapshot.respawnState : null;
+  }
+  
+  /**
+   * Get the nitro tank for the HUD
+   * @returns {Object|null} Nitro state (see NitroSystem.getNitroState), or null before the first state
+   */
+  getNitroState() {
+    return this.snapshot ? this.snapshot.nitroState : null;
+  }
+  
+  /**
+   * Get how long each nitro pickup has left before it's back
+   * @returns {Array<number>|null} Seconds per pickup, or null without pickups or before the first state
+   */
+  getNitroPickupTimers() {
+    return this.snapshot ? this.snapshot.nitroPickupTimers : null;
+  }
+  
+  /**
+   * Get which driving assists are intervening
+   * @returns {Object|null} Active flag per assist (see DrivingAssists.getActiveAssists), or null before the first state
+   */
+  getActiveAssists() {
+    return this.snapshot ? this.snapshot.activeAssists : null;
+  }
+  
+  /**
+   * Get the drift score for the HUD
+   * @returns {Object|null} Drift state (see DriftMode.getDriftState), or null outside drift mode or before the first state
+   */
+  getDriftState() {
+    return this.snapshot ? this.snapshot.driftState : null;
+  }
+  
+  /**
+   * Stop the worker
+   */
+  dispose() {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+    this.snapshot = null;
+    this.controls = {};
+    this.isPaused = false;
+    this.timeScale = 1;
+  }
+}
+
+export default PhysicsBridge;
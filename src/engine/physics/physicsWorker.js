@@ -0,0 +1,144 @@
+/**
+ * Physics worker for Velocity Rush
+ * Runs a PhysicsWorld at a fixed rate off the main thread, so rendering and
+ * React re-renders can't hold the simulation up. Talks to PhysicsBridge:
+ *
+ * Messages in ({ type, ... }):
+ *   init - { options (see PhysicsWorld), fixedTimeStep }
+ *   controls - { controls } the driver's controls (see VehiclePhysics.setControls)
+ *   startRace, reset, respawn - Race control
+ *   transmission - { mode }
+ *   assists - { levels } driving assist levels
+ *   damageMode - { mode }
+ *   fuelAndTireWear - { options }
+ *   paused - { paused } stop or restart the clock; the world can still be stepped
+ *   timeScale - { scale } slow down or speed up the clock
+ *   step - { steps } run fixed steps straight away, e.g. while paused for debugging
+ *   dispose - Stop and close the worker
+ *
+ * Messages out:
+ *   state - { snapshot (see PhysicsWorld.getSnapshot), events, steps, fixedTimeStep }
+ *     after every batch of steps
+ *   error - { message } if the world couldn't be built
+ */
+
+import PhysicsWorld from './physicsWorld';
+
+// Longest stretch of time made up in one go, so a stalled worker doesn't spiral
+const MAX_CATCH_UP = 0.1; // seconds
+
+let world = null;
+let fixedTimeStep = 1 / 60;
+let timeScale = 1;
+let isPaused = false;
+let accumulatedTime = 0;
+let lastTime = 0;
+let timer = null;
+
+/**
+ * Run the fixed steps due since the last tick and post the result
+ */
+function tick() {
+  const now = performance.now() / 1000;
+  const deltaTime = Math.min(now - lastTime, MAX_CATCH_UP);
+  lastTime = now;
+  if (isPaused) return;
+  
+  accumulatedTime += deltaTime * timeScale;
+  runSteps(Math.floor(accumulatedTime / fixedTimeStep));
+}
+
+/**
+ * Step the world and post the state back
+ * @param {number} steps - Number of fixed steps to run
+ */
+function runSteps(steps) {
+  if (steps <= 0) return;
+  
+  for (let i = 0; i < steps; i++) {
+    world.step(fixedTimeStep);
+  }
+  accumulatedTime = Math.max(0, accumulatedTime - steps * fixedTimeStep);
+  
+  postState(steps);
+}
+
+/**
+ * Post the world's state and the race events since the last post
+ * @param {number} steps - Number of fixed steps run since the last post
+ */
+function postState(steps) {
+  self.postMessage({
+    type: 'state',
+    snapshot: world.getSnapshot(),
+    events: world.takeEvents(),
+    steps,
+    fixedTimeStep
+  });
+}
+
+self.onmessage = ({ data }) => {
+  if (data.type === 'init') {
+    try {
+      world = new PhysicsWorld(data.options);
+    } catch (error) {
+      self.postMessage({ type: 'error', message: error.message });
+      return;
+    }
+    
+    fixedTimeStep = data.fixedTimeStep || fixedTimeStep;
+    lastTime = performance.now() / 1000;
+    timer = setInterval(tick, fixedTimeStep * 1000 / 2);
+    
+    // Let the main thread draw the car on the grid straight away
+    postState(0);
+    return;
+  }
+  
+  if (data.type === 'dispose') {
+    clearInterval(timer);
+    self.close();
+    return;
+  }
+  
+  if (!world) return;
+  
+  switch (data.type) {
+    case 'controls':
+      world.setControls(data.controls);
+      break;
+    case 'startRace':
+      world.startRace();
+      break;
+    case 'reset':
+      world.reset();
+      accumulatedTime = 0;
+      postState(0);
+      break;
+    case 'respawn':
+      world.requestRespawn();
+      postState(0);
+      break;
+    case 'transmission':
+      world.setTransmission(data.mode);
+      break;
+    case 'assists':
+      world.setAssists(data.levels);
+      break;
+    case 'damageMode':
+      world.setDamageMode(data.mode);
+      break;
+    case 'fuelAndTireWear':
+      world.setFuelAndTireWear(data.options);
+      break;
+    case 'paused':
+      isPaused = data.paused;
+      break;
+    case 'timeScale':
+      timeScale = Math.max(0, data.scale);
+      break;
+    case 'step':
+      runSteps(data.steps || 1);
+      break;
+  }
+};
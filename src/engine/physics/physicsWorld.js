@@ -0,0 +1,367 @@
+/**
+ * Physics world for Velocity Rush
+ * The player's car, the track's barriers and triggers, and the checkpoints,
+ * stepped together with no renderer or DOM. Built from plain options, so it
+ * can run in a worker (see physicsWorker) as easily as on the main thread.
+ * The driving assists, nitro, slipstream and drift scoring run here too, since
+ * they all read or push the car every step.
+ * Race events are queued as plain objects for whoever runs the world to collect
+ */
+
+import { Mesh, BoxGeometry } from 'three';
+import VehiclePhysics from './vehiclePhysics';
+import DrivingAssists from './drivingAssists';
+import NitroSystem from './nitroSystem';
+import Slipstream from './slipstream';
+import CollisionSystem from './collisionSystem';
+import DamageModel from './damageModel';
+import RespawnSystem from './respawnSystem';
+import { GRID_CONTROLS } from './driverControls';
+import TrackBuilder from '../../components/game/tracks/TrackBuilder';
+import CheckpointSystem from '../../components/game/tracks/CheckpointSystem';
+import NitroPickups from '../../components/game/tracks/NitroPickups';
+import DriftMode from '../../components/game/modes/DriftMode';
+
+class PhysicsWorld {
+  /**
+   * @param {Object} options - World options
+   * @param {Object} options.vehicle - Vehicle physics config (see VehiclePhysics)
+   * @param {Object} options.vehicleBox - The car's collision box in its own frame ({ min, max } as [x, y, z])
+   * @param {string} options.layout - Track layout (see TrackBuilder.buildLayout)
+   * @param {string} options.trackSurface - Road surface (see config/surfaces)
+   * @param {Object} options.surfaceSections - Surfaces by segment index where the road differs
+   * @param {string} options.groundSurface - Surface off the track
+   * @param {string} options.barrierMaterial - Barrier collision material (see config/collisionMaterials)
+   * @param {number} options.totalLaps - Laps in the race
+   * @param {string} options.transmission - Gearbox ('automatic' or 'manual')
+   * @param {string} options.damage - Damage mode ('off', 'visual' or 'full')
+   * @param {boolean} options.fuel - Whether fuel is used up
+   * @param {boolean} options.tireWear - Whether tires wear out
+   * @param {Object} options.assists - Driving assist levels (see DrivingAssists)
+   * @param {boolean} options.nitroPickups - Whether the track has nitro pickups
+   * @param {string} options.gameMode - 'race' or 'drift', which also scores drifts
+   */
+  constructor({
+    vehicle = {},
+    vehicleBox = { min: [-0.9, 0, -2.2], max: [0.9, 1.3, 2.2] },
+    layout = 'circuit',
+    trackSurface = 'asphalt',
+    surfaceSections = {},
+    groundSurface = 'grass',
+    barrierMaterial,
+    totalLaps = 3,
+    transmission = 'automatic',
+    damage = 'full',
+    fuel = false,
+    tireWear = false,
+    assists,
+    nitroPickups = false,
+    gameMode = 'race'
+  } = {}) {
+    this.events = []; // Race events since they were last taken
+    this.stepCount = 0;
+    this.isRaceStarted = false;
+    this.controls = {}; // The driver's controls, before the assists
+    
+    // The track, for the ground, barriers and checkpoints
+    this.trackBuilder = new TrackBuilder().buildLayout(layout);
+    this.trackBuilder.setTrackSurface(trackSurface, surfaceSections);
+    this.trackBuilder.setGroundSurface(groundSurface);
+    
+    // A pit box beside the track, for races with fuel or tires to look after
+    if (fuel || tireWear) {
+      this.trackBuilder.addPitBox();
+    }
+    
+    // The car, put on the grid
+    this.vehiclePhysics = new VehiclePhysics(vehicle);
+    this.vehiclePhysics.setTransmission(transmission);
+    this.vehiclePhysics.setFuelAndTireWear({ fuel, tireWear });
+    this.vehiclePhysics.onLanded = (jump) => this.emit('landed', jump);
+    this.resetVehicle();
+    
+    // Assists between the driver's controls and the car
+    this.drivingAssists = new DrivingAssists(this.vehiclePhysics, assists);
+    this.drivingAssists.setRacingLine(this.trackBuilder.getCenterline());
+    
+    // Nitro tank, topped up by pickups on tracks that have them
+    this.nitroSystem = new NitroSystem(this.vehiclePhysics);
+    this.nitroPickups = null;
+    if (nitroPickups) {
+      this.nitroPickups = new NitroPickups();
+      this.nitroPickups.init(this.trackBuilder.getBoostPositions());
+    }
+    
+    this.slipstream = new Slipstream();
+    this.slipstream.addVehicle(this.vehiclePhysics);
+    
+    // A box standing in for the car's model
+    const [minX, minY, minZ] = vehicleBox.min;
+    const [maxX, maxY, maxZ] = vehicleBox.max;
+    const geometry = new BoxGeometry(maxX - minX, maxY - minY, maxZ - minZ);
+    geometry.translate((minX + maxX) / 2, (minY + maxY) / 2, (minZ + maxZ) / 2);
+    this.vehicleObject = new Mesh(geometry);
+    this.vehicleObject.userData.vehicle = this.vehiclePhysics;
+    
+    // Ground, barriers and the car
+    this.collisionSystem = new CollisionSystem();
+    this.collisionSystem.setGround((x, z) => this.trackBuilder.getSurfaceAt(x, z));
+    this.collisionSystem.setTrackColliders(this.trackBuilder.getColliders(), barrierMaterial);
+    this.collisionSystem.registerCollider(this.vehicleObject, null, { material: 'vehicle' });
+    this.getSurfaceAt = (x, z) => this.collisionSystem.getGroundAt(x, z);
+    
+    const handleCollision = this.handleCollision.bind(this);
+    this.collisionSystem.events.onBegin(handleCollision).onPersist(handleCollision);
+    
+    // Laps and pit stops, detected with triggers
+    this.checkpointSystem = new CheckpointSystem();
+    this.checkpointSystem.init(this.trackBuilder.getCheckpoints(), {
+      totalLaps,
+      onLapCompleted: (lapData) => this.emit('lapCompleted', lapData),
+      onCheckpointPassed: ({ index }) => this.emit('checkpointPassed', { index }),
+      onRaceFinished: (raceData) => this.emit('raceFinished', raceData),
+      pitBox: this.trackBuilder.getPitBox(),
+      onPitStop: this.handlePitStop.bind(this),
+      visualize: false
+    });
+    this.checkpointSystem.createTriggers(this.collisionSystem, this.vehicleObject);
+    
+    this.damageModel = new DamageModel(this.vehiclePhysics, { mode: damage });
+    
+    // Back at the last checkpoint passed, or on the grid before the first one
+    this.respawnSystem = new RespawnSystem(this.vehiclePhysics);
+    this.respawnSystem.getRespawnPoint = () => {
+      const checkpoint = this.checkpointSystem.getLastCheckpoint();
+      if (!checkpoint) {
+        return {
+          position: this.trackBuilder.getStartPosition(),
+          rotation: this.trackBuilder.getStartRotation()
+        };
+      }
+      
+      return this.trackBuilder.getRespawnPoint(checkpoint.position);
+    };
+    this.respawnSystem.isInBounds = (position) => this.trackBuilder.getDistanceToTrack(position) < 40;
+    this.respawnSystem.onRespawn = this.handleRespawn.bind(this);
+    
+    // Drift mode scores drifts on top of the usual laps
+    this.driftMode = null;
+    if (gameMode === 'drift') {
+      this.driftMode = new DriftMode();
+      this.driftMode.init({
+        onDriftCompleted: (driftData) => this.emit('driftCompleted', driftData),
+        onDriftFailed: (driftData) => this.emit('driftFailed', driftData)
+      });
+    }
+  }
+  
+  /**
+   * Queue a race event
+   * @param {string} type - Event type
+   * @param {Object} data - Event data, which must survive being posted between threads
+   */
+  emit(type, data) {
+    this.events.push({ type, data });
+  }
+  
+  /**
+   * Take the race events queued since the last call
+   * @returns {Array<Object>} { type, data } per event, oldest first
+   */
+  takeEvents() {
+    const events = this.events;
+    this.events = [];
+    return events;
+  }
+  
+  /**
+   * Set the driver's controls, held until they change
+   * @param {Object} controls - Controls (see VehiclePhysics.setControls)
+   */
+  setControls(controls) {
+    this.controls = { ...controls };
+  }
+  
+  /**
+   * Advance the world by one fixed step, in the same order as the game loop's
+   * phases: nitro and drafting, then the car, then collisions and triggers,
+   * then respawns, laps and drift scoring
+   * @param {number} deltaTime - Time step in seconds
+   */
+  step(deltaTime) {
+    const isRacing = this.isRaceStarted && !this.checkpointSystem.isRaceFinished;
+    const { state } = this.vehiclePhysics;
+    
+    if (this.nitroPickups) {
+      this.nitroSystem.addNitro(this.nitroPickups.update(deltaTime, state.position));
+    }
+    this.nitroSystem.update(deltaTime);
+    this.slipstream.update();
+    
+    // The car is held on the grid until the race starts
+    const controls = this.isRaceStarted ? this.controls : GRID_CONTROLS;
+    this.vehiclePhysics.setControls(this.drivingAssists.apply(controls, deltaTime));
+    this.vehiclePhysics.update(deltaTime, this.getSurfaceAt);
+    this.collisionSystem.update(deltaTime);
+    
+    if (isRacing) {
+      this.respawnSystem.update(deltaTime);
+    }
+    this.checkpointSystem.update(deltaTime, state.position, state.speedKmh);
+    if (this.driftMode && isRacing) {
+      this.driftMode.update(deltaTime, this.vehiclePhysics);
+    }
+    
+    this.stepCount++;
+  }
+  
+  /**
+   * Put the car on the grid and get everything ready for a new race
+   */
+  reset() {
+    this.isRaceStarted = false;
+    this.checkpointSystem.reset();
+    this.damageModel.reset();
+    this.respawnSystem.reset();
+    this.nitroSystem.reset();
+    if (this.nitroPickups) {
+      this.nitroPickups.reset();
+    }
+    if (this.driftMode) {
+      this.driftMode.reset();
+    }
+    this.vehiclePhysics.refuel();
+    this.vehiclePhysics.changeTires();
+    this.resetVehicle();
+  }
+  
+  /**
+   * Put the car on the grid
+   */
+  resetVehicle() {
+    this.vehiclePhysics.resetTo(this.trackBuilder.getStartPosition(), this.trackBuilder.getStartRotation());
+  }
+  
+  /**
+   * Start the race clock and lap counting
+   */
+  startRace() {
+    this.isRaceStarted = true;
+    this.checkpointSystem.startRace();
+  }
+  
+  /**
+   * Reset the car to the track at the driver's request
+   */
+  requestRespawn() {
+    this.respawnSystem.requestReset();
+  }
+  
+  /**
+   * Set the gearbox mode
+   * @param {string} mode - 'automatic' or 'manual'
+   */
+  setTransmission(mode) {
+    this.vehiclePhysics.setTransmission(mode);
+  }
+  
+  /**
+   * Set driving assist levels
+   * @param {Object} levels - Level per assist ('off', 'low', 'medium', 'high')
+   */
+  setAssists(levels) {
+    this.drivingAssists.setLevels(levels);
+  }
+  
+  /**
+   * Set how much damage matters
+   * @param {string} mode - 'off', 'visual' or 'full'
+   */
+  setDamageMode(mode) {
+    this.damageModel.setMode(mode);
+  }
+  
+  /**
+   * Enable or disable fuel use and tire wear
+   * @param {Object} options - { fuel, tireWear }
+   */
+  setFuelAndTireWear(options) {
+    this.vehiclePhysics.setFuelAndTireWear(options);
+  }
+  
+  /**
+   * Handle the car hitting something: damage it, and report hard hits
+   * @param {Object} event - Collision event (see engine/physics/collisionEvents)
+   */
+  handleCollision(event) {
+    const isA = event.objectA === this.vehicleObject;
+    if (!isA && event.objectB !== this.vehicleObject) return;
+    
+    const normal = isA ? event.normal : event.normal.clone().negate();
+    this.damageModel.applyImpact(normal, event.relativeSpeed, isA ? event.massB : event.massA);
+    
+    // Scrapes and taps aren't worth reporting
+    if (event.type !== 'begin' || event.relativeSpeed < 5) return;
+    
+    this.emit('impact', {
+      speed: event.relativeSpeed,
+      impulse: event.impulse,
+      material: isA ? event.materialB : event.materialA
+    });
+  }
+  
+  /**
+   * Handle a pit stop: refuel and fit fresh tires
+   * @param {Object} pitData - Pit stop data
+   */
+  handlePitStop(pitData) {
+    this.vehiclePhysics.refuel();
+    this.vehiclePhysics.changeTires();
+    this.emit('pitStop', pitData);
+  }
+  
+  /**
+   * Handle the car being put back on the track; manual resets cost time
+   * @param {Object} respawnData - Respawn data ({ reason, penalty, respawns })
+   */
+  handleRespawn(respawnData) {
+    if (respawnData.penalty > 0) {
+      this.checkpointSystem.addPenalty(respawnData.penalty);
+    }
+    this.emit('respawned', respawnData);
+  }
+  
+  /**
+   * Get everything the main thread needs to draw the car and fill in the HUD
+   * @returns {Object} Plain snapshot of the car's transform, metrics and race state
+   */
+  getSnapshot() {
+    const { state, previousState } = this.vehiclePhysics;
+    
+    return {
+      step: this.stepCount,
+      vehicle: {
+        position: state.position.toArray(),
+        rotation: state.rotation.toArray(),
+        velocity: state.velocity.toArray(),
+        angularVelocity: state.angularVelocity.toArray(),
+        steering: state.steering,
+        wheelRotations: state.wheels.map(wheel => wheel.rotation),
+        previousPosition: previousState.position.toArray(),
+        previousRotation: previousState.rotation.toArray(),
+        previousSteering: previousState.steering,
+        previousWheelRotations: [...previousState.wheelRotations]
+      },
+      metrics: this.vehiclePhysics.getPerformanceMetrics(),
+      raceState: this.checkpointSystem.getRaceState(),
+      damageState: this.damageModel.getDamageState(),
+      respawnState: this.respawnSystem.getRespawnState(),
+      nitroState: this.nitroSystem.getNitroState(),
+      nitroPickupTimers: this.nitroPickups ? this.nitroPickups.pickups.map(pickup => pickup.respawnTimer) : null,
+      activeAssists: this.drivingAssists.getActiveAssists(),
+      driftState: this.driftMode ? this.driftMode.getDriftState() : null
+    };
+  }
+}
+
+export default PhysicsWorld;
@@ -0,0 +1,156 @@
+/**
+ * Respawn service for Velocity Rush
+ * Puts the car back on the track when it's flipped, stuck or out of bounds,
+ * or when the driver asks for a reset
+ */
+
+import { Vector3 } from 'three';
+
+class RespawnSystem {
+  /**
+   * @param {VehiclePhysics} vehiclePhysics - The vehicle to look after
+   * @param {Object} respawnConfig - Configuration overrides
+   */
+  constructor(vehiclePhysics, respawnConfig) {
+    this.vehicle = vehiclePhysics;
+    
+    // Respawn properties
+    this.config = {
+      flipTime: 2, // seconds on its roof or side before respawning
+      flipUpright: 0.3, // Upward component of the car's up axis below which it counts as flipped
+      stuckTime: 4, // seconds of pedal input without getting anywhere before respawning
+      stuckSpeed: 3, // km/h
+      outOfBoundsTime: 3, // seconds out of bounds before respawning
+      minHeight: -20, // meters, falling below this respawns straight away
+      manualPenalty: 5, // seconds added to the race time for a manual reset
+      cooldown: 2, // seconds after a respawn before the next one
+      
+      // Override with provided config
+      ...respawnConfig
+    };
+    
+    this.timers = { flipped: 0, stuck: 0, outOfBounds: 0 }; // seconds each condition has lasted
+    this.cooldown = 0;
+    this.respawns = 0;
+    
+    this.getRespawnPoint = null; // Returns { position, rotation } to put the car down at
+    this.isInBounds = null; // Returns whether a position is within the playable area
+    this.onRespawn = null;
+  }
+  
+  /**
+   * Reset for a new race
+   */
+  reset() {
+    this.clearTimers();
+    this.cooldown = 0;
+    this.respawns = 0;
+  }
+  
+  /**
+   * Clear the flipped, stuck and out of bounds timers
+   */
+  clearTimers() {
+    this.timers.flipped = 0;
+    this.timers.stuck = 0;
+    this.timers.outOfBounds = 0;
+  }
+  
+  /**
+   * Watch for a car in trouble and respawn it once it's been stuck long enough
+   * @param {number} deltaTime - Time since last update in seconds
+   * @returns {string|null} Reason the car was respawned, or null
+   */
+  update(deltaTime) {
+    this.cooldown = Math.max(0, this.cooldown - deltaTime);
+    if (this.cooldown > 0) return null;
+    
+    const { state } = this.vehicle;
+    
+    // Falling off the world can't be recovered from
+    if (state.position.y < this.config.minHeight) {
+      return this.respawn('outOfBounds') ? 'outOfBounds' : null;
+    }
+    
+    // On its roof or side
+    const up = new Vector3(0, 1, 0).applyQuaternion(state.rotation);
+    this.timers.flipped = up.y < this.config.flipUpright ? this.timers.flipped + deltaTime : 0;
+    
+    // The driver is trying to go somewhere but the car isn't moving
+    const isTrying = state.throttle > 0.5 || state.brake > 0.5;
+    const isStuck = isTrying && state.speedKmh < this.config.stuckSpeed;
+    this.timers.stuck = isStuck ? this.timers.stuck + deltaTime : 0;
+    
+    // Off the edge of the playable area
+    const isOutOfBounds = this.isInBounds ? !this.isInBounds(state.position) : false;
+    this.timers.outOfBounds = isOutOfBounds ? this.timers.outOfBounds + deltaTime : 0;
+    
+    let reason = null;
+    if (this.timers.flipped >= this.config.flipTime) {
+      reason = 'flipped';
+    } else if (this.timers.outOfBounds >= this.config.outOfBoundsTime) {
+      reason = 'outOfBounds';
+    } else if (this.timers.stuck >= this.config.stuckTime) {
+      reason = 'stuck';
+    }
+    
+    return reason && this.respawn(reason) ? reason : null;
+  }
+  
+  /**
+   * Reset the car to the track at the driver's request
+   * @returns {boolean} True if the car was reset
+   */
+  requestReset() {
+    if (this.cooldown > 0) return false;
+    
+    return this.respawn('manual');
+  }
+  
+  /**
+   * Put the car back on the track
+   * @param {string} reason - 'flipped', 'stuck', 'outOfBounds' or 'manual'
+   * @returns {boolean} True if the car was respawned
+   */
+  respawn(reason) {
+    const point = this.getRespawnPoint ? this.getRespawnPoint() : null;
+    if (!point) return false;
+    
+    this.vehicle.resetTo(point.position, point.rotation);
+    this.clearTimers();
+    this.cooldown = this.config.cooldown;
+    this.respawns++;
+    
+    // Call respawn callback
+    if (this.onRespawn) {
+      this.onRespawn({
+        reason,
+        penalty: reason === 'manual' ? this.config.manualPenalty : 0,
+        respawns: this.respawns
+      });
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Get respawn state for UI
+   * @returns {Object} Respawn state
+   */
+  getRespawnState() {
+    // Progress towards the automatic respawn that's closest to happening
+    const progress = Math.max(
+      this.timers.flipped / this.config.flipTime,
+      this.timers.stuck / this.config.stuckTime,
+      this.timers.outOfBounds / this.config.outOfBoundsTime
+    );
+    
+    return {
+      respawns: this.respawns,
+      progress: Math.min(1, progress),
+      canReset: this.cooldown === 0
+    };
+  }
+}
+
+export default RespawnSystem;
@@ -0,0 +1,93 @@
+/**
+ * Slipstream (drafting) for Velocity Rush
+ * Each car leaves a cone-shaped wake behind it; a car following inside
+ * another's wake gets less drag (and less downforce), more so the closer it is
+ */
+
+import { Vector3 } from 'three';
+
+class Slipstream {
+  constructor(slipstreamConfig) {
+    // Wake properties
+    this.config = {
+      wakeLength: 40, // meters behind the car
+      wakeWidth: 2, // meters, width of the wake right behind the car
+      wakeSpread: 0.15, // extra half-width per meter behind the car
+      minSpeed: 60, // km/h the leading car must be doing to leave a useful wake
+      
+      // Override with provided config
+      ...slipstreamConfig
+    };
+    
+    this.vehicles = [];
+  }
+  
+  /**
+   * Register a vehicle that leaves a wake and can draft others
+   * @param {VehiclePhysics} vehiclePhysics - The vehicle to add
+   */
+  addVehicle(vehiclePhysics) {
+    if (!this.vehicles.includes(vehiclePhysics)) {
+      this.vehicles.push(vehiclePhysics);
+    }
+  }
+  
+  /**
+   * Unregister a vehicle
+   * @param {VehiclePhysics} vehiclePhysics - The vehicle to remove
+   */
+  removeVehicle(vehiclePhysics) {
+    this.vehicles = this.vehicles.filter(vehicle => vehicle !== vehiclePhysics);
+    vehiclePhysics.setDraft(0);
+  }
+  
+  /**
+   * Work out how deep each vehicle sits in the others' wakes and pass it to its physics
+   */
+  update() {
+    for (const follower of this.vehicles) {
+      let draft = 0;
+      
+      for (const leader of this.vehicles) {
+        if (leader !== follower) {
+          draft = Math.max(draft, this.getDraft(leader, follower));
+        }
+      }
+      
+      follower.setDraft(draft);
+    }
+  }
+  
+  /**
+   * Get how deep one vehicle sits in another's wake
+   * @param {VehiclePhysics} leader - Vehicle leaving the wake
+   * @param {VehiclePhysics} follower - Vehicle that may be in it
+   * @returns {number} 0 (clean air) to 1 (right behind the leader)
+   */
+  getDraft(leader, follower) {
+    const { wakeLength, wakeWidth, wakeSpread, minSpeed } = this.config;
+    
+    if (leader.state.speedKmh < minSpeed) return 0;
+    
+    // The wake trails straight back from the leader's direction of travel
+    const wakeDir = leader.state.velocity.clone().normalize().negate();
+    const offset = follower.state.position.clone().sub(leader.state.position);
+    
+    const distanceBehind = offset.dot(wakeDir);
+    if (distanceBehind <= 0 || distanceBehind >= wakeLength) return 0;
+    
+    // Cone: the wake widens but weakens further back
+    const halfWidth = wakeWidth / 2 + distanceBehind * wakeSpread;
+    const lateralOffset = offset.sub(wakeDir.clone().multiplyScalar(distanceBehind)).length();
+    if (lateralOffset >= halfWidth) return 0;
+    
+    // Only following cars benefit, not ones crossing the wake
+    const followerDir = follower.state.velocity.lengthSq() > 1 ?
+      follower.state.velocity.clone().normalize() : new Vector3();
+    const alignment = Math.max(0, -followerDir.dot(wakeDir));
+    
+    return (1 - distanceBehind / wakeLength) * (1 - lateralOffset / halfWidth) * alignment;
+  }
+}
+
+export default Slipstream;
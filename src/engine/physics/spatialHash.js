@@ -0,0 +1,191 @@
+/**
+ * Spatial hash for Velocity Rush
+ * Buckets bounding boxes into a uniform grid on the ground plane so collision
+ * checks only look at objects in nearby cells
+ */
+
+// Cells either side of the origin that keys can address exactly
+const GRID_EXTENT = 32768;
+
+class SpatialHash {
+  /**
+   * @param {number} cellSize - Width of a grid cell in meters
+   */
+  constructor(cellSize = 20) {
+    this.cellSize = cellSize;
+    this.cells = new Map(); // Cell key -> entries overlapping the cell
+    this.entries = new Map(); // Item -> { item, minX, maxX, minZ, maxZ, queryId }
+    this.queryId = 0;
+  }
+  
+  /**
+   * Get the key of a grid cell
+   * @param {number} x - Cell column
+   * @param {number} z - Cell row
+   * @returns {number} Cell key
+   */
+  getKey(x, z) {
+    return (x + GRID_EXTENT) * GRID_EXTENT * 2 + (z + GRID_EXTENT);
+  }
+  
+  /**
+   * Add an item to the grid
+   * @param {*} item - The item to add
+   * @param {Box3} box - The item's world bounding box
+   */
+  insert(item, box) {
+    const entry = { item, minX: 0, maxX: -1, minZ: 0, maxZ: -1, queryId: 0 };
+    this.entries.set(item, entry);
+    
+    this.setCellRange(entry, box);
+    this.addToCells(entry);
+  }
+  
+  /**
+   * Move an item to the cells its bounding box now covers
+   * @param {*} item - The item to move
+   * @param {Box3} box - The item's world bounding box
+   * @returns {boolean} True if the item changed cells
+   */
+  update(item, box) {
+    const entry = this.entries.get(item);
+    if (!entry) {
+      this.insert(item, box);
+      return true;
+    }
+    
+    // Most steps an object stays within the same cells
+    const size = this.cellSize;
+    if (
+      Math.floor(box.min.x / size) === entry.minX && Math.floor(box.max.x / size) === entry.maxX &&
+      Math.floor(box.min.z / size) === entry.minZ && Math.floor(box.max.z / size) === entry.maxZ
+    ) {
+      return false;
+    }
+    
+    this.removeFromCells(entry);
+    this.setCellRange(entry, box);
+    this.addToCells(entry);
+    return true;
+  }
+  
+  /**
+   * Remove an item from the grid
+   * @param {*} item - The item to remove
+   */
+  remove(item) {
+    const entry = this.entries.get(item);
+    if (!entry) return;
+    
+    this.removeFromCells(entry);
+    this.entries.delete(item);
+  }
+  
+  /**
+   * Remove every item from the grid
+   */
+  clear() {
+    this.cells.clear();
+    this.entries.clear();
+  }
+  
+  /**
+   * Find the items in the cells a bounding box covers
+   * @param {Box3} box - World bounding box to search
+   * @param {Array} results - Array to add the items to
+   * @returns {Array} Items near the box, each listed once
+   */
+  query(box, results = []) {
+    const size = this.cellSize;
+    const minX = Math.floor(box.min.x / size);
+    const maxX = Math.floor(box.max.x / size);
+    const minZ = Math.floor(box.min.z / size);
+    const maxZ = Math.floor(box.max.z / size);
+    
+    // Items spanning several cells are only reported the first time they're found
+    const queryId = ++this.queryId;
+    
+    for (let x = minX; x <= maxX; x++) {
+      for (let z = minZ; z <= maxZ; z++) {
+        const cell = this.cells.get(this.getKey(x, z));
+        if (!cell) continue;
+        
+        for (const entry of cell) {
+          if (entry.queryId === queryId) continue;
+          
+          entry.queryId = queryId;
+          results.push(entry.item);
+        }
+      }
+    }
+    
+    return results;
+  }
+  
+  /**
+   * Get the number of occupied cells
+   * @returns {number} Cell count
+   */
+  getCellCount() {
+    return this.cells.size;
+  }
+  
+  /**
+   * Work out which cells a bounding box covers
+   * @param {Object} entry - Grid entry to store the range in
+   * @param {Box3} box - World bounding box
+   */
+  setCellRange(entry, box) {
+    const size = this.cellSize;
+    entry.minX = Math.floor(box.min.x / size);
+    entry.maxX = Math.floor(box.max.x / size);
+    entry.minZ = Math.floor(box.min.z / size);
+    entry.maxZ = Math.floor(box.max.z / size);
+  }
+  
+  /**
+   * Add an entry to every cell in its range
+   * @param {Object} entry - Grid entry
+   */
+  addToCells(entry) {
+    for (let x = entry.minX; x <= entry.maxX; x++) {
+      for (let z = entry.minZ; z <= entry.maxZ; z++) {
+        const key = this.getKey(x, z);
+        const cell = this.cells.get(key);
+        
+        if (cell) {
+          cell.push(entry);
+        } else {
+          this.cells.set(key, [entry]);
+        }
+      }
+    }
+  }
+  
+  /**
+   * Take an entry out of every cell in its range
+   * @param {Object} entry - Grid entry
+   */
+  removeFromCells(entry) {
+    for (let x = entry.minX; x <= entry.maxX; x++) {
+      for (let z = entry.minZ; z <= entry.maxZ; z++) {
+        const key = this.getKey(x, z);
+        const cell = this.cells.get(key);
+        if (!cell) continue;
+        
+        const index = cell.indexOf(entry);
+        if (index !== -1) {
+          // Order within a cell doesn't matter, so swap in the last entry
+          cell[index] = cell[cell.length - 1];
+          cell.pop();
+        }
+        
+        if (cell.length === 0) {
+          this.cells.delete(key);
+        }
+      }
+    }
+  }
+}
+
+export default SpatialHash;
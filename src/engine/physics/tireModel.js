@@ -0,0 +1,115 @@
+/**
+ * Tire force model for Velocity Rush
+ * Pacejka "magic formula" force curves combined through a friction circle
+ */
+
+class TireModel {
+  constructor(tireConfig) {
+    // Tire properties
+    this.config = {
+      // Peak friction coefficient (force / load at the top of the curve)
+      peakFriction: 1.2,
+      
+      // Grip multiplier for the rear axle (< 1 makes the car looser)
+      rearGrip: 1.0,
+      
+      // Lateral force curve (input: slip angle in radians)
+      lateral: {
+        stiffness: 10.0, // Pacejka B
+        shape: 1.3, // Pacejka C
+        curvature: -0.2 // Pacejka E
+      },
+      
+      // Longitudinal force curve (input: slip ratio)
+      longitudinal: {
+        stiffness: 12.0, // Pacejka B
+        shape: 1.65, // Pacejka C
+        curvature: 0.9 // Pacejka E
+      },
+      
+      // Override with provided config
+      ...tireConfig
+    };
+  }
+  
+  /**
+   * Evaluate the magic formula for a slip value
+   * @param {number} slip - Slip angle (radians) or slip ratio
+   * @param {Object} curve - Curve coefficients (stiffness, shape, curvature)
+   * @returns {number} Normalised force in the range -1 to 1
+   */
+  magicFormula(slip, curve) {
+    const { stiffness, shape, curvature } = curve;
+    const bx = stiffness * slip;
+    return Math.sin(shape * Math.atan(bx - curvature * (bx - Math.atan(bx))));
+  }
+  
+  /**
+   * Calculate the forces a tire generates at the contact patch
+   * @param {number} slipRatio - Longitudinal slip ratio (positive when spinning faster than the road)
+   * @param {number} slipAngle - Slip angle in radians (positive when sliding towards the tire's right)
+   * @param {number} load - Vertical load on the tire in newtons
+   * @param {number} grip - Grip multiplier for this tire (axle bias, surface, wear)
+   * @returns {Object} Longitudinal and lateral forces in newtons
+   */
+  getForces(slipRatio, slipAngle, load, grip = 1) {
+    if (load <= 0) {
+      return { longitudinal: 0, lateral: 0, saturation: 0 };
+    }
+    
+    // Maximum force the contact patch can transmit
+    const maxForce = this.config.peakFriction * grip * load;
+    
+    // Pure slip forces
+    let longitudinal = maxForce * this.magicFormula(slipRatio, this.config.longitudinal);
+    let lateral = -maxForce * this.magicFormula(slipAngle, this.config.lateral);
+    
+    // Friction circle: the combined force can't exceed the available grip
+    const combined = Math.sqrt(longitudinal * longitudinal + lateral * lateral);
+    if (combined > maxForce) {
+      const scale = maxForce / combined;
+      longitudinal *= scale;
+      lateral *= scale;
+    }
+    
+    return {
+      longitudinal,
+      lateral,
+      saturation: Math.min(1, combined / maxForce)
+    };
+  }
+}
+
+/**
+ * Map a vehicle's 0-100 handling stat onto tire parameters
+ * @param {number} handling - Handling stat (0-100)
+ * @returns {Object} Tire configuration for TireModel
+ */
+export function tireParamsFromHandling(handling) {
+  const t = Math.max(0, Math.min(100, handling)) / 100;
+  
+  return {
+    // More handling means more grip...
+    peakFriction: 0.9 + 0.5 * t,
+    
+    // ...a balanced rear end (low-handling cars tend to oversteer)...
+    rearGrip: 0.88 + 0.12 * t,
+    
+    lateral: {
+      // ...a sharper turn-in response...
+      stiffness: 7 + 6 * t,
+      shape: 1.3,
+      
+      // ...and a gentler breakaway past the peak
+      curvature: -0.6 + 0.6 * t
+    },
+    
+    longitudinal: {
+      stiffness: 10 + 4 * t,
+      shape: 1.65,
+      curvature: 0.9
+    }
+  };
+}
+
+export default TireModel;
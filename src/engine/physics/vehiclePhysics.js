@@ -3,7 +3,41 @@
  * Handles acceleration, braking, steering, and suspension
  */
 
-import { Vector3, Quaternion, Raycaster } from 'three';
+import { Vector3, Quaternion } from 'three';
+import TireModel from './tireModel';
+import Drivetrain from './drivetrain';
+import surfaces, { DEFAULT_SURFACE } from '../../config/surfaces';
+
+// Below this speed (m/s) slip is measured against a fixed reference speed
+// so the tire forces don't oscillate when the car is nearly stationary
+const LOW_SPEED_THRESHOLD = 5;
+
+// Scratch vectors reused every step, so stepping the simulation doesn't allocate
+const _heading = new Vector3();
+const _forward = new Vector3();
+const _right = new Vector3();
+const _up = new Vector3();
+const _leverArm = new Vector3();
+const _pointVelocity = new Vector3();
+const _force = new Vector3();
+const _tireForce = new Vector3();
+const _suspensionTotal = new Vector3();
+const _tireTotal = new Vector3();
+const _torqueTotal = new Vector3();
+const _drag = new Vector3();
+const _downforce = new Vector3();
+const _rolling = new Vector3();
+const _boost = new Vector3();
+const _wheelForward = new Vector3();
+const _wheelRight = new Vector3();
+const _axis = new Vector3();
+const _localTorque = new Vector3();
+const _localAngularVelocity = new Vector3();
+const _angularMomentum = new Vector3();
+const _impulseArm = new Vector3();
+const _angularImpulse = new Vector3();
+const _spin = new Quaternion();
+const _inverseRotation = new Quaternion();
 
 class VehiclePhysics {
   constructor(vehicleConfig) {
@@ -23,18 +57,64 @@ class VehiclePhysics {
       // Suspension properties
       suspensionHeight: 0.5, // meters
       suspensionStiffness: 10.0,
-      suspensionDamping: 0.8,
+      suspensionDamping: 0.8, // Fraction of critical damping
       suspensionTravel: 0.3, // meters
+      bumpStopStiffness: 8, // Bump stop rate as a multiple of the spring rate, once the suspension bottoms out
+      antiRollFront: 20000, // N/m of load moved across the axle per meter of roll
+      antiRollRear: 15000, // N/m
       
       // Physics properties
       mass: 1200, // kg
+      bodyHeight: 1.3, // meters (for the pitch and roll inertia)
       dragCoefficient: 0.3,
+      downforceCoefficient: 0.5, // N per (m/s)² of speed
+      draftDragReduction: 0.4, // Fraction of drag removed in the full slipstream of another car
+      draftDownforceLoss: 0.15, // Fraction of downforce lost in the same dirty air
       rollingResistance: 0.1,
+      angularDamping: 0.99, // Fraction of angular velocity kept per 60Hz step
+      airAngularDamping: 0.998, // The same with no wheels on the ground
+      
+      // Airborne behaviour
+      airControl: 0, // rad/s² of pitch (throttle/brake) and roll (steering) the driver can add in the air
+      maxAirSpin: 1.5, // rad/s of spin air control can build up
+      maxAirTilt: 0.5, // radians of pitch or roll air control leans the car to
+      minJumpTime: 0.2, // seconds in the air before a landing counts as a jump
+      bigAirTime: 1.0, // seconds in the air that count as a big air
       
       // Wheel properties
       wheelBase: 2.8, // meters (distance between front and rear axles)
       trackWidth: 1.6, // meters (distance between left and right wheels)
       wheelRadius: 0.35, // meters
+      wheelInertia: 1.2, // kg·m²
+      
+      // Drivetrain and brakes
+      driveType: 'rwd', // 'fwd', 'rwd', 'awd'
+      drivetrain: {}, // Engine and gearbox (see Drivetrain)
+      brakeBias: 0.6, // Fraction of brake torque on the front axle
+      handbrakeTorque: 2500, // Nm per rear wheel
+      
+      // Nitro tank and thrust (see NitroSystem)
+      nitro: {},
+      
+      // Damage resistance and effects (see DamageModel)
+      damage: {},
+      
+      // Tire properties (see TireModel)
+      tire: {},
+      offRoad: 0, // Fraction of the grip and drag penalty of loose surfaces the car ignores (0-1)
+      
+      // Fuel load and tire wear (only tracked when enabled, e.g. for endurance races)
+      fuelEnabled: false,
+      fuelCapacity: 60, // liters
+      fuelDensity: 0.74, // kg per liter
+      fuelConsumption: 0.5, // liters per second at full throttle on the rev limiter (game scale)
+      tireWearEnabled: false,
+      tireWearRate: 1.5e-7, // wear per joule of sliding work at the contact patch
+      tireWearPerKm: 0.03, // wear from rolling alone
+      wornTireGrip: 0.6, // Grip multiplier of a fully worn tire
+      
+      // Number of integration substeps per update (tire forces are stiff)
+      substeps: 4,
       
       // Override with provided config
       ...vehicleConfig
@@ -47,186 +127,565 @@ class VehiclePhysics {
       velocity: new Vector3(0, 0, 0),
       angularVelocity: new Vector3(0, 0, 0),
       
-      // Control inputs (range: -1 to 1)
+      // Control inputs (throttle and brake: 0 to 1, steering: -1 to 1)
       throttle: 0,
       brake: 0,
+      effectiveBrake: 0, // Brake after the gearbox has interpreted the pedals
       steering: 0,
+      steeringInput: 0, // Steering asked for; the wheels turn towards it at the steering speed
+      handbrake: 0, // 0 to 1
+      wheelBrakes: [0, 0, 0, 0], // Extra brake per wheel (0 to 1), e.g. from stability control
+      boost: false, // Boost button held
+      shiftUp: false,
+      shiftDown: false,
       
       // Wheel states
       wheels: [
-        { // Front Left
-          position: new Vector3(-this.config.trackWidth/2, 0, this.config.wheelBase/2),
-          onGround: false,
-          suspensionForce: 0,
-          rotation: 0
-        },
-        { // Front Right
-          position: new Vector3(this.config.trackWidth/2, 0, this.config.wheelBase/2),
-          onGround: false,
-          suspensionForce: 0,
-          rotation: 0
-        },
-        { // Rear Left
-          position: new Vector3(-this.config.trackWidth/2, 0, -this.config.wheelBase/2),
-          onGround: false,
-          suspensionForce: 0,
-          rotation: 0
-        },
-        { // Rear Right
-          position: new Vector3(this.config.trackWidth/2, 0, -this.config.wheelBase/2),
-          onGround: false,
-          suspensionForce: 0,
-          rotation: 0
-        }
+        // Front Left
+        this.createWheel(-this.config.trackWidth/2, this.config.wheelBase/2, true),
+        // Front Right
+        this.createWheel(this.config.trackWidth/2, this.config.wheelBase/2, true),
+        // Rear Left
+        this.createWheel(-this.config.trackWidth/2, -this.config.wheelBase/2, false),
+        // Rear Right
+        this.createWheel(this.config.trackWidth/2, -this.config.wheelBase/2, false)
       ],
       
+      // Extra thrust (e.g. from nitro) and the top speed it may push the car to
+      boostForce: 0, // newtons
+      maxSpeedOverride: null, // km/h, replaces maxSpeed while set
+      
+      // How deep the car sits in another car's wake (0 = clean air, 1 = right behind)
+      draft: 0,
+      
+      // Handling lost to damage (see DamageModel)
+      enginePower: 1, // Fraction of engine torque still available
+      steeringOffset: 0, // radians the front wheels are knocked out of line (positive pulls right)
+      damagedMaxSpeed: null, // km/h the damaged car can no longer exceed
+      
+      // Fuel left in the tank
+      fuel: this.config.fuelCapacity, // liters
+      
+      // Time in the air and the last jump landed ({ airTime, distance, height, landingSpeed, isBigAir })
+      airTime: 0, // seconds since all four wheels left the ground
+      lastJump: null,
+      
       // Performance metrics
       speedKmh: 0,
       rpm: 0,
       gear: 1
     };
     
-    this.raycaster = new Raycaster();
+    // The state before the last step, so rendering can blend between steps
+    this.previousState = {
+      position: this.state.position.clone(),
+      rotation: this.state.rotation.clone(),
+      steering: 0,
+      wheelRotations: this.state.wheels.map(wheel => wheel.rotation)
+    };
+    
+    this.jumpStart = new Vector3(); // Position the car took off from
+    this.jumpPeak = 0; // Highest point of the current jump
+    this.onLanded = null;
+    this.tireModel = new TireModel(this.config.tire);
+    
+    // Without an explicit torque curve, size the engine so first gear
+    // delivers the configured acceleration at peak torque
+    const defaultGearing = new Drivetrain(this.config.drivetrain);
+    this.drivetrain = new Drivetrain({
+      peakTorque: this.config.acceleration * this.config.mass * this.config.wheelRadius /
+        (defaultGearing.getRatio(1) * defaultGearing.config.efficiency),
+      engineBraking: this.config.deceleration * this.config.mass * this.config.wheelRadius /
+        defaultGearing.getRatio(1),
+      ...this.config.drivetrain
+    });
+    
+    // Principal moments of inertia (pitch, yaw, roll) of a uniform box
+    // spanning the wheelbase, track and body height
+    const { mass, wheelBase, trackWidth, bodyHeight } = this.config;
+    this.inertia = new Vector3(
+      mass * (wheelBase * wheelBase + bodyHeight * bodyHeight) / 12,
+      mass * (wheelBase * wheelBase + trackWidth * trackWidth) / 12,
+      mass * (trackWidth * trackWidth + bodyHeight * bodyHeight) / 12
+    );
+  }
+  
+  /**
+   * Create the state for a single wheel
+   * @param {number} x - Lateral offset from the center of mass in meters
+   * @param {number} z - Longitudinal offset from the center of mass in meters
+   * @param {boolean} isFront - Whether the wheel is on the (steered) front axle
+   * @returns {Object} Wheel state
+   */
+  createWheel(x, z, isFront) {
+    const { driveType } = this.config;
+    
+    return {
+      position: new Vector3(x, 0, z),
+      isFront,
+      isDriven: driveType === 'awd' || (driveType === 'fwd') === isFront,
+      onGround: false,
+      suspensionForce: 0,
+      suspensionLength: this.config.suspensionHeight, // meters from the wheel mount to the ground
+      compression: 0, // meters past the rest height (negative when extended)
+      isBottomedOut: false, // Suspension compressed past its travel, onto the bump stop
+      surface: DEFAULT_SURFACE, // Surface under the wheel (see config/surfaces)
+      wear: 0, // 0 (new) to 1 (worn out)
+      rotation: 0,
+      
+      // Tire state
+      angularVelocity: 0, // rad/s
+      steerAngle: 0, // radians
+      slipRatio: 0,
+      slipAngle: 0, // radians
+      longitudinalForce: 0, // newtons
+      lateralForce: 0 // newtons
+    };
   }
   
   /**
    * Set control inputs for the vehicle
-   * @param {Object} controls - Control inputs (throttle, brake, steering)
+   * @param {Object} controls - Control inputs (throttle, brake, steering, handbrake, wheelBrakes, boost, shiftUp, shiftDown)
    */
   setControls(controls) {
     if (controls.throttle !== undefined) {
-      this.state.throttle = Math.max(-1, Math.min(1, controls.throttle));
+      this.state.throttle = Math.max(0, Math.min(1, controls.throttle));
     }
     
     if (controls.brake !== undefined) {
       this.state.brake = Math.max(0, Math.min(1, controls.brake));
     }
     
+    if (controls.handbrake !== undefined) {
+      this.state.handbrake = Math.max(0, Math.min(1, Number(controls.handbrake)));
+    }
+    
+    if (controls.wheelBrakes !== undefined) {
+      this.state.wheelBrakes = this.state.wheels.map((wheel, i) =>
+        Math.max(0, Math.min(1, controls.wheelBrakes[i] || 0)));
+    }
+    
+    if (controls.boost !== undefined) {
+      this.state.boost = Boolean(controls.boost);
+    }
+    
     if (controls.steering !== undefined) {
-      // Target steering angle
-      const targetSteering = Math.max(-1, Math.min(1, controls.steering));
-      
-      // Gradually adjust steering toward target
-      if (this.state.steering < targetSteering) {
-        this.state.steering = Math.min(targetSteering, 
-          this.state.steering + this.config.steeringSpeed * 0.016); // Assuming 60fps
-      } else if (this.state.steering > targetSteering) {
-        this.state.steering = Math.max(targetSteering, 
-          this.state.steering - this.config.steeringSpeed * 0.016);
+      // Target steering angle, reached gradually in update()
+      this.state.steeringInput = Math.max(-1, Math.min(1, controls.steering));
+    }
+    
+    // Shift inputs act on the press, not while held
+    if (controls.shiftUp !== undefined) {
+      if (controls.shiftUp && !this.state.shiftUp) {
+        this.shiftUp();
+      }
+      this.state.shiftUp = controls.shiftUp;
+    }
+    
+    if (controls.shiftDown !== undefined) {
+      if (controls.shiftDown && !this.state.shiftDown) {
+        this.shiftDown();
       }
+      this.state.shiftDown = controls.shiftDown;
+    }
+  }
+  
+  /**
+   * Shift up one gear (manual transmission only)
+   */
+  shiftUp() {
+    if (this.drivetrain.config.transmission === 'manual') {
+      this.drivetrain.shiftUp();
     }
   }
   
+  /**
+   * Shift down one gear (manual transmission only)
+   */
+  shiftDown() {
+    if (this.drivetrain.config.transmission === 'manual') {
+      this.drivetrain.shiftDown(this.getForwardSpeed());
+    }
+  }
+  
+  /**
+   * Set the transmission mode
+   * @param {string} mode - 'automatic' or 'manual'
+   */
+  setTransmission(mode) {
+    this.drivetrain.setTransmission(mode);
+  }
+  
+  /**
+   * Push the car forward with extra thrust, temporarily raising its top speed
+   * @param {number} force - Thrust in newtons (0 to stop boosting)
+   * @param {number|null} maxSpeed - Top speed in km/h while boosting (null for the configured maxSpeed)
+   */
+  setBoost(force, maxSpeed = null) {
+    this.state.boostForce = Math.max(0, force);
+    this.state.maxSpeedOverride = force > 0 ? maxSpeed : null;
+  }
+  
+  /**
+   * Set how deep the car sits in another car's slipstream
+   * @param {number} draft - 0 (clean air) to 1 (full slipstream)
+   */
+  setDraft(draft) {
+    this.state.draft = Math.max(0, Math.min(1, draft));
+  }
+  
+  /**
+   * Set how damage affects the car's handling
+   * @param {Object} effects - Damage effects
+   * @param {number} effects.enginePower - Fraction of engine torque still available (0-1)
+   * @param {number} effects.steeringOffset - Front wheel misalignment in radians
+   * @param {number|null} effects.maxSpeed - Top speed in km/h (null for undamaged)
+   */
+  setDamageEffects({ enginePower = 1, steeringOffset = 0, maxSpeed = null }) {
+    this.state.enginePower = Math.max(0, Math.min(1, enginePower));
+    this.state.steeringOffset = steeringOffset;
+    this.state.damagedMaxSpeed = maxSpeed;
+  }
+  
+  /**
+   * Enable or disable fuel use and tire wear
+   * @param {Object} options - Options
+   * @param {boolean} options.fuel - Burn fuel, which weighs the car down and can run out
+   * @param {boolean} options.tireWear - Wear the tires, which lose grip as they go
+   */
+  setFuelAndTireWear({ fuel = false, tireWear = false }) {
+    this.config.fuelEnabled = fuel;
+    this.config.tireWearEnabled = tireWear;
+  }
+  
+  /**
+   * Fill the tank
+   * @param {number} liters - Fuel to add (fills up by default)
+   */
+  refuel(liters = Infinity) {
+    this.state.fuel = Math.min(this.config.fuelCapacity, this.state.fuel + liters);
+  }
+  
+  /**
+   * Fit a fresh set of tires
+   */
+  changeTires() {
+    for (const wheel of this.state.wheels) {
+      wheel.wear = 0;
+    }
+  }
+  
+  /**
+   * Set the car down at rest, e.g. on the grid or when respawning
+   * @param {Vector3} position - Ground position under the car's center
+   * @param {number} rotation - Heading in radians about the Y axis (0 faces +Z)
+   */
+  resetTo(position, rotation = 0) {
+    this.state.position.copy(position);
+    this.state.position.y += this.config.suspensionHeight;
+    this.state.rotation.setFromAxisAngle(new Vector3(0, 1, 0), rotation);
+    this.state.velocity.set(0, 0, 0);
+    this.state.angularVelocity.set(0, 0, 0);
+    this.state.steering = 0;
+    this.state.steeringInput = 0;
+    this.state.airTime = 0;
+    
+    for (const wheel of this.state.wheels) {
+      wheel.angularVelocity = 0;
+      wheel.slipRatio = 0;
+      wheel.slipAngle = 0;
+    }
+    
+    // Don't blend across the jump
+    this.savePreviousState();
+  }
+  
+  /**
+   * Remember the current state as the one before the next step
+   */
+  savePreviousState() {
+    const previous = this.previousState;
+    previous.position.copy(this.state.position);
+    previous.rotation.copy(this.state.rotation);
+    previous.steering = this.state.steering;
+    this.state.wheels.forEach((wheel, i) => {
+      previous.wheelRotations[i] = wheel.rotation;
+    });
+  }
+  
+  /**
+   * Get the current mass, including the fuel on board
+   * @returns {number} Mass in kg
+   */
+  getMass() {
+    const fuelMass = this.config.fuelEnabled ? this.state.fuel * this.config.fuelDensity : 0;
+    return this.config.mass + fuelMass;
+  }
+  
+  /**
+   * Get the top speed the car may currently be pushed to
+   * @returns {number} Speed in km/h
+   */
+  getMaxSpeed() {
+    return this.state.maxSpeedOverride ?? this.config.maxSpeed;
+  }
+  
+  /**
+   * Get the vehicle's speed along its heading
+   * @returns {number} Speed in m/s (negative when rolling backwards)
+   */
+  getForwardSpeed() {
+    const forwardDir = _heading.set(0, 0, 1).applyQuaternion(this.state.rotation);
+    return this.state.velocity.dot(forwardDir);
+  }
+  
+  /**
+   * Get the angle between the vehicle's heading and its direction of travel
+   * @returns {number} Body slip angle in radians (positive when sliding towards the right)
+   */
+  getSlipAngle() {
+    const forwardSpeed = this.getForwardSpeed();
+    const lateralSpeed = this.state.velocity.dot(_heading.set(1, 0, 0).applyQuaternion(this.state.rotation));
+    if (Math.abs(forwardSpeed) + Math.abs(lateralSpeed) < 0.5) return 0;
+    
+    return Math.atan2(lateralSpeed, Math.abs(forwardSpeed));
+  }
+  
   /**
    * Update vehicle physics
    * @param {number} deltaTime - Time since last update in seconds
-   * @param {Function} getHeightAt - Function to get terrain height at a position
+   * @param {Function} getSurfaceAt - Function returning the ground at a position, either
+   *   its height or { height, surface } (see config/surfaces)
    */
-  update(deltaTime, getHeightAt) {
+  update(deltaTime, getSurfaceAt) {
     // Cap delta time to avoid instability at low framerates
     const dt = Math.min(deltaTime, 0.1);
+    const substeps = Math.max(1, this.config.substeps);
+    const subDt = dt / substeps;
     
-    // Calculate forces
-    this.updateSuspension(getHeightAt);
-    this.applyForces(dt);
-    
-    // Update position and rotation
-    this.state.position.add(this.state.velocity.clone().multiplyScalar(dt));
+    this.savePreviousState();
+    this.updateSteering(dt);
     
-    // Apply angular velocity to rotation
-    const angularDelta = this.state.angularVelocity.clone().multiplyScalar(dt);
-    const rotationDelta = new Quaternion()
-      .setFromAxisAngle(new Vector3(1, 0, 0), angularDelta.x)
-      .multiply(new Quaternion().setFromAxisAngle(new Vector3(0, 1, 0), angularDelta.y))
-      .multiply(new Quaternion().setFromAxisAngle(new Vector3(0, 0, 1), angularDelta.z));
+    for (let i = 0; i < substeps; i++) {
+      // Calculate forces
+      this.updateSuspension(getSurfaceAt);
+      this.applyForces(subDt);
+      
+      // Update position and rotation
+      this.integrate(subDt);
+    }
     
-    this.state.rotation.premultiply(rotationDelta);
-    this.state.rotation.normalize();
+    // Track time in the air and report landings
+    this.updateAirTime(dt);
     
-    // Update wheel rotation based on speed
-    const wheelCircumference = 2 * Math.PI * this.config.wheelRadius;
-    const wheelRotationPerMeter = (2 * Math.PI) / wheelCircumference;
-    const distanceTraveled = this.state.velocity.length() * dt;
+    // Update performance metrics
+    this.state.speedKmh = this.state.velocity.length() * 3.6; // m/s to km/h
+    this.state.gear = this.drivetrain.state.gear;
+    this.state.rpm = this.drivetrain.state.rpm;
+  }
+  
+  /**
+   * Turn the wheels towards the steering input at the steering speed
+   * @param {number} dt - Delta time in seconds
+   */
+  updateSteering(dt) {
+    const target = this.state.steeringInput;
+    const maxChange = this.config.steeringSpeed * dt;
     
-    for (const wheel of this.state.wheels) {
-      if (wheel.onGround) {
-        wheel.rotation += distanceTraveled * wheelRotationPerMeter;
+    if (this.state.steering < target) {
+      this.state.steering = Math.min(target, this.state.steering + maxChange);
+    } else if (this.state.steering > target) {
+      this.state.steering = Math.max(target, this.state.steering - maxChange);
+    }
+  }
+  
+  /**
+   * Check whether all four wheels are off the ground
+   * @returns {boolean} True while airborne
+   */
+  isAirborne() {
+    return this.state.wheels.every(wheel => !wheel.onGround);
+  }
+  
+  /**
+   * Time the current jump and record it on landing
+   * @param {number} dt - Delta time in seconds
+   */
+  updateAirTime(dt) {
+    if (this.isAirborne()) {
+      if (this.state.airTime === 0) {
+        this.jumpStart.copy(this.state.position);
+        this.jumpPeak = this.state.position.y;
       }
+      
+      this.state.airTime += dt;
+      this.jumpPeak = Math.max(this.jumpPeak, this.state.position.y);
+      return;
     }
     
-    // Update performance metrics
-    this.state.speedKmh = this.state.velocity.length() * 3.6; // m/s to km/h
+    if (this.state.airTime === 0) return;
     
-    // Simple gear and RPM simulation
-    const gearRatios = [2.66, 1.78, 1.3, 1, 0.74, 0.5];
-    const finalDrive = 3.42;
+    const airTime = this.state.airTime;
+    this.state.airTime = 0;
     
-    // Determine gear based on speed
-    this.state.gear = 1;
-    for (let i = 1; i < gearRatios.length; i++) {
-      if (this.state.speedKmh > i * 30) {
-        this.state.gear = i + 1;
-      }
+    // Skipping over bumps isn't a jump
+    if (airTime < this.config.minJumpTime) return;
+    
+    this.state.lastJump = {
+      airTime,
+      distance: Math.hypot(this.state.position.x - this.jumpStart.x, this.state.position.z - this.jumpStart.z),
+      height: this.jumpPeak - this.jumpStart.y,
+      landingSpeed: Math.max(0, -this.state.velocity.y), // m/s, what the suspension had to absorb
+      isBigAir: airTime >= this.config.bigAirTime
+    };
+    
+    // Call landing callback
+    if (this.onLanded) {
+      this.onLanded(this.state.lastJump);
     }
+  }
+  
+  /**
+   * Integrate velocities into position, rotation and wheel spin
+   * @param {number} dt - Delta time in seconds
+   */
+  integrate(dt) {
+    this.state.position.addScaledVector(this.state.velocity, dt);
     
-    // Calculate RPM
-    const wheelRpm = (this.state.speedKmh / 3.6) * 60 / wheelCircumference;
-    this.state.rpm = wheelRpm * gearRatios[this.state.gear - 1] * finalDrive;
+    // Rotate about the angular velocity axis
+    const angle = this.state.angularVelocity.length() * dt;
+    if (angle > 0) {
+      const axis = _axis.copy(this.state.angularVelocity).normalize();
+      this.state.rotation.premultiply(_spin.setFromAxisAngle(axis, angle));
+      this.state.rotation.normalize();
+    }
     
-    // Limit RPM to realistic range
-    this.state.rpm = Math.max(800, Math.min(8000, this.state.rpm));
+    // Update wheel rotation based on wheel spin
+    for (const wheel of this.state.wheels) {
+      wheel.rotation += wheel.angularVelocity * dt;
+    }
   }
   
   /**
    * Update suspension forces based on terrain
-   * @param {Function} getHeightAt - Function to get terrain height at a position
+   * @param {Function} getSurfaceAt - Function returning the ground height, or { height, surface }, at a position
    */
-  updateSuspension(getHeightAt) {
-    const forwardDir = new Vector3(0, 0, 1).applyQuaternion(this.state.rotation);
-    const rightDir = new Vector3(1, 0, 0).applyQuaternion(this.state.rotation);
-    const upDir = new Vector3(0, 1, 0).applyQuaternion(this.state.rotation);
+  updateSuspension(getSurfaceAt) {
+    const upDir = _up.set(0, 1, 0).applyQuaternion(this.state.rotation);
+    
+    const { suspensionHeight: restHeight, suspensionTravel, mass } = this.config;
+    const rayLength = restHeight + suspensionTravel;
+    
+    // Spring rate per wheel (N/m), and damping rate from the fraction of critical damping
+    const springRate = this.config.suspensionStiffness * mass * 9.81 / (4 * restHeight);
+    const dampingRate = this.config.suspensionDamping * 2 * Math.sqrt(springRate * mass / 4);
     
     // Check each wheel
     for (const wheel of this.state.wheels) {
       // Calculate world position of wheel
-      const wheelPos = wheel.position.clone()
-        .applyQuaternion(this.state.rotation)
-        .add(this.state.position);
-      
-      // Cast ray downward to find ground
-      this.raycaster.set(
-        wheelPos.clone().add(upDir.clone().multiplyScalar(0.1)), // Start slightly above wheel
-        upDir.clone().negate() // Cast downward
-      );
+      const leverArm = _leverArm.copy(wheel.position).applyQuaternion(this.state.rotation);
+      const wheelPos = _force.copy(leverArm).add(this.state.position);
       
-      // Use getHeightAt function if provided, otherwise assume flat ground at y=0
+      // Use getSurfaceAt function if provided, otherwise assume flat asphalt at y=0
       let groundHeight = 0;
-      if (getHeightAt) {
-        groundHeight = getHeightAt(wheelPos.x, wheelPos.z);
+      wheel.surface = DEFAULT_SURFACE;
+      if (getSurfaceAt) {
+        const ground = getSurfaceAt(wheelPos.x, wheelPos.z);
+        if (typeof ground === 'number') {
+          groundHeight = ground;
+        } else if (ground) {
+          groundHeight = ground.height;
+          wheel.surface = surfaces[ground.surface] ? ground.surface : DEFAULT_SURFACE;
+        }
+      }
+      
+      // Loose surfaces are uneven
+      const { bumpiness } = surfaces[wheel.surface];
+      if (bumpiness > 0) {
+        groundHeight += bumpiness * Math.sin(wheelPos.x * 1.7) * Math.sin(wheelPos.z * 2.3);
       }
       
       // Calculate suspension compression
-      const restHeight = this.config.suspensionHeight;
-      const rayLength = this.config.suspensionHeight + this.config.suspensionTravel;
       const distanceToGround = wheelPos.y - groundHeight;
+      wheel.suspensionLength = Math.max(0, Math.min(distanceToGround, rayLength));
+      wheel.compression = restHeight - wheel.suspensionLength;
       
       if (distanceToGround < rayLength) {
         wheel.onGround = true;
         
         // Calculate suspension force using spring-damper model
-        const compressionRatio = 1 - (distanceToGround / restHeight);
-        const springForce = compressionRatio * this.config.suspensionStiffness * this.config.mass * 9.81 / 4;
+        const springForce = wheel.compression * springRate;
         
-        // Apply damping based on vertical velocity
-        const verticalVelocity = this.state.velocity.dot(upDir);
-        const dampingForce = verticalVelocity * this.config.suspensionDamping;
+        // Damp the vertical velocity of this corner of the body, so pitch
+        // and roll settle as well as bounce
+        const pointVelocity = _pointVelocity.crossVectors(this.state.angularVelocity, leverArm)
+          .add(this.state.velocity);
+        const dampingForce = pointVelocity.dot(upDir) * dampingRate;
         
         wheel.suspensionForce = Math.max(0, springForce - dampingForce);
+        
+        // Past its travel the suspension bottoms out on a much stiffer, critically
+        // damped bump stop (only while the wheels are below the body)
+        const bottomOutLength = Math.max(0, restHeight - suspensionTravel);
+        wheel.isBottomedOut = distanceToGround < bottomOutLength && upDir.y > 0;
+        if (wheel.isBottomedOut) {
+          const bumpRate = springRate * this.config.bumpStopStiffness;
+          const bumpDamping = 2 * Math.sqrt(bumpRate * mass / 4);
+          const penetration = Math.min(bottomOutLength - distanceToGround, restHeight);
+          
+          // Damp the closing speed with the ground itself, which a car landing
+          // nose first at speed would otherwise read as the suspension extending
+          wheel.suspensionForce += Math.max(0,
+            penetration * bumpRate - pointVelocity.y * bumpDamping) * upDir.y;
+        }
       } else {
+        wheel.isBottomedOut = false;
         wheel.onGround = false;
         wheel.suspensionForce = 0;
       }
     }
+    
+    this.applyAntiRollBars();
+  }
+  
+  /**
+   * Get how a surface affects this vehicle, taking its off-road ability into account
+   * @param {string} surfaceId - Surface ID (see config/surfaces)
+   * @returns {Object} Grip and rolling resistance multipliers
+   */
+  getSurfaceEffect(surfaceId) {
+    const surface = surfaces[surfaceId] || surfaces[DEFAULT_SURFACE];
+    
+    // Off-road cars shrug off part of the penalty of loose surfaces
+    const penaltyScale = surface.isLoose ? 1 - this.config.offRoad : 1;
+    
+    return {
+      grip: 1 - (1 - surface.grip) * penaltyScale,
+      rollingResistance: 1 + (surface.rollingResistance - 1) * penaltyScale
+    };
+  }
+  
+  /**
+   * Move load across each axle in proportion to the difference in
+   * compression between its wheels, resisting body roll
+   */
+  applyAntiRollBars() {
+    const [frontLeft, frontRight, rearLeft, rearRight] = this.state.wheels;
+    const axles = [
+      [frontLeft, frontRight, this.config.antiRollFront],
+      [rearLeft, rearRight, this.config.antiRollRear]
+    ];
+    
+    for (const [left, right, stiffness] of axles) {
+      const transfer = (left.compression - right.compression) * stiffness;
+      
+      if (left.onGround) {
+        left.suspensionForce = Math.max(0, left.suspensionForce + transfer);
+      }
+      if (right.onGround) {
+        right.suspensionForce = Math.max(0, right.suspensionForce - transfer);
+      }
+    }
   }
   
   /**
@@ -234,85 +693,117 @@ class VehiclePhysics {
    * @param {number} dt - Delta time in seconds
    */
   applyForces(dt) {
-    const forwardDir = new Vector3(0, 0, 1).applyQuaternion(this.state.rotation);
-    const rightDir = new Vector3(1, 0, 0).applyQuaternion(this.state.rotation);
-    const upDir = new Vector3(0, 1, 0).applyQuaternion(this.state.rotation);
+    const forwardDir = _forward.set(0, 0, 1).applyQuaternion(this.state.rotation);
+    const rightDir = _right.set(1, 0, 0).applyQuaternion(this.state.rotation);
+    const upDir = _up.set(0, 1, 0).applyQuaternion(this.state.rotation);
+    
+    // Gravity, on the car and the fuel it carries
+    const mass = this.getMass();
     
-    // Gravity
-    const gravity = new Vector3(0, -9.81 * this.config.mass, 0);
+    // Engine torque for this step, split between the driven wheels
+    const driveTorque = this.updateDrivetrain(dt);
     
-    // Suspension forces
-    let totalSuspensionForce = new Vector3(0, 0, 0);
+    // Suspension and tire forces
+    const totalSuspensionForce = _suspensionTotal.set(0, 0, 0);
+    const totalTireForce = _tireTotal.set(0, 0, 0);
+    const totalTorque = _torqueTotal.set(0, 0, 0);
     let wheelsOnGround = 0;
     
     for (const wheel of this.state.wheels) {
+      const leverArm = _leverArm.copy(wheel.position).applyQuaternion(this.state.rotation);
+      
       if (wheel.onGround) {
         wheelsOnGround++;
-        totalSuspensionForce.add(upDir.clone().multiplyScalar(wheel.suspensionForce));
+        
+        // Each spring pushes on the body at its own corner
+        const suspensionForce = _force.copy(upDir).multiplyScalar(wheel.suspensionForce);
+        totalSuspensionForce.add(suspensionForce);
+        totalTorque.add(suspensionForce.crossVectors(leverArm, suspensionForce));
       }
+      
+      // The handbrake declutches the rear wheels so it can lock them under power
+      const isDeclutched = !wheel.isFront && this.state.handbrake > 0;
+      const wheelTorque = wheel.isDriven && !isDeclutched ? driveTorque : 0;
+      
+      const tireForce = this.updateTire(wheel, dt, wheelTorque, forwardDir, rightDir, upDir, _tireForce);
+      totalTireForce.add(tireForce);
+      
+      // Tire forces act at the contact patch below the center of mass, so
+      // besides turning the car they pitch it under braking and roll it in corners
+      const contactArm = leverArm.sub(_force.copy(upDir).multiplyScalar(wheel.suspensionLength));
+      totalTorque.add(contactArm.cross(tireForce));
     }
     
-    // Engine force
-    let engineForce = new Vector3(0, 0, 0);
-    if (wheelsOnGround > 0) {
-      // Only apply engine force if at least one wheel is on the ground
-      engineForce = forwardDir.clone().multiplyScalar(
-        this.state.throttle * this.config.acceleration * this.config.mass
+    // Drag force (air resistance), reduced in another car's slipstream
+    const velocitySq = this.state.velocity.lengthSq();
+    const draft = this.state.draft;
+    const dragForce = _drag.set(0, 0, 0);
+    if (velocitySq > 0.1) {
+      dragForce.copy(this.state.velocity).normalize().multiplyScalar(
+        -this.config.dragCoefficient * (1 - draft * this.config.draftDragReduction) * velocitySq
       );
     }
     
-    // Braking force
-    let brakeForce = new Vector3(0, 0, 0);
-    if (this.state.brake > 0 && this.state.velocity.lengthSq() > 0.1) {
-      const velDir = this.state.velocity.clone().normalize();
-      brakeForce = velDir.clone().multiplyScalar(
-        -this.state.brake * this.config.braking * this.config.mass
-      );
-    }
+    // Downforce presses the car into the road (loading the tires through the
+    // suspension), and is lost with the drag in the disturbed air of a wake
+    const forwardSpeed = this.getForwardSpeed();
+    const downforce = _downforce.copy(upDir).multiplyScalar(
+      -this.config.downforceCoefficient * (1 - draft * this.config.draftDownforceLoss) * forwardSpeed * forwardSpeed
+    );
     
-    // Steering force
-    let steeringTorque = new Vector3(0, 0, 0);
-    if (Math.abs(this.state.steering) > 0.01 && wheelsOnGround > 0) {
-      const steeringAngle = this.state.steering * this.config.maxSteeringAngle;
-      steeringTorque = upDir.clone().multiplyScalar(
-        steeringAngle * this.state.velocity.length() * 0.5
+    // Rolling resistance, averaged over the surfaces under the wheels
+    const rollingResistance = _rolling.set(0, 0, 0);
+    let surfaceResistance = 0;
+    let padBoost = 0;
+    for (const wheel of this.state.wheels) {
+      if (wheel.onGround) {
+        surfaceResistance += this.getSurfaceEffect(wheel.surface).rollingResistance;
+        padBoost += surfaces[wheel.surface].boost || 0;
+      }
+    }
+    if (velocitySq > 0.1 && wheelsOnGround > 0) {
+      surfaceResistance /= wheelsOnGround;
+      rollingResistance.copy(this.state.velocity).normalize().multiplyScalar(
+        -this.config.rollingResistance * surfaceResistance * mass * 9.81
       );
     }
     
-    // Drag force (air resistance)
-    const velocitySq = this.state.velocity.lengthSq();
-    let dragForce = new Vector3(0, 0, 0);
-    if (velocitySq > 0.1) {
-      const velDir = this.state.velocity.clone().normalize();
-      dragForce = velDir.clone().multiplyScalar(
-        -this.config.dragCoefficient * velocitySq
-      );
+    // Boost pads push the car along its heading, for each wheel on a pad
+    padBoost /= 4;
+    if (padBoost > 0 && forwardSpeed > 0) {
+      totalTireForce.addScaledVector(forwardDir, padBoost * mass);
     }
     
-    // Rolling resistance
-    let rollingResistance = new Vector3(0, 0, 0);
-    if (velocitySq > 0.1 && wheelsOnGround > 0) {
-      const velDir = this.state.velocity.clone().normalize();
-      rollingResistance = velDir.clone().multiplyScalar(
-        -this.config.rollingResistance * this.config.mass * 9.81
-      );
+    // Boost thrust fades out over the last 5% below the top speed
+    const boostForce = _boost.set(0, 0, 0);
+    if (this.state.boostForce > 0) {
+      const maxSpeed = this.getMaxSpeed() / 3.6;
+      const headroom = Math.max(0, Math.min(1, (maxSpeed - forwardSpeed) / (maxSpeed * 0.05)));
+      boostForce.copy(forwardDir).multiplyScalar(this.state.boostForce * headroom);
     }
     
-    // Sum all forces
-    const totalForce = new Vector3(0, 0, 0)
-      .add(gravity)
+    // Sum all forces, starting with gravity
+    const totalForce = _force.set(0, -9.81 * mass, 0)
       .add(totalSuspensionForce)
-      .add(engineForce)
-      .add(brakeForce)
+      .add(totalTireForce)
       .add(dragForce)
-      .add(rollingResistance);
+      .add(rollingResistance)
+      .add(downforce)
+      .add(boostForce);
     
     // Apply force to velocity (F = ma, so a = F/m)
-    const acceleration = totalForce.clone().divideScalar(this.config.mass);
-    this.state.velocity.add(acceleration.clone().multiplyScalar(dt));
+    this.state.velocity.add(totalForce.divideScalar(mass).multiplyScalar(dt));
     
-    // Apply steering torque to angular velocity
-    this.state.angularVelocity.add(steeringTorque.clone().multiplyScalar(dt));
+    // Apply suspension and tire torque to angular velocity
+    this.applyTorque(totalTorque, dt);
+    
+    // In the air the driver can pitch the car with the pedals and roll it with the steering
+    if (wheelsOnGround === 0 && this.config.airControl > 0) {
+      const pitch = Math.asin(Math.max(-1, Math.min(1, -forwardDir.y))); // positive nose down
+      const roll = Math.asin(Math.max(-1, Math.min(1, rightDir.y))); // positive right side up
+      this.applyAirControl(rightDir, pitch, this.state.throttle - this.state.brake, dt);
+      this.applyAirControl(forwardDir, roll, -this.state.steering, dt);
+    }
     
     // Apply natural steering return
     if (Math.abs(this.state.steering) > 0.01 && wheelsOnGround > 0) {
@@ -322,26 +813,275 @@ class VehiclePhysics {
       }
     }
     
-    // Apply angular damping
-    this.state.angularVelocity.multiplyScalar(0.95);
+    // Apply angular damping (per 60Hz step, independent of substeps); the
+    // tires provide most of the yaw damping, so keep this light enough to drift.
+    // In the air there's only the air to slow the spin
+    const angularDamping = wheelsOnGround > 0 ? this.config.angularDamping : this.config.airAngularDamping;
+    this.state.angularVelocity.multiplyScalar(Math.pow(angularDamping, dt * 60));
+  }
+  
+  /**
+   * Lean the airborne car about one of its axes towards the angle the input asks for
+   * @param {Vector3} axis - World axis to spin about
+   * @param {number} angle - Current angle about the axis in radians
+   * @param {number} input - Control input (-1 to 1)
+   * @param {number} dt - Delta time in seconds
+   */
+  applyAirControl(axis, angle, input, dt) {
+    if (input === 0) return;
+    
+    // Spin towards the target angle, slowing down as the car gets there so
+    // holding the input leans the car rather than flipping it
+    const { airControl, maxAirSpin, maxAirTilt } = this.config;
+    const targetSpin = Math.max(-maxAirSpin, Math.min(maxAirSpin, (input * maxAirTilt - angle) * 3));
+    const spin = this.state.angularVelocity.dot(axis);
+    const change = Math.max(-airControl * dt, Math.min(airControl * dt, targetSpin - spin));
+    
+    this.state.angularVelocity.addScaledVector(axis, change);
+  }
+  
+  /**
+   * Turn a world-space angular quantity into the matching change in spin,
+   * through the inverse of the inertia tensor
+   * @param {Vector3} vector - Angular impulse in world space, changed in place
+   * @returns {Vector3} The vector, now a change in angular velocity
+   */
+  applyInverseInertia(vector) {
+    const inverseRotation = _inverseRotation.copy(this.state.rotation).invert();
+    return vector.applyQuaternion(inverseRotation).divide(this.inertia).applyQuaternion(this.state.rotation);
+  }
+  
+  /**
+   * Get the velocity of a point on the body
+   * @param {Vector3} point - World position
+   * @param {Vector3} target - Vector to store the result in
+   * @returns {Vector3} Velocity in m/s
+   */
+  getPointVelocity(point, target = new Vector3()) {
+    const leverArm = _impulseArm.subVectors(point, this.state.position);
+    return target.crossVectors(this.state.angularVelocity, leverArm).add(this.state.velocity);
+  }
+  
+  /**
+   * Get how easily the body gives way to a push at a point
+   * @param {Vector3} point - World position of the push
+   * @param {Vector3} direction - Unit direction of the push
+   * @returns {number} Inverse effective mass along the direction (1/kg)
+   */
+  getInverseMassAt(point, direction) {
+    const leverArm = _impulseArm.subVectors(point, this.state.position);
+    const spin = this.applyInverseInertia(_angularImpulse.crossVectors(leverArm, direction));
+    
+    // Pushing off-center spends some of the impulse turning the car
+    return 1 / this.getMass() + spin.cross(leverArm).dot(direction);
+  }
+  
+  /**
+   * Apply an instantaneous impulse at a point, as from a collision
+   * @param {Vector3} impulse - Impulse in world space (N·s)
+   * @param {Vector3} point - World position it acts at
+   */
+  applyImpulse(impulse, point) {
+    this.state.velocity.addScaledVector(impulse, 1 / this.getMass());
+    
+    const leverArm = _impulseArm.subVectors(point, this.state.position);
+    this.state.angularVelocity.add(this.applyInverseInertia(_angularImpulse.crossVectors(leverArm, impulse)));
+  }
+  
+  /**
+   * Apply a world-space torque to the body through its inertia tensor
+   * @param {Vector3} torque - Torque in world space (Nm)
+   * @param {number} dt - Delta time in seconds
+   */
+  applyTorque(torque, dt) {
+    // The inertia tensor is diagonal in body space
+    const inverseRotation = _inverseRotation.copy(this.state.rotation).invert();
+    const localTorque = _localTorque.copy(torque).applyQuaternion(inverseRotation);
+    const localAngularVelocity = _localAngularVelocity.copy(this.state.angularVelocity).applyQuaternion(inverseRotation);
+    
+    // Euler's equations: I·α = τ - ω × (I·ω)
+    const angularMomentum = _angularMomentum.copy(localAngularVelocity).multiply(this.inertia);
+    localTorque.sub(angularMomentum.crossVectors(localAngularVelocity, angularMomentum));
+    
+    const angularAcceleration = localTorque.divide(this.inertia).applyQuaternion(this.state.rotation);
+    this.state.angularVelocity.add(angularAcceleration.multiplyScalar(dt));
+  }
+  
+  /**
+   * Step the engine and gearbox
+   * @param {number} dt - Delta time in seconds
+   * @returns {number} Drive torque for each driven wheel in Nm
+   */
+  updateDrivetrain(dt) {
+    const drivenWheels = this.state.wheels.filter(w => w.isDriven);
+    const wheelSpeed = drivenWheels.reduce((sum, w) => sum + w.angularVelocity, 0) / drivenWheels.length;
+    
+    const forwardSpeed = this.getForwardSpeed();
+    
+    // The gearbox decides what the pedals mean (e.g. brake to reverse)
+    const pedals = this.drivetrain.resolvePedals(this.state.throttle, this.state.brake, forwardSpeed);
+    this.state.effectiveBrake = pedals.brake;
+    
+    const roadSpeed = forwardSpeed / this.config.wheelRadius;
+    let torque = this.drivetrain.update(dt, pedals.throttle, wheelSpeed, roadSpeed);
+    
+    // Burn fuel with load and revs (a little at idle); an empty tank stalls the
+    // drive, in reverse too, leaving only engine braking
+    if (this.config.fuelEnabled) {
+      const load = Math.max(0.05, pedals.throttle) * this.drivetrain.state.rpm / this.drivetrain.config.revLimit;
+      this.state.fuel = Math.max(0, this.state.fuel - this.config.fuelConsumption * load * dt);
+      
+      if (this.state.fuel === 0 && pedals.throttle > 0) {
+        torque = 0;
+      }
+    }
+    
+    // A damaged engine makes less power, and drive fades out over the
+    // last 5% below the top speed the damaged car can still reach, going
+    // forwards or in reverse
+    if (pedals.throttle > 0) {
+      torque *= this.state.enginePower;
+      
+      if (this.state.damagedMaxSpeed !== null) {
+        const maxSpeed = this.state.damagedMaxSpeed / 3.6;
+        const driveSpeed = Math.sign(torque) * forwardSpeed;
+        torque *= Math.max(0, Math.min(1, (maxSpeed - driveSpeed) / (maxSpeed * 0.05)));
+      }
+    }
+    
+    return torque / drivenWheels.length;
+  }
+  
+  /**
+   * Update a wheel's spin and compute the force its tire exerts on the body
+   * @param {Object} wheel - Wheel state
+   * @param {number} dt - Delta time in seconds
+   * @param {number} driveTorque - Engine torque delivered to this wheel in Nm
+   * @param {Vector3} forwardDir - Body forward direction
+   * @param {Vector3} rightDir - Body right direction
+   * @param {Vector3} upDir - Body up direction
+   * @param {Vector3} target - Vector to write the force into
+   * @returns {Vector3} Tire force in world space (the target)
+   */
+  updateTire(wheel, dt, driveTorque, forwardDir, rightDir, upDir, target = new Vector3()) {
+    const { wheelRadius, wheelInertia, mass } = this.config;
+    
+    // Only front wheels steer, and damage can knock them out of line
+    wheel.steerAngle = wheel.isFront ?
+      this.state.steering * this.config.maxSteeringAngle + this.state.steeringOffset : 0;
+    
+    // Drive torque from the drivetrain
+    wheel.angularVelocity += driveTorque / wheelInertia * dt;
+    
+    // Brake torque always opposes wheel spin and can at most stop the wheel
+    const axleBias = wheel.isFront ? this.config.brakeBias : 1 - this.config.brakeBias;
+    const wheelBrake = this.state.wheelBrakes[this.state.wheels.indexOf(wheel)];
+    const brakePressure = Math.min(1, this.state.effectiveBrake + wheelBrake);
+    let brakeTorque = brakePressure * this.config.braking * mass * wheelRadius * axleBias / 2;
+    
+    // The handbrake only acts on the rear wheels
+    if (!wheel.isFront) {
+      brakeTorque += this.state.handbrake * this.config.handbrakeTorque;
+    }
+    
+    if (brakeTorque > 0) {
+      const spinLoss = brakeTorque / wheelInertia * dt;
+      wheel.angularVelocity = Math.sign(wheel.angularVelocity) *
+        Math.max(0, Math.abs(wheel.angularVelocity) - spinLoss);
+    }
+    
+    if (!wheel.onGround) {
+      wheel.slipRatio = 0;
+      wheel.slipAngle = 0;
+      wheel.longitudinalForce = 0;
+      wheel.lateralForce = 0;
+      return target.set(0, 0, 0);
+    }
+    
+    // Velocity of the contact patch, including the body's rotation
+    const leverArm = target.copy(wheel.position).applyQuaternion(this.state.rotation);
+    const contactVelocity = _pointVelocity.crossVectors(this.state.angularVelocity, leverArm)
+      .add(this.state.velocity);
+    
+    // Tire axes
+    const wheelForward = _wheelForward.copy(forwardDir).applyAxisAngle(upDir, wheel.steerAngle);
+    const wheelRight = _wheelRight.copy(rightDir).applyAxisAngle(upDir, wheel.steerAngle);
+    
+    const longitudinalSpeed = contactVelocity.dot(wheelForward);
+    const lateralSpeed = contactVelocity.dot(wheelRight);
+    const referenceSpeed = Math.max(Math.abs(longitudinalSpeed), LOW_SPEED_THRESHOLD);
+    
+    // Slip
+    wheel.slipRatio = (wheel.angularVelocity * wheelRadius - longitudinalSpeed) / referenceSpeed;
+    wheel.slipAngle = Math.atan2(lateralSpeed, referenceSpeed);
+    
+    // Tire forces from the load carried by this wheel
+    const axleGrip = wheel.isFront ? 1 : this.tireModel.config.rearGrip;
+    const wearGrip = 1 - wheel.wear * (1 - this.config.wornTireGrip);
+    const grip = axleGrip * wearGrip * this.getSurfaceEffect(wheel.surface).grip;
+    const forces = this.tireModel.getForces(wheel.slipRatio, wheel.slipAngle, wheel.suspensionForce, grip);
+    wheel.longitudinalForce = forces.longitudinal;
+    wheel.lateralForce = forces.lateral;
+    
+    // Tires wear with distance, and much faster when sliding (wheelspin, locking, drifting)
+    if (this.config.tireWearEnabled) {
+      const slidingWork = (Math.abs(forces.longitudinal * (wheel.angularVelocity * wheelRadius - longitudinalSpeed)) +
+        Math.abs(forces.lateral * lateralSpeed)) * dt;
+      const distance = Math.abs(longitudinalSpeed) * dt / 1000;
+      wheel.wear = Math.min(1, wheel.wear + slidingWork * this.config.tireWearRate + distance * this.config.tireWearPerKm);
+    }
+    
+    // The road pushes back on the wheel; stop at pure rolling rather than overshooting
+    const rollingSpeed = longitudinalSpeed / wheelRadius;
+    const spinBefore = wheel.angularVelocity - rollingSpeed;
+    wheel.angularVelocity -= forces.longitudinal * wheelRadius / wheelInertia * dt;
+    if (Math.sign(wheel.angularVelocity - rollingSpeed) !== Math.sign(spinBefore)) {
+      wheel.angularVelocity = rollingSpeed;
+    }
+    
+    return target.copy(wheelForward).multiplyScalar(forces.longitudinal)
+      .add(wheelRight.multiplyScalar(forces.lateral));
   }
   
   /**
-   * Get the vehicle's current transform data for rendering
+   * Get the vehicle's transform data for rendering
+   * @param {number} alpha - How far the frame is between the previous physics step
+   *   and the current one (0-1, see GameLoop.getInterpolationAlpha); 1 for the current state
    * @returns {Object} Transform data
    */
-  getTransform() {
+  getTransform(alpha = 1) {
+    const previous = this.previousState;
+    const steering = previous.steering + (this.state.steering - previous.steering) * alpha;
+    
     return {
-      position: this.state.position.clone(),
-      rotation: this.state.rotation.clone(),
-      wheels: this.state.wheels.map(wheel => ({
+      position: previous.position.clone().lerp(this.state.position, alpha),
+      rotation: previous.rotation.clone().slerp(this.state.rotation, alpha),
+      wheels: this.state.wheels.map((wheel, i) => ({
         position: wheel.position.clone(),
-        rotation: wheel.rotation,
-        steering: wheel.position.z > 0 ? this.state.steering : 0 // Only front wheels steer
+        rotation: previous.wheelRotations[i] + (wheel.rotation - previous.wheelRotations[i]) * alpha,
+        steering: wheel.position.z > 0 ? steering : 0 // Only front wheels steer
       }))
     };
   }
   
+  /**
+   * Get the surface under most of the wheels
+   * @returns {string} Surface ID
+   */
+  getMainSurface() {
+    const counts = {};
+    let mainSurface = this.state.wheels[0].surface;
+    
+    for (const wheel of this.state.wheels) {
+      counts[wheel.surface] = (counts[wheel.surface] || 0) + 1;
+      if (counts[wheel.surface] > counts[mainSurface]) {
+        mainSurface = wheel.surface;
+      }
+    }
+    
+    return mainSurface;
+  }
+  
   /**
    * Get the vehicle's current performance metrics
    * @returns {Object} Performance data
@@ -351,7 +1091,20 @@ class VehiclePhysics {
       speedKmh: this.state.speedKmh,
       rpm: this.state.rpm,
       gear: this.state.gear,
-      wheelsOnGround: this.state.wheels.filter(w => w.onGround).length
+      maxRpm: this.drivetrain.config.revLimit,
+      transmission: this.drivetrain.config.transmission,
+      isRevLimiting: this.drivetrain.state.isLimiting,
+      slipAngle: this.getSlipAngle(),
+      isBoosting: this.state.boostForce > 0,
+      maxSpeed: this.getMaxSpeed(),
+      draft: this.state.draft,
+      surface: this.getMainSurface(),
+      fuel: this.config.fuelEnabled ? this.state.fuel / this.config.fuelCapacity : null,
+      tireWear: this.config.tireWearEnabled ? this.state.wheels.map(w => w.wear) : null,
+      wheelsOnGround: this.state.wheels.filter(w => w.onGround).length,
+      isAirborne: this.isAirborne(),
+      airTime: this.state.airTime,
+      lastJump: this.state.lastJump
     };
   }
 }
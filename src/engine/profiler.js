@@ -0,0 +1,232 @@
+/**
+ * Frame profiler for Velocity Rush
+ * Records what every frame cost: CPU time per game loop system, physics steps,
+ * what the renderer drew and sudden spikes, in a rolling history that the
+ * performance overlay graphs and that can be exported as JSON for bug reports
+ */
+
+class FrameProfiler {
+  constructor(gameLoop, config = {}) {
+    this.config = {
+      historySize: 240, // Frames kept, about 4 seconds at 60 FPS
+      spikeFactor: 2.5, // A frame this many times the average is a spike
+      spikeMinTime: 8, // ms over the average before a frame can be a spike
+      maxSpikes: 50, // Spikes kept for export
+      
+      // Override with provided config
+      ...config
+    };
+    
+    this.gameLoop = gameLoop;
+    this.rendererInfo = null;
+    
+    this.frames = [];
+    this.spikes = [];
+    this.frameIndex = 0;
+    this.averageFrameTime = 0; // ms, smoothed over recent frames
+    this.lastHeapSize = null;
+    
+    // Record once everything else in the frame has run
+    this.record = this.record.bind(this);
+    this.gameLoop.addSystem('profiler', this.record, { phase: 'lateUI', priority: 1000 });
+  }
+  
+  /**
+   * Read draw calls, triangles and GPU memory from a renderer
+   * @param {Object} renderer - THREE.WebGLRenderer, or the Renderer wrapping one
+   */
+  setRenderer(renderer) {
+    this.rendererInfo = renderer.getInfo ? renderer.getInfo() : renderer.info || null;
+  }
+  
+  /**
+   * Record the frame that just ran
+   */
+  record() {
+    const frameTime = this.gameLoop.getDeltaTime() * 1000;
+    
+    // Where the CPU time went this frame
+    const systems = {};
+    let cpuTime = 0;
+    this.gameLoop.getSystemTimings().forEach(({ name, frameTime: systemTime }) => {
+      if (name === 'profiler') return;
+      
+      systems[name] = systemTime;
+      cpuTime += systemTime;
+    });
+    
+    const frame = {
+      index: this.frameIndex++,
+      frameTime,
+      cpuTime,
+      physicsSteps: this.gameLoop.frameFixedSteps,
+      systems,
+      render: this.getRenderStats(),
+      heapSize: this.getHeapSize()
+    };
+    
+    // Spikes are judged against the frames before them, so one doesn't hide the next
+    frame.isSpike = this.frames.length > 0 &&
+      frameTime > this.averageFrameTime * this.config.spikeFactor &&
+      frameTime - this.averageFrameTime > this.config.spikeMinTime;
+    if (frame.isSpike) {
+      this.recordSpike(frame);
+    }
+    
+    this.averageFrameTime = this.frames.length === 0 ? frameTime :
+      this.averageFrameTime * 0.95 + frameTime * 0.05;
+    this.lastHeapSize = frame.heapSize;
+    
+    this.frames.push(frame);
+    if (this.frames.length > this.config.historySize) {
+      this.frames.shift();
+    }
+  }
+  
+  /**
+   * Keep a spike for export, with a guess at its cause
+   * @param {Object} frame - Frame that spiked
+   */
+  recordSpike(frame) {
+    const previous = this.frames[this.frames.length - 1];
+    const heapDelta = frame.heapSize !== null && this.lastHeapSize !== null ?
+      frame.heapSize - this.lastHeapSize : null;
+    
+    // The slowest system this frame or the one before, since a slow frame
+    // shows up as a long wait before the next one
+    let slowestSystem = null;
+    let slowestTime = 0;
+    [previous.systems, frame.systems].forEach(systems => {
+      Object.entries(systems).forEach(([name, time]) => {
+        if (time > slowestTime) {
+          slowestSystem = name;
+          slowestTime = time;
+        }
+      });
+    });
+    
+    // If the heap shrank, or our own systems can't account for most of the
+    // frame, the time most likely went to garbage collection
+    const accountedTime = Math.max(frame.cpuTime, previous.cpuTime);
+    const isGcSuspect = (heapDelta !== null && heapDelta < 0) || accountedTime < frame.frameTime * 0.5;
+    
+    this.spikes.push({
+      frame: frame.index,
+      frameTime: frame.frameTime,
+      averageFrameTime: this.averageFrameTime,
+      cpuTime: accountedTime,
+      physicsSteps: frame.physicsSteps,
+      slowestSystem,
+      slowestTime,
+      heapDelta,
+      isGcSuspect
+    });
+    if (this.spikes.length > this.config.maxSpikes) {
+      this.spikes.shift();
+    }
+  }
+  
+  /**
+   * Get what the renderer drew in its last render
+   * @returns {Object|null} Draw calls, triangles, points, lines, geometries and textures, or null without a renderer
+   */
+  getRenderStats() {
+    if (!this.rendererInfo) return null;
+    
+    const { render, memory } = this.rendererInfo;
+    return {
+      calls: render.calls,
+      triangles: render.triangles,
+      points: render.points,
+      lines: render.lines,
+      geometries: memory.geometries,
+      textures: memory.textures
+    };
+  }
+  
+  /**
+   * Get the JavaScript heap size, where the browser reports it
+   * @returns {number|null} Used heap in bytes, or null if unavailable
+   */
+  getHeapSize() {
+    const memory = typeof performance !== 'undefined' ? performance.memory : null;
+    return memory ? memory.usedJSHeapSize : null;
+  }
+  
+  /**
+   * Get a summary of recent frames for the performance overlay
+   * @returns {Object} Current figures, averages and the frame time history
+   */
+  getSnapshot() {
+    const count = this.frames.length;
+    const latest = this.frames[count - 1] || null;
+    
+    // Average each system over the history
+    const systemTotals = {};
+    let cpuTotal = 0;
+    let stepTotal = 0;
+    let worstFrameTime = 0;
+    this.frames.forEach(frame => {
+      Object.entries(frame.systems).forEach(([name, time]) => {
+        systemTotals[name] = (systemTotals[name] || 0) + time;
+      });
+      cpuTotal += frame.cpuTime;
+      stepTotal += frame.physicsSteps;
+      worstFrameTime = Math.max(worstFrameTime, frame.frameTime);
+    });
+    const systems = Object.entries(systemTotals)
+      .map(([name, total]) => ({ name, averageTime: total / count }))
+      .sort((a, b) => b.averageTime - a.averageTime);
+    
+    return {
+      fps: this.gameLoop.getFPS(),
+      frameTime: latest ? latest.frameTime : 0,
+      averageFrameTime: this.averageFrameTime,
+      worstFrameTime,
+      cpuTime: count > 0 ? cpuTotal / count : 0,
+      physicsSteps: count > 0 ? stepTotal / count : 0,
+      systems,
+      render: latest ? latest.render : null,
+      heapSize: latest ? latest.heapSize : null,
+      frameTimes: this.frames.map(frame => frame.frameTime),
+      spikeCount: this.spikes.length,
+      lastSpike: this.spikes[this.spikes.length - 1] || null
+    };
+  }
+  
+  /**
+   * Export the recorded frames and spikes for a bug report
+   * @returns {string} JSON document
+   */
+  exportJSON() {
+    return JSON.stringify({
+      exportedAt: new Date().toISOString(),
+      userAgent: typeof navigator !== 'undefined' ? navigator.userAgent : null,
+      fixedTimeStep: this.gameLoop.fixedTimeStep,
+      simulationTime: this.gameLoop.getSimulationTime(),
+      summary: this.getSnapshot(),
+      systems: this.gameLoop.getSystemTimings(),
+      spikes: this.spikes,
+      frames: this.frames
+    }, null, 2);
+  }
+  
+  /**
+   * Forget the recorded history
+   */
+  reset() {
+    this.frames = [];
+    this.spikes = [];
+    this.averageFrameTime = 0;
+    this.lastHeapSize = null;
+  }
+  
+  /**
+   * Stop recording
+   */
+  dispose() {
+    this.gameLoop.removeSystem('profiler');
+  }
+}
+
+export default FrameProfiler;
@@ -6,7 +6,7 @@
 import {
   WebGLRenderer,
   PCFSoftShadowMap,
-  sRGBEncoding,
+  SRGBColorSpace,
   ACESFilmicToneMapping,
   Vector2
 } from 'three';
@@ -56,7 +56,7 @@ class Renderer {
     
     // Configure renderer
     this.renderer.setPixelRatio(this.options.pixelRatio);
-    this.renderer.outputEncoding = sRGBEncoding;
+    this.renderer.outputColorSpace = SRGBColorSpace;
     this.renderer.toneMapping = ACESFilmicToneMapping;
     this.renderer.toneMappingExposure = 1.0;
     this.renderer.physicallyCorrectLights = true;
@@ -203,6 +203,14 @@ class Renderer {
     return this.renderer.domElement;
   }
   
+  /**
+   * Get what the renderer drew in its last render and what it holds in GPU memory
+   * @returns {Object} THREE.WebGLRenderer info (render and memory counts)
+   */
+  getInfo() {
+    return this.renderer.info;
+  }
+  
   /**
    * Dispose of renderer resources
    */
@@ -9,6 +9,13 @@ import GameScene from '../scenes/GameScene';
  * @param {string} options.trackId - ID of the track to load
  * @param {string} options.environmentType - Type of environment to use
  * @param {number} options.totalLaps - Number of laps for the race
+ * @param {string} options.gameMode - Game mode ('race' or 'drift')
+ * @param {Object} options.assists - Driving assist levels (see config/assists)
+ * @param {string} options.transmission - Gearbox ('automatic' or 'manual')
+ * @param {string} options.damage - Damage mode ('off', 'visual' or 'full')
+ * @param {boolean} options.fuel - Whether the car burns fuel
+ * @param {boolean} options.tireWear - Whether the tires wear
+ * @param {boolean} options.physicsWorker - Whether to run the car, collisions and laps in a Web Worker
  * @param {Object} inputState - Current input state from useInputManager
  * @returns {Object} Game scene reference and control methods
  */
@@ -30,18 +37,36 @@ const useGameScene = (options = {}, inputState = null) => {
     currentCheckpoint: 0,
     totalCheckpoints: 0,
     checkpointPassed: false,
-    lapCompleted: false
+    lapCompleted: false,
+    pitStops: 0,
+    pitStopCompleted: false,
+    bigAir: null,
+    respawned: null
   });
   
+  // Settings a rebuilt scene starts from, kept current between rebuilds
+  const settingsRef = useRef({});
+  settingsRef.current = {
+    assists: options.assists,
+    transmission: options.transmission,
+    damage: options.damage,
+    fuel: options.fuel,
+    tireWear: options.tireWear
+  };
+  
   // Initialize game scene
   useEffect(() => {
-    // Create game scene
+    // Create game scene, starting from the current settings; the effects below
+    // only pick up changes made while it's running
     gameSceneRef.current = new GameScene({
       container: options.container,
       vehicleType: options.vehicleType || 'sports',
       trackId: options.trackId || 'circuit',
       environmentType: options.environmentType || 'daytime',
-      totalLaps: options.totalLaps || 3
+      totalLaps: options.totalLaps || 3,
+      gameMode: options.gameMode || 'race',
+      ...settingsRef.current,
+      physicsWorker: options.physicsWorker || false
     });
     
     // Set race state change callback
@@ -55,19 +80,63 @@ const useGameScene = (options = {}, inputState = null) => {
     // Clean up on unmount
     return () => {
       if (gameSceneRef.current) {
+        if (gameSceneRef.current.physicsBridge) {
+          gameSceneRef.current.physicsBridge.dispose();
+        }
         gameSceneRef.current.dispose();
         gameSceneRef.current = null;
       }
     };
-  }, [options.container, options.vehicleType, options.trackId, options.environmentType, options.totalLaps]);
+  }, [options.container, options.vehicleType, options.trackId, options.environmentType, options.totalLaps, options.gameMode, options.physicsWorker]);
+  
+  // Update driving assists when the settings change
+  useEffect(() => {
+    if (gameSceneRef.current && options.assists) {
+      gameSceneRef.current.setDrivingAssists(options.assists);
+    }
+  }, [options.assists]);
+  
+  // Update the gearbox when the settings change
+  useEffect(() => {
+    if (gameSceneRef.current && options.transmission) {
+      gameSceneRef.current.setTransmission(options.transmission);
+    }
+  }, [options.transmission]);
+  
+  // Update the damage mode when the settings change
+  useEffect(() => {
+    if (gameSceneRef.current && options.damage) {
+      gameSceneRef.current.setDamageMode(options.damage);
+    }
+  }, [options.damage]);
+  
+  // Update fuel and tire wear when the settings change
+  useEffect(() => {
+    if (gameSceneRef.current) {
+      gameSceneRef.current.setFuelAndTireWear({ fuel: options.fuel, tireWear: options.tireWear });
+    }
+  }, [options.fuel, options.tireWear]);
   
   // Update input state when it changes
   useEffect(() => {
     if (gameSceneRef.current && inputState) {
       gameSceneRef.current.updateInput(inputState);
+      
+      // Physics running in a worker takes its controls from here
+      if (gameSceneRef.current.physicsBridge) {
+        gameSceneRef.current.physicsBridge.setInput(inputState);
+      }
     }
   }, [inputState]);
   
+  // Reset the car to the track when the reset key goes down
+  const isResetPressed = inputState ? inputState.reset : false;
+  useEffect(() => {
+    if (gameSceneRef.current && isResetPressed) {
+      gameSceneRef.current.requestRespawn();
+    }
+  }, [isResetPressed]);
+  
   // Start race countdown
   const startRaceCountdown = useCallback(() => {
     if (gameSceneRef.current) {
@@ -114,15 +183,61 @@ const useGameScene = (options = {}, inputState = null) => {
     // Toggle camera mode
     toggleCameraMode,
     
+    // Freeze or unfreeze the simulation for debugging
+    toggleSimulationFrozen: () => {
+      if (gameSceneRef.current) {
+        gameSceneRef.current.setSimulationFrozen(!gameSceneRef.current.gameLoop.isSimulationPaused);
+      }
+    },
+    
+    // Advance a frozen simulation by whole physics steps
+    stepSimulation: (steps = 1) => {
+      if (gameSceneRef.current) {
+        gameSceneRef.current.stepSimulation(steps);
+      }
+    },
+    
+    // Slow down or speed up the simulation
+    setSimulationTimeScale: (scale) => {
+      if (gameSceneRef.current) {
+        gameSceneRef.current.setSimulationTimeScale(scale);
+      }
+    },
+    
+    // Get the recorded frame profile as JSON, for bug reports
+    exportPerformanceProfile: () => {
+      if (!gameSceneRef.current || !gameSceneRef.current.profiler) return null;
+      
+      return gameSceneRef.current.profiler.exportJSON();
+    },
+    
     // Get current game state
     getGameState: () => {
       if (!gameSceneRef.current) return null;
       
+      // With physics in a worker, the car's state comes from there
+      const { physicsBridge } = gameSceneRef.current;
+      
       return {
         isRunning: gameSceneRef.current.isRunning,
         isPaused: gameSceneRef.current.isPaused,
-        vehicleState: gameSceneRef.current.vehiclePhysics ? 
-          gameSceneRef.current.vehiclePhysics.getPerformanceMetrics() : null,
+        vehicleState: physicsBridge ? physicsBridge.getPerformanceMetrics() :
+          gameSceneRef.current.vehiclePhysics ? gameSceneRef.current.vehiclePhysics.getPerformanceMetrics() : null,
+        driftState: physicsBridge ? physicsBridge.getDriftState() :
+          gameSceneRef.current.driftMode ? gameSceneRef.current.driftMode.getDriftState() : null,
+        nitroState: physicsBridge ? physicsBridge.getNitroState() :
+          gameSceneRef.current.nitroSystem ? gameSceneRef.current.nitroSystem.getNitroState() : null,
+        activeAssists: physicsBridge ? physicsBridge.getActiveAssists() :
+          gameSceneRef.current.drivingAssists ? gameSceneRef.current.drivingAssists.getActiveAssists() : null,
+        damageState: physicsBridge ? physicsBridge.getDamageState() :
+          gameSceneRef.current.damageModel ? gameSceneRef.current.damageModel.getDamageState() : null,
+        pitStopProgress: gameSceneRef.current.checkpointSystem ?
+          gameSceneRef.current.checkpointSystem.getRaceState().pitStopProgress : 0,
+        respawnState: physicsBridge ? physicsBridge.getRespawnState() :
+          gameSceneRef.current.respawnSystem ? gameSceneRef.current.respawnSystem.getRespawnState() : null,
+        performance: gameSceneRef.current.profiler ?
+          gameSceneRef.current.profiler.getSnapshot() : null,
+        debugState: gameSceneRef.current.getDebugState(),
         togglePause: () => {
           if (gameSceneRef.current) {
             gameSceneRef.current.togglePause();
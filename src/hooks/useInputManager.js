@@ -11,14 +11,19 @@ const useInputManager = () => {
     backward: false,
     left: false,
     right: false,
-    brake: false
+    handbrake: false,
+    boost: false,
+    shiftUp: false,
+    shiftDown: false,
+    reset: false
   });
   
   // Touch controls state
   const [touchControls, setTouchControls] = useState({
     throttle: 0,
     brake: 0,
-    steering: 0
+    steering: 0,
+    boost: false
   });
   
   // Update input state from keyboard
@@ -41,7 +46,20 @@ const useInputManager = () => {
         setInput(prev => ({ ...prev, right: true }));
         break;
       case ' ':
-        setInput(prev => ({ ...prev, brake: true }));
+        setInput(prev => ({ ...prev, handbrake: true }));
+        break;
+      case 'shift':
+      case 'n':
+        setInput(prev => ({ ...prev, boost: true }));
+        break;
+      case 'e':
+        setInput(prev => ({ ...prev, shiftUp: true }));
+        break;
+      case 'q':
+        setInput(prev => ({ ...prev, shiftDown: true }));
+        break;
+      case 'r':
+        setInput(prev => ({ ...prev, reset: true }));
         break;
     }
   }, []);
@@ -65,7 +83,20 @@ const useInputManager = () => {
         setInput(prev => ({ ...prev, right: false }));
         break;
       case ' ':
-        setInput(prev => ({ ...prev, brake: false }));
+        setInput(prev => ({ ...prev, handbrake: false }));
+        break;
+      case 'shift':
+      case 'n':
+        setInput(prev => ({ ...prev, boost: false }));
+        break;
+      case 'e':
+        setInput(prev => ({ ...prev, shiftUp: false }));
+        break;
+      case 'q':
+        setInput(prev => ({ ...prev, shiftDown: false }));
+        break;
+      case 'r':
+        setInput(prev => ({ ...prev, reset: false }));
         break;
     }
   }, []);
@@ -100,12 +131,25 @@ const useInputManager = () => {
     // Right: keyboard D/Right OR touch steering > 0
     right: input.right || touchControls.steering > 0.1,
     
-    // Brake: keyboard Space OR touch brake > 0
-    brake: input.brake || touchControls.brake > 0,
+    // Brake: touch brake > 0 (keyboard S/Down brakes through backward)
+    brake: touchControls.brake > 0,
+    
+    // Handbrake: keyboard Space
+    handbrake: input.handbrake,
+    
+    // Nitro boost: keyboard Shift/N OR touch boost button
+    boost: input.boost || touchControls.boost,
+    
+    // Manual gear changes: keyboard E/Q
+    shiftUp: input.shiftUp,
+    shiftDown: input.shiftDown,
+    
+    // Reset to track: keyboard R
+    reset: input.reset,
     
     // Raw values for analog control
     throttleValue: Math.max(input.forward ? 1 : 0, touchControls.throttle),
-    brakeValue: Math.max(input.brake ? 1 : 0, touchControls.brake),
+    brakeValue: touchControls.brake,
     steeringValue: input.left ? -1 : (input.right ? 1 : touchControls.steering)
   };
   
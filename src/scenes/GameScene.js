@@ -1,3 +1,258 @@
+/**
+ * Game scene for Velocity Rush
+ * Builds the track, the player's car and the environment with plain Three.js
+ * and runs the race on the game loop. React drives it through useGameScene
+ */
+
+import * as THREE from 'three';
+import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import GameLoop from '../engine/loop';
+import FrameProfiler from '../engine/profiler';
+import Renderer from '../engine/renderer/renderer';
+import VehiclePhysics from '../engine/physics/vehiclePhysics';
+import DrivingAssists from '../engine/physics/drivingAssists';
+import NitroSystem from '../engine/physics/nitroSystem';
+import Slipstream from '../engine/physics/slipstream';
+import DamageModel from '../engine/physics/damageModel';
+import RespawnSystem from '../engine/physics/respawnSystem';
+import CollisionSystem, { COLLISION_LAYERS } from '../engine/physics/collisionSystem';
+import PhysicsBridge, { isPhysicsWorkerSupported } from '../engine/physics/physicsBridge';
+import { GRID_CONTROLS, getInputControls } from '../engine/physics/driverControls';
+import TrackBuilder from '../components/game/tracks/TrackBuilder';
+import CheckpointSystem from '../components/game/tracks/CheckpointSystem';
+import NitroPickups from '../components/game/tracks/NitroPickups';
+import EnvironmentManager from '../components/game/environment/EnvironmentManager';
+import DriftMode from '../components/game/modes/DriftMode';
+import VehicleDamage from '../components/game/vehicles/VehicleDamage';
+import vehicles from '../config/vehicles';
+import tracks from '../config/tracks';
+import assistPresets from '../config/assists';
+
+// Track layout built for each track (see TrackBuilder.buildLayout); the rest race on the oval
+const TRACK_LAYOUTS = {
+  circuit: 'circuit',
+  mountain: 'mountain'
+};
+
+// Chase camera position and aim point in the car's frame
+const CAMERA_OFFSET = new THREE.Vector3(0, 2.5, -6.5);
+const CAMERA_TARGET = new THREE.Vector3(0, 1, 4);
+
+// Point on the car the camera keeps a clear line to, and how far it stays off whatever blocks it
+const CAMERA_PIVOT = new THREE.Vector3(0, 1, 0);
+const CAMERA_CLEARANCE = 0.3;
+
+const _cameraPosition = new THREE.Vector3();
+const _cameraTarget = new THREE.Vector3();
+const _cameraPivot = new THREE.Vector3();
+const _cameraRay = new THREE.Vector3();
+
+class GameScene {
+  /**
+   * @param {Object} options - Scene options
+   * @param {HTMLElement} options.container - DOM element to render in
+   * @param {string} options.vehicleType - Vehicle ID (see config/vehicles)
+   * @param {string} options.trackId - Track ID (see config/tracks)
+   * @param {string} options.environmentType - Sky ('daytime', 'sunset', 'night' or 'cloudy')
+   * @param {number} options.totalLaps - Laps in the race
+   * @param {string} options.gameMode - Game mode ('race' or 'drift')
+   * @param {Object} options.assists - Driving assist levels (see config/assists)
+   * @param {string} options.transmission - Gearbox ('automatic' or 'manual')
+   * @param {string} options.damage - Damage mode ('off', 'visual' or 'full')
+   * @param {boolean} options.fuel - Whether the car burns fuel
+   * @param {boolean} options.tireWear - Whether the tires wear
+   */
+  constructor(options = {}) {
+    this.options = {
+      container: null,
+      vehicleType: 'sports',
+      trackId: 'circuit',
+      environmentType: 'daytime',
+      totalLaps: 3,
+      gameMode: 'race',
+      assists: { ...assistPresets.medium },
+      transmission: 'automatic',
+      damage: 'full',
+      fuel: false,
+      tireWear: false,
+      
+      // Override with provided config
+      ...options
+    };
+    
+    this.isRunning = false;
+    this.isPaused = false;
+    this.input = {}; // Latest input state (see useInputManager)
+    this.onRaceStateChanged = null;
+    this.countdownInterval = null;
+    
+    this.raceState = {
+      isRaceStarted: false,
+      isRaceFinished: false,
+      countdown: 3,
+      currentLap: 1,
+      totalLaps: this.options.totalLaps,
+      currentLapTime: 0,
+      lastLapTime: 0,
+      bestLapTime: null,
+      lapTimes: [],
+      raceTime: 0,
+      position: 1,
+      totalRacers: 8,
+      currentCheckpoint: 0,
+      totalCheckpoints: 0,
+      checkpointPassed: false,
+      lapCompleted: false
+    };
+    
+    // Three.js
+    this.scene = null;
+    this.camera = null;
+    this.renderer = null;
+    this.controls = null;
+    
+    // The world and the car
+    this.environmentManager = null;
+    this.trackBuilder = null;
+    this.checkpointSystem = null;
+    this.vehicle = null; // { config, mesh }
+    this.vehiclePhysics = null;
+    this.drivingAssists = null;
+    
+    this.gameLoop = new GameLoop();
+    
+    this.getSurfaceAt = this.getSurfaceAt.bind(this);
+    this.handleResize = this.handleResize.bind(this);
+    
+    this.init();
+  }
+  
+  /**
+   * Build the scene and schedule the game loop's systems
+   */
+  init() {
+    this.setupScene();
+    this.setupEnvironment();
+    this.setupTrack();
+    this.setupVehicle();
+    this.setupCheckpoints();
+    this.setupGameLoop();
+  }
+  
+  /**
+   * Setup the Three.js scene, camera, lights and renderer
+   */
+  setupScene() {
+    const { container } = this.options;
+    const width = container ? container.clientWidth : window.innerWidth;
+    const height = container ? container.clientHeight : window.innerHeight;
+    
+    this.scene = new THREE.Scene();
+    
+    this.camera = new THREE.PerspectiveCamera(75, width / height, 0.1, 2000);
+    this.camera.position.set(0, 5, -10);
+    
+    // Lighting
+    this.scene.add(new THREE.AmbientLight(0xffffff, 0.5));
+    
+    const sun = new THREE.DirectionalLight(0xffffff, 1);
+    sun.position.set(100, 100, 50);
+    sun.castShadow = true;
+    sun.shadow.mapSize.set(2048, 2048);
+    sun.shadow.camera.left = -150;
+    sun.shadow.camera.right = 150;
+    sun.shadow.camera.top = 150;
+    sun.shadow.camera.bottom = -150;
+    this.scene.add(sun);
+    
+    // Renderer
+    this.renderer = new Renderer();
+    this.renderer.updateSize(width, height);
+    this.renderer.setupPostProcessing(this.scene, this.camera);
+    if (container) {
+      container.appendChild(this.renderer.getDomElement());
+    }
+    
+    // Orbit controls for looking around, off while racing (see useGameScene.toggleCameraMode)
+    this.controls = new OrbitControls(this.camera, this.renderer.getDomElement());
+    this.controls.enablePan = false;
+    this.controls.enabled = false;
+    
+    window.addEventListener('resize', this.handleResize);
+  }
+  
+  /**
+   * Setup the sky and the ground around the track
+   */
+  setupEnvironment() {
+    const trackConfig = tracks[this.options.trackId];
+    
+    this.environmentManager = new EnvironmentManager(this.scene);
+    this.environmentManager.init({
+      skyboxType: this.options.environmentType,
+      groundSurface: trackConfig && trackConfig.environment ? trackConfig.environment.groundSurface : 'grass'
+    });
+  }
+  
+  /**
+   * Setup the track
+   */
+  setupTrack() {
+    this.trackBuilder = new TrackBuilder().buildLayout(TRACK_LAYOUTS[this.options.trackId] || 'oval');
+    
+    // Pits only matter with fuel to take on or tires to change
+    if (this.options.fuel || this.options.tireWear) {
+      this.trackBuilder.addPitBox();
+    }
+    
+    this.scene.add(this.trackBuilder.getObject3D());
+  }
+  
+  /**
+   * Setup the player's car on the grid, with a simple body standing in until
+   * its model has loaded
+   */
+  setupVehicle() {
+    const vehicleConfig = vehicles[this.options.vehicleType] || vehicles.sports;
+    
+    this.vehiclePhysics = new VehiclePhysics(vehicleConfig.physics);
+    this.vehiclePhysics.resetTo(this.trackBuilder.getStartPosition(), this.trackBuilder.getStartRotation());
+    this.vehiclePhysics.setTransmission(this.options.transmission || 'automatic');
+    this.vehiclePhysics.setFuelAndTireWear({ fuel: this.options.fuel, tireWear: this.options.tireWear });
+    
+    // Driving assists sit between the player's input and the physics
+    this.drivingAssists = new DrivingAssists(this.vehiclePhysics, this.options.assists);
+    this.drivingAssists.setRacingLine(this.trackBuilder.getCenterline());
+    
+    // Placeholder body, sat on the wheels the physics holds it up on
+    const mesh = new THREE.Group();
+    const material = new THREE.MeshStandardMaterial({ color: vehicleConfig.colors[0], roughness: 0.4 });
+    const body = new THREE.Mesh(new THREE.BoxGeometry(1.8, 0.8, 4.4), material);
+    body.name = 'body';
+    body.position.y = 0.1;
+    body.castShadow = true;
+    mesh.add(body);
+    this.scene.add(mesh);
+    
+    this.vehicle = { config: vehicleConfig, mesh };
+    this.updateVehicleTransform(1);
+    
+    // Swap the placeholder for the model once it's in
+    new GLTFLoader().load(vehicleConfig.modelPath, (gltf) => {
+      if (!this.vehicle || this.vehicle.mesh !== mesh) return;
+      
+      mesh.remove(body);
+      gltf.scene.position.y = -this.vehiclePhysics.config.suspensionHeight;
+      gltf.scene.traverse((child) => {
+        child.castShadow = child.isMesh;
+      });
+      mesh.add(gltf.scene);
+    }, undefined, () => {
+      console.warn('Vehicle model not found, using a placeholder:', vehicleConfig.modelPath);
+    });
+  }
+  
   /**
    * Setup checkpoints
    */
@@ -12,7 +267,9 @@
         totalLaps: this.options.totalLaps,
         onLapCompleted: this.handleLapCompleted.bind(this),
         onCheckpointPassed: this.handleCheckpointPassed.bind(this),
-        onRaceFinished: this.handleRaceFinished.bind(this)
+        onRaceFinished: this.handleRaceFinished.bind(this),
+        pitBox: this.trackBuilder.getPitBox(), // None without fuel or tire wear
+        onPitStop: this.handlePitStop.bind(this)
       }
     );
     
@@ -21,6 +278,250 @@
     
     // Update race state
     this.raceState.totalCheckpoints = this.trackBuilder.getCheckpoints().length;
+    
+    // Drift mode scores drifts on top of the usual laps
+    if (this.options.gameMode === 'drift') {
+      this.setupDriftMode();
+    }
+  }
+  
+  /**
+   * Setup drift mode scoring
+   */
+  setupDriftMode() {
+    this.driftMode = new DriftMode();
+    
+    this.driftMode.init({
+      onDriftCompleted: this.handleDriftEnded.bind(this),
+      onDriftFailed: this.handleDriftEnded.bind(this)
+    });
+  }
+  
+  /**
+   * Handle a drift being banked or lost
+   */
+  handleDriftEnded() {
+    // Trigger race state changed event
+    if (this.onRaceStateChanged) {
+      this.onRaceStateChanged(this.getRaceState());
+    }
+  }
+  
+  /**
+   * Setup the nitro tank, plus pickups on tracks with speed boosts
+   */
+  setupNitro() {
+    this.nitroSystem = new NitroSystem(this.vehiclePhysics);
+    
+    const trackConfig = tracks[this.options.trackId];
+    if (trackConfig && trackConfig.specialFeatures && trackConfig.specialFeatures.speedBoosts) {
+      this.nitroPickups = new NitroPickups();
+      this.nitroPickups.init(this.trackBuilder.getBoostPositions());
+      this.nitroPickups.addToScene(this.scene);
+    }
+  }
+  
+  /**
+   * Apply the track's road and ground surfaces
+   */
+  setupSurfaces() {
+    const trackConfig = tracks[this.options.trackId];
+    if (!trackConfig) return;
+    
+    this.trackBuilder.setTrackSurface(trackConfig.surface || 'asphalt', trackConfig.surfaceSections);
+    if (trackConfig.environment && trackConfig.environment.groundSurface) {
+      this.trackBuilder.setGroundSurface(trackConfig.environment.groundSurface);
+    }
+  }
+  
+  /**
+   * Get the ground under a position, for the vehicle physics
+   * @param {number} x - World X position
+   * @param {number} z - World Z position
+   * @returns {Object} { height, surface }
+   */
+  getSurfaceAt(x, z) {
+    // Once it's set up, the physics world owns the ground
+    if (this.collisionSystem) {
+      return this.collisionSystem.getGroundAt(x, z);
+    }
+    
+    if (this.trackBuilder) {
+      return this.trackBuilder.getSurfaceAt(x, z);
+    }
+    
+    if (this.environmentManager) {
+      return this.environmentManager.getSurfaceAt();
+    }
+    
+    return { height: 0, surface: 'asphalt' };
+  }
+  
+  /**
+   * Setup vehicle damage
+   */
+  setupDamage() {
+    this.damageModel = new DamageModel(this.vehiclePhysics, { mode: this.options.damage || 'full' });
+  }
+  
+  /**
+   * Set how much damage matters
+   * @param {string} mode - 'off', 'visual' or 'full'
+   */
+  setDamageMode(mode) {
+    this.options.damage = mode;
+    
+    if (this.damageModel) {
+      this.damageModel.setMode(mode);
+    }
+    if (this.physicsBridge) {
+      this.physicsBridge.setDamageMode(mode);
+    }
+  }
+  
+  /**
+   * Setup the physics world: the track's ground and barriers, and checkpoint triggers
+   */
+  setupCollisions() {
+    this.collisionSystem = new CollisionSystem();
+    this.collisionSystem.setGround((x, z) => this.trackBuilder.getSurfaceAt(x, z));
+    
+    const trackConfig = tracks[this.options.trackId];
+    this.collisionSystem.setTrackColliders(
+      this.trackBuilder.getColliders(),
+      trackConfig ? trackConfig.barrierMaterial : undefined
+    );
+    
+    if (this.vehicle) {
+      this.vehicle.mesh.userData.vehicle = this.vehiclePhysics;
+      this.collisionSystem.registerCollider(this.vehicle.mesh, null, { material: 'vehicle' });
+      
+      if (this.checkpointSystem) {
+        this.checkpointSystem.createTriggers(this.collisionSystem, this.vehicle.mesh);
+      }
+    }
+    
+    // Damage and impact feedback come from the collision events
+    const handleCollision = this.handleCollision.bind(this);
+    this.collisionSystem.events.onBegin(handleCollision).onPersist(handleCollision);
+  }
+  
+  /**
+   * Handle the car hitting something: damage it, and flag hard hits for the
+   * HUD, audio and camera shake
+   * @param {Object} event - Collision event (see engine/physics/collisionEvents)
+   */
+  handleCollision(event) {
+    const vehicleObject = this.vehicle ? this.vehicle.mesh : null;
+    const isA = event.objectA === vehicleObject;
+    if (!isA && event.objectB !== vehicleObject) return;
+    
+    // Damage by how fast the car closed on whatever it hit
+    if (this.damageModel) {
+      const normal = isA ? event.normal : event.normal.clone().negate();
+      this.damageModel.applyImpact(normal, event.relativeSpeed, isA ? event.massB : event.massA);
+    }
+    
+    // Scrapes and taps aren't worth reacting to
+    if (event.type !== 'begin' || event.relativeSpeed < 5) return;
+    
+    this.handleImpact({
+      speed: event.relativeSpeed,
+      impulse: event.impulse,
+      material: isA ? event.materialB : event.materialA
+    });
+  }
+  
+  /**
+   * Flag a hard hit for the HUD, audio and camera shake
+   * @param {Object} impact - Impact data ({ speed, impulse, material })
+   */
+  handleImpact(impact) {
+    // Update race state
+    this.raceState.impact = impact;
+    
+    // Trigger race state changed event
+    if (this.onRaceStateChanged) {
+      this.onRaceStateChanged(this.getRaceState());
+    }
+    
+    // Reset impact after a short delay
+    setTimeout(() => {
+      this.raceState.impact = null;
+    }, 100);
+  }
+  
+  /**
+   * Setup respawning the car on the track
+   */
+  setupRespawn() {
+    this.respawnSystem = new RespawnSystem(this.vehiclePhysics);
+    
+    // Back at the last checkpoint passed, or on the grid before the first one
+    this.respawnSystem.getRespawnPoint = () => {
+      const checkpoint = this.checkpointSystem ? this.checkpointSystem.getLastCheckpoint() : null;
+      if (!checkpoint) {
+        return {
+          position: this.trackBuilder.getStartPosition(),
+          rotation: this.trackBuilder.getStartRotation()
+        };
+      }
+      
+      return this.trackBuilder.getRespawnPoint(checkpoint.position);
+    };
+    
+    // Anywhere well clear of the track counts as out of bounds
+    this.respawnSystem.isInBounds = (position) => this.trackBuilder.getDistanceToTrack(position) < 40;
+    this.respawnSystem.onRespawn = this.handleRespawn.bind(this);
+  }
+  
+  /**
+   * Reset the car to the track at the driver's request
+   */
+  requestRespawn() {
+    if (this.physicsBridge) {
+      this.physicsBridge.requestRespawn();
+    } else if (this.respawnSystem) {
+      this.respawnSystem.requestReset();
+    }
+  }
+  
+  /**
+   * Setup slipstream between the cars on track
+   */
+  setupSlipstream() {
+    this.slipstream = new Slipstream();
+    this.slipstream.addVehicle(this.vehiclePhysics);
+  }
+  
+  /**
+   * Set the gearbox mode
+   * @param {string} mode - 'automatic' or 'manual'
+   */
+  setTransmission(mode) {
+    this.options.transmission = mode;
+    
+    if (this.vehiclePhysics) {
+      this.vehiclePhysics.setTransmission(mode);
+    }
+    if (this.physicsBridge) {
+      this.physicsBridge.setTransmission(mode);
+    }
+  }
+  
+  /**
+   * Set driving assist levels
+   * @param {Object} levels - Level per assist ('off', 'low', 'medium', 'high')
+   */
+  setDrivingAssists(levels) {
+    this.options.assists = levels;
+    
+    if (this.drivingAssists) {
+      this.drivingAssists.setLevels(levels);
+    }
+    if (this.physicsBridge) {
+      this.physicsBridge.setAssists(levels);
+    }
   }
   
   /**
@@ -66,6 +567,91 @@
     }, 100);
   }
   
+  /**
+   * Handle pit stop event: refuel and fit fresh tires
+   * @param {Object} pitData - Pit stop data
+   */
+  handlePitStop(pitData) {
+    this.vehiclePhysics.refuel();
+    this.vehiclePhysics.changeTires();
+    
+    // Update race state
+    this.raceState.pitStops = pitData.pitStops;
+    this.raceState.pitStopCompleted = true;
+    
+    // Trigger race state changed event
+    if (this.onRaceStateChanged) {
+      this.onRaceStateChanged(this.getRaceState());
+    }
+    
+    // Reset pit stop flag after a short delay
+    setTimeout(() => {
+      this.raceState.pitStopCompleted = false;
+    }, 100);
+  }
+  
+  /**
+   * Handle the car landing a jump
+   * @param {Object} jump - Jump data ({ airTime, distance, height, landingSpeed, isBigAir })
+   */
+  handleLanded(jump) {
+    if (!jump.isBigAir) return;
+    
+    // Update race state
+    this.raceState.bigAir = jump;
+    
+    // Trigger race state changed event
+    if (this.onRaceStateChanged) {
+      this.onRaceStateChanged(this.getRaceState());
+    }
+    
+    // Reset big air after a short delay
+    setTimeout(() => {
+      this.raceState.bigAir = null;
+    }, 100);
+  }
+  
+  /**
+   * Handle the car being put back on the track
+   * @param {Object} respawnData - Respawn data ({ reason, penalty, respawns })
+   */
+  handleRespawn(respawnData) {
+    // Manual resets cost time; the physics worker charges it itself
+    if (!this.physicsBridge && respawnData.penalty > 0 && this.raceState.isRaceStarted && !this.raceState.isRaceFinished) {
+      this.checkpointSystem.addPenalty(respawnData.penalty);
+      this.raceState.raceTime += respawnData.penalty;
+    }
+    
+    // Update race state
+    this.raceState.respawned = respawnData;
+    
+    // Trigger race state changed event
+    if (this.onRaceStateChanged) {
+      this.onRaceStateChanged(this.getRaceState());
+    }
+    
+    // Reset respawned after a short delay
+    setTimeout(() => {
+      this.raceState.respawned = null;
+    }, 100);
+  }
+  
+  /**
+   * Enable or disable fuel use and tire wear for endurance races
+   * @param {Object} options - { fuel, tireWear }
+   */
+  setFuelAndTireWear(options) {
+    this.options.fuel = options.fuel;
+    this.options.tireWear = options.tireWear;
+    
+    if (this.vehiclePhysics) {
+      this.vehiclePhysics.setFuelAndTireWear(options);
+    }
+    if (this.physicsBridge) {
+      this.physicsBridge.setFuelAndTireWear(options);
+    }
+  }
+  
   /**
    * Handle race finished event
    * @param {Object} raceData - Race completion data
@@ -82,50 +668,386 @@
       this.onRaceStateChanged(this.getRaceState());
     }
   }
+  
   /**
    * Setup game loop
    */
   setupGameLoop() {
-    // Fixed update for physics
-    this.gameLoop.onFixedUpdate((fixedDeltaTime) => {
-      if (this.isPaused) return;
-      
-      // Update race time if race is started
-      if (this.raceState.isRaceStarted && !this.raceState.isRaceFinished) {
+    this.setupSurfaces();
+    this.setupNitro();
+    this.setupSlipstream();
+    this.setupDamage();
+    this.setupRespawn();
+    this.setupCollisions();
+    
+    // Celebrate big jumps
+    this.vehiclePhysics.onLanded = this.handleLanded.bind(this);
+    
+    // Everything but rendering stops while paused
+    const whenRunning = (callback) => (...args) => {
+      if (!this.isPaused) callback(...args);
+    };
+    const isRacing = () => this.raceState.isRaceStarted && !this.raceState.isRaceFinished;
+    
+    // Before the physics step: race clock, then anything that pushes the car
+    this.gameLoop.addSystem('raceTime', whenRunning((fixedDeltaTime) => {
+      if (isRacing()) {
         this.raceState.raceTime += fixedDeltaTime;
         this.raceState.currentLapTime += fixedDeltaTime;
       }
+    }), { phase: 'prePhysics' });
+    
+    // Update nitro before the physics step so the boost applies to it
+    this.gameLoop.addSystem('nitro', whenRunning((fixedDeltaTime) => {
+      if (!this.nitroSystem) return;
       
+      if (this.nitroPickups && this.vehicle) {
+        this.nitroSystem.addNitro(this.nitroPickups.update(fixedDeltaTime, this.vehiclePhysics.state.position));
+      }
+      this.nitroSystem.update(fixedDeltaTime);
+    }), { phase: 'prePhysics', priority: 10 });
+    
+    // Update drafting between cars
+    this.gameLoop.addSystem('slipstream', whenRunning(() => {
+      if (this.slipstream) {
+        this.slipstream.update();
+      }
+    }), { phase: 'prePhysics', priority: 20 });
+    
+    this.gameLoop.addSystem('vehiclePhysics', whenRunning((fixedDeltaTime) => {
       this.updatePhysics(fixedDeltaTime);
-      
-      // Update checkpoint system
-      if (this.checkpointSystem && this.vehicle) {
-        this.checkpointSystem.update(fixedDeltaTime, this.vehicle.mesh.position);
-        
-        // Update race state from checkpoint system
-        const checkpointState = this.checkpointSystem.getRaceState();
-        this.raceState.currentLap = checkpointState.currentLap;
-        this.raceState.currentLapTime = checkpointState.currentLapTime;
-        this.raceState.bestLapTime = checkpointState.bestLapTime;
+    }), { phase: 'physics' });
+    
+    // Keep the car out of the barriers and fire checkpoint and pit lane triggers
+    this.gameLoop.addSystem('collisions', whenRunning((fixedDeltaTime) => {
+      if (this.collisionSystem) {
+        this.collisionSystem.update(fixedDeltaTime);
       }
-    });
+    }), { phase: 'physics', priority: 10 });
     
-    // Update for animations and camera
-    this.gameLoop.onUpdate((deltaTime) => {
-      if (this.isPaused) return;
+    // Put the car back on the track if it's flipped, stuck or out of bounds
+    this.gameLoop.addSystem('respawn', whenRunning((fixedDeltaTime) => {
+      if (this.respawnSystem && isRacing()) {
+        this.respawnSystem.update(fixedDeltaTime);
+      }
+    }), { phase: 'postPhysics' });
+    
+    // Update checkpoint system
+    this.gameLoop.addSystem('checkpoints', whenRunning((fixedDeltaTime) => {
+      if (!this.checkpointSystem || !this.vehicle) return;
+      
+      this.checkpointSystem.update(fixedDeltaTime, this.vehiclePhysics.state.position, this.vehiclePhysics.state.speedKmh);
       
+      // Update race state from checkpoint system
+      const checkpointState = this.checkpointSystem.getRaceState();
+      this.raceState.currentLap = checkpointState.currentLap;
+      this.raceState.currentLapTime = checkpointState.currentLapTime;
+      this.raceState.bestLapTime = checkpointState.bestLapTime;
+    }), { phase: 'postPhysics', priority: 10 });
+    
+    // Score drifts while the race is running
+    this.gameLoop.addSystem('drift', whenRunning((fixedDeltaTime) => {
+      if (this.driftMode && isRacing()) {
+        this.driftMode.update(fixedDeltaTime, this.vehiclePhysics);
+      }
+    }), { phase: 'postPhysics', priority: 20 });
+    
+    // The camera follows the blended car, so both move smoothly
+    this.gameLoop.addSystem('vehicleTransform', whenRunning((deltaTime, alpha) => {
+      this.updateVehicleTransform(this.physicsBridge ? this.physicsBridge.getInterpolationAlpha() : alpha);
+    }), { phase: 'animation' });
+    
+    this.gameLoop.addSystem('camera', whenRunning((deltaTime) => {
+      // Leave the camera to the orbit controls while the simulation is frozen
+      if (this.gameLoop.isSimulationPaused && this.controls) {
+        this.controls.update();
+        return;
+      }
       this.updateCamera(deltaTime);
+    }), { phase: 'animation', priority: 10 });
+    
+    // Show damage on the vehicle model
+    this.gameLoop.addSystem('vehicleDamage', whenRunning(() => {
+      if (!this.damageModel || !this.vehicle) return;
+      
+      const damageState = this.physicsBridge ?
+        this.physicsBridge.getDamageState() : this.damageModel.getDamageState();
+      if (!damageState) return;
       
-      // Update environment
+      if (!this.vehicleDamage) {
+        this.vehicleDamage = new VehicleDamage(this.vehicle.mesh);
+      }
+      this.vehicleDamage.update(damageState);
+    }), { phase: 'animation', priority: 20 });
+    
+    // Update environment
+    this.gameLoop.addSystem('environment', whenRunning((deltaTime) => {
       if (this.environmentManager) {
         this.environmentManager.update(deltaTime);
       }
-    });
+    }), { phase: 'animation', priority: 30 });
     
     // Render
-    this.gameLoop.onRender(() => {
+    this.gameLoop.addSystem('render', () => {
       this.renderer.render(this.scene, this.camera);
-    });
+    }, { phase: 'render' });
+    
+    // Optionally hand the car, collisions and laps over to a worker
+    if (this.options.physicsWorker && isPhysicsWorkerSupported()) {
+      this.setupPhysicsWorker();
+    }
+    
+    // Record what each frame cost for the performance overlay
+    this.profiler = new FrameProfiler(this.gameLoop);
+    this.profiler.setRenderer(this.renderer);
+  }
+  
+  /**
+   * Run the car, collisions and checkpoints in a worker, along with the driving
+   * assists, nitro, slipstream and drift scoring. The main thread only sends the
+   * controls over, draws the car and the nitro pickups between the states the
+   * worker posts back and turns its race events into race state
+   */
+  setupPhysicsWorker() {
+    // The worker builds its own copy of the track, so it must be a predefined layout
+    if (!this.vehicle || !this.trackBuilder.layout) {
+      console.warn('Physics worker needs a predefined track layout; running physics on the main thread');
+      return;
+    }
+    
+    const trackConfig = tracks[this.options.trackId];
+    this.physicsBridge = new PhysicsBridge().init({
+      vehicle: this.vehiclePhysics.config,
+      layout: this.trackBuilder.layout,
+      trackSurface: (trackConfig && trackConfig.surface) || 'asphalt',
+      surfaceSections: trackConfig ? trackConfig.surfaceSections : undefined,
+      groundSurface: this.trackBuilder.groundSurface,
+      barrierMaterial: trackConfig ? trackConfig.barrierMaterial : undefined,
+      totalLaps: this.options.totalLaps,
+      transmission: this.options.transmission || 'automatic',
+      damage: this.options.damage || 'full',
+      fuel: this.options.fuel,
+      tireWear: this.options.tireWear,
+      assists: this.options.assists,
+      nitroPickups: Boolean(this.nitroPickups),
+      gameMode: this.options.gameMode
+    }, this.vehicle.mesh, this.gameLoop.fixedTimeStep);
+    this.physicsBridge.onEvent(this.handlePhysicsEvent.bind(this));
+    
+    // The worker runs these now
+    ['raceTime', 'nitro', 'slipstream', 'vehiclePhysics', 'collisions', 'respawn', 'checkpoints', 'drift']
+      .forEach(name => this.gameLoop.removeSystem(name));
+    
+    // Keep the worker's clock in step with pausing and debugging, and pick up
+    // its latest state before the car is drawn
+    this.gameLoop.addSystem('physicsBridge', (deltaTime) => {
+      this.physicsBridge.setPaused(this.isPaused || this.gameLoop.isSimulationPaused);
+      this.physicsBridge.setTimeScale(this.gameLoop.getTimeScale());
+      this.physicsBridge.applyTo(this.vehiclePhysics);
+      this.applyPhysicsRaceState();
+      
+      const pickupTimers = this.physicsBridge.getNitroPickupTimers();
+      if (this.nitroPickups && pickupTimers) {
+        this.nitroPickups.applyRespawnTimers(pickupTimers, deltaTime);
+      }
+    }, { phase: 'animation', priority: -10 });
+  }
+  
+  /**
+   * Copy the lap counting and race clock from the physics worker
+   */
+  applyPhysicsRaceState() {
+    const checkpointState = this.physicsBridge.getRaceState();
+    if (!checkpointState || !this.checkpointSystem) return;
+    
+    this.checkpointSystem.applyRaceState(checkpointState);
+    this.raceState.currentLap = checkpointState.currentLap;
+    this.raceState.currentLapTime = checkpointState.currentLapTime;
+    this.raceState.bestLapTime = checkpointState.bestLapTime;
+    if (this.raceState.isRaceStarted && !this.raceState.isRaceFinished) {
+      this.raceState.raceTime = checkpointState.raceTime;
+    }
+  }
+  
+  /**
+   * Handle a race event from the physics worker the same way as one from the
+   * systems on the main thread
+   * @param {Object} event - { type, data } (see PhysicsWorld)
+   */
+  handlePhysicsEvent({ type, data }) {
+    // Handlers read the lap times, so catch up with the state the event came with
+    this.applyPhysicsRaceState();
+    
+    switch (type) {
+      case 'checkpointPassed':
+        this.handleCheckpointPassed(data);
+        break;
+      case 'lapCompleted':
+        this.handleLapCompleted(data);
+        break;
+      case 'raceFinished':
+        this.handleRaceFinished(data);
+        break;
+      case 'pitStop':
+        this.handlePitStop(data);
+        break;
+      case 'respawned':
+        this.handleRespawn(data);
+        break;
+      case 'landed':
+        this.handleLanded(data);
+        break;
+      case 'impact':
+        this.handleImpact(data);
+        break;
+      case 'driftCompleted':
+      case 'driftFailed':
+        this.handleDriftEnded();
+        break;
+    }
+  }
+  
+  /**
+   * Drive the car from the player's input for one fixed step
+   * @param {number} deltaTime - Time step in seconds
+   */
+  updatePhysics(deltaTime) {
+    if (!this.vehiclePhysics) return;
+    
+    this.vehiclePhysics.setControls(this.drivingAssists.apply(this.getControls(), deltaTime));
+    this.vehiclePhysics.update(deltaTime, this.getSurfaceAt);
+  }
+  
+  /**
+   * Turn the player's input into vehicle controls, holding the car on the
+   * grid until the race starts
+   * @returns {Object} Controls (see VehiclePhysics.setControls)
+   */
+  getControls() {
+    return this.raceState.isRaceStarted ? getInputControls(this.input) : GRID_CONTROLS;
+  }
+  
+  /**
+   * Place the car model between the last two physics steps, so it doesn't
+   * stutter on screens refreshing faster than the physics runs
+   * @param {number} alpha - How far the frame is into the next physics step (0-1)
+   */
+  updateVehicleTransform(alpha) {
+    if (!this.vehicle) return;
+    
+    const transform = this.vehiclePhysics.getTransform(alpha);
+    this.vehicle.mesh.position.copy(transform.position);
+    this.vehicle.mesh.quaternion.copy(transform.rotation);
+  }
+  
+  /**
+   * Follow the car from behind, easing into place so bumps and turns don't jolt
+   * the view, and pull in ahead of any barrier that would hide the car. The orbit
+   * controls have the camera while they're enabled
+   * @param {number} deltaTime - Time since last frame in seconds
+   */
+  updateCamera(deltaTime) {
+    if (this.controls && this.controls.enabled) {
+      this.controls.update();
+      return;
+    }
+    if (!this.vehicle) return;
+    
+    const { mesh } = this.vehicle;
+    _cameraPosition.copy(CAMERA_OFFSET).applyQuaternion(mesh.quaternion).add(mesh.position);
+    _cameraTarget.copy(CAMERA_TARGET).applyQuaternion(mesh.quaternion).add(mesh.position);
+    
+    this.camera.position.lerp(_cameraPosition, 1 - Math.exp(-8 * deltaTime));
+    
+    // Keep a clear line from the car to the camera
+    if (this.collisionSystem) {
+      _cameraPivot.copy(CAMERA_PIVOT).applyQuaternion(mesh.quaternion).add(mesh.position);
+      _cameraRay.subVectors(this.camera.position, _cameraPivot);
+      const distance = _cameraRay.length();
+      
+      if (distance > CAMERA_CLEARANCE) {
+        const hit = this.collisionSystem.raycast(_cameraPivot, _cameraRay.divideScalar(distance), {
+          maxDistance: distance,
+          mask: COLLISION_LAYERS.barrier | COLLISION_LAYERS.prop,
+          ignore: mesh,
+          ground: false
+        });
+        if (hit) {
+          this.camera.position.copy(_cameraPivot).addScaledVector(_cameraRay, Math.max(0, hit.distance - CAMERA_CLEARANCE));
+        }
+      }
+    }
+    
+    this.camera.lookAt(_cameraTarget);
+  }
+  
+  /**
+   * Set the player's input, read every fixed step
+   * @param {Object} inputState - Input state (see useInputManager)
+   */
+  updateInput(inputState) {
+    this.input = inputState;
+  }
+  
+  /**
+   * Freeze or unfreeze the simulation for debugging. Rendering carries on and
+   * the camera can be orbited around the car while frozen
+   * @param {boolean} frozen - Whether the simulation should be frozen
+   */
+  setSimulationFrozen(frozen) {
+    if (frozen === this.gameLoop.isSimulationPaused) return;
+    
+    this.gameLoop.setSimulationPaused(frozen);
+    if (!this.controls) return;
+    
+    if (frozen) {
+      // Orbit around where the car stopped
+      this.wereControlsEnabled = this.controls.enabled;
+      this.controls.target.copy(this.vehiclePhysics.state.position);
+      this.controls.enabled = true;
+    } else {
+      this.controls.enabled = this.wereControlsEnabled;
+    }
+  }
+  
+  /**
+   * Advance a frozen simulation by whole physics steps, running collisions,
+   * triggers and everything else in the fixed phases as usual
+   * @param {number} steps - Number of fixed steps to run
+   */
+  stepSimulation(steps = 1) {
+    if (!this.gameLoop.isSimulationPaused) return;
+    
+    if (this.physicsBridge) {
+      this.physicsBridge.step(steps);
+    } else {
+      this.gameLoop.step(steps);
+    }
+  }
+  
+  /**
+   * Slow down or speed up the simulation for debugging
+   * @param {number} scale - Time scale, limited to 0.1-4
+   */
+  setSimulationTimeScale(scale) {
+    this.gameLoop.setTimeScale(Math.min(4, Math.max(0.1, scale)));
+  }
+  
+  /**
+   * Get the state of the debugging controls
+   * @returns {Object} Whether the simulation is frozen, its time scale and how far it has run
+   */
+  getDebugState() {
+    // With physics in a worker, the worker's steps are the ones that count
+    const snapshot = this.physicsBridge ? this.physicsBridge.snapshot : null;
+    const fixedStepCount = snapshot ? snapshot.step : this.gameLoop.fixedStepCount;
+    
+    return {
+      isFrozen: this.gameLoop.isSimulationPaused,
+      timeScale: this.gameLoop.getTimeScale(),
+      fixedStepCount,
+      simulationTime: fixedStepCount * this.gameLoop.fixedTimeStep
+    };
   }
   
   /**
@@ -148,8 +1070,42 @@
       this.checkpointSystem.reset();
     }
     
+    // Reset drift score
+    if (this.driftMode) {
+      this.driftMode.reset();
+    }
+    
+    // Refill nitro
+    if (this.nitroSystem) {
+      this.nitroSystem.reset();
+    }
+    if (this.nitroPickups) {
+      this.nitroPickups.reset();
+    }
+    
+    // Repair the car
+    if (this.damageModel) {
+      this.damageModel.reset();
+    }
+    
+    // Clear respawn timers
+    if (this.respawnSystem) {
+      this.respawnSystem.reset();
+    }
+    
+    // Start on a full tank and fresh tires
+    this.vehiclePhysics.refuel();
+    this.vehiclePhysics.changeTires();
+    this.raceState.pitStops = 0;
+    
+    // The physics worker resets its own copies of all of the above
+    if (this.physicsBridge) {
+      this.physicsBridge.reset();
+    }
+    
     // Start countdown
-    const countdownInterval = setInterval(() => {
+    clearInterval(this.countdownInterval);
+    this.countdownInterval = setInterval(() => {
       this.raceState.countdown--;
       
       // Trigger race state changed event
@@ -158,7 +1114,7 @@
       }
       
       if (this.raceState.countdown <= 0) {
-        clearInterval(countdownInterval);
+        clearInterval(this.countdownInterval);
         this.startRace();
       }
     }, 1000);
@@ -175,6 +1131,9 @@
     if (this.checkpointSystem) {
       this.checkpointSystem.startRace();
     }
+    if (this.physicsBridge) {
+      this.physicsBridge.startRace();
+    }
     
     // Trigger race state changed event
     if (this.onRaceStateChanged) {
@@ -187,7 +1146,11 @@
    * @returns {Object} Race state object
    */
   getRaceState() {
-    return { ...this.raceState };
+    return {
+      ...this.raceState,
+      drift: this.physicsBridge ? this.physicsBridge.getDriftState() :
+        this.driftMode ? this.driftMode.getDriftState() : null
+    };
   }
   
   /**
@@ -197,3 +1160,71 @@
   setRaceStateChangedCallback(callback) {
     this.onRaceStateChanged = callback;
   }
+  
+  /**
+   * Start the game loop
+   */
+  start() {
+    this.isRunning = true;
+    this.gameLoop.start();
+  }
+  
+  /**
+   * Stop the game loop
+   */
+  stop() {
+    this.isRunning = false;
+    this.gameLoop.stop();
+  }
+  
+  /**
+   * Pause or resume the race. The scene keeps rendering while paused
+   */
+  togglePause() {
+    this.isPaused = !this.isPaused;
+    
+    // Trigger race state changed event
+    if (this.onRaceStateChanged) {
+      this.onRaceStateChanged(this.getRaceState());
+    }
+  }
+  
+  /**
+   * Fit the camera and renderer to the container
+   */
+  handleResize() {
+    const { container } = this.options;
+    const width = container ? container.clientWidth : window.innerWidth;
+    const height = container ? container.clientHeight : window.innerHeight;
+    
+    this.camera.aspect = width / height;
+    this.camera.updateProjectionMatrix();
+    this.renderer.updateSize(width, height);
+  }
+  
+  /**
+   * Stop the race and release everything the scene holds
+   */
+  dispose() {
+    this.stop();
+    clearInterval(this.countdownInterval);
+    window.removeEventListener('resize', this.handleResize);
+    
+    if (this.checkpointSystem) {
+      this.checkpointSystem.removeTriggers();
+    }
+    
+    this.controls.dispose();
+    this.renderer.dispose();
+    
+    const canvas = this.renderer.getDomElement();
+    if (canvas.parentNode) {
+      canvas.parentNode.removeChild(canvas);
+    }
+    
+    this.onRaceStateChanged = null;
+    this.vehicle = null;
+  }
+}
+
+export default GameScene;
@@ -1,8 +1,14 @@
 import React from 'react';
 import { useNavigate } from 'react-router-dom';
-import { useDispatch } from 'react-redux';
+import { useDispatch, useSelector } from 'react-redux';
 import PropTypes from 'prop-types';
-import { startRace, selectVehicle, selectTrack } from '../state/gameSlice';
+import { startRace, selectVehicle, selectTrack, selectGameMode } from '../state/gameSlice';
+
+// Game modes offered for a quick race
+const GAME_MODES = [
+  { id: 'race', label: 'Race' },
+  { id: 'drift', label: 'Drift' }
+];
 
 /**
  * MainMenu component - The game's main menu
@@ -10,6 +16,7 @@ import { startRace, selectVehicle, selectTrack } from '../state/gameSlice';
 const MainMenu = ({ toggleTheme }) => {
   const navigate = useNavigate();
   const dispatch = useDispatch();
+  const gameMode = useSelector(state => state.game.gameMode);
   
   // Start a quick race with default settings
   const handleQuickRace = () => {
@@ -50,6 +57,19 @@ const MainMenu = ({ toggleTheme }) => {
               <h2 className="card-title text-2xl mb-6">Main Menu</h2>
               
               <div className="flex flex-col gap-4">
+                {/* Game mode */}
+                <div className="join w-full">
+                  {GAME_MODES.map(mode => (
+                    <button
+                      key={`mode-${mode.id}`}
+                      className={`btn join-item flex-1 ${mode.id === gameMode ? 'btn-active' : ''}`}
+                      onClick={() => dispatch(selectGameMode(mode.id))}
+                    >
+                      {mode.label}
+                    </button>
+                  ))}
+                </div>
+                
                 <button 
                   className="btn btn-primary btn-lg"
                   onClick={handleQuickRace}
@@ -3,7 +3,7 @@ import { useSelector, useDispatch } from 'react-redux';
 import { useNavigate } from 'react-router-dom';
 import GameContainer from '../components/game/GameContainer';
 import { updateRaceStats, pauseGame, resumeGame, endRace } from '../state/gameSlice';
-import { addXp, addCurrency, recordRaceCompleted } from '../state/userSlice';
+import { addXp, addCurrency, recordRaceCompleted, recordDriftSession, updatePreferences } from '../state/userSlice';
 
 /**
  * PlayScene component - Main gameplay scene that integrates the game container
@@ -13,7 +13,8 @@ const PlayScene = () => {
   const navigate = useNavigate();
   
   // Get game state from Redux
-  const { selectedVehicle, selectedTrack, isPaused } = useSelector(state => state.game);
+  const { selectedVehicle, selectedTrack, gameMode, isPaused, settings } = useSelector(state => state.game);
+  const showFps = useSelector(state => state.user.preferences.showFps);
   
   // Local state for environment
   const [environmentType, setEnvironmentType] = useState('daytime');
@@ -30,6 +31,11 @@ const PlayScene = () => {
     }
   }, [dispatch, isPaused]);
   
+  // Show or hide the performance overlay
+  const handleTogglePerformance = useCallback(() => {
+    dispatch(updatePreferences({ showFps: !showFps }));
+  }, [dispatch, showFps]);
+  
   // Handle race finished
   const handleRaceFinished = useCallback((raceState, isExit = false) => {
     // If user exited the race
@@ -54,6 +60,15 @@ const PlayScene = () => {
       raceTime: raceState.raceTime
     }));
     
+    // Record the drift score in drift mode
+    if (raceState.drift) {
+      dispatch(recordDriftSession({
+        trackId: selectedTrack,
+        score: raceState.drift.totalScore,
+        bestDrift: raceState.drift.bestDrift
+      }));
+    }
+    
     // Award XP and currency based on performance
     const positionMultiplier = Math.max(1, 9 - raceState.position); // 1st = 8x, 8th = 1x
     const xpAwarded = 100 * positionMultiplier;
@@ -95,7 +110,16 @@ const PlayScene = () => {
         vehicleType={selectedVehicle}
         trackId={selectedTrack}
         environmentType={environmentType}
-        totalLaps={3}
+        totalLaps={settings.laps}
+        gameMode={gameMode}
+        assists={settings.assists}
+        transmission={settings.transmission}
+        damage={settings.damage}
+        fuel={settings.fuel}
+        tireWear={settings.tireWear}
+        physicsWorker={settings.physicsWorker}
+        showPerformance={showFps}
+        onTogglePerformance={handleTogglePerformance}
         onGameStateChange={handleGameStateChange}
         onRaceFinished={handleRaceFinished}
       />
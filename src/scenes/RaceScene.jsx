@@ -13,10 +13,17 @@ import * as THREE from 'three';
 import GameLoop from '../engine/loop';
 import VehiclePhysics from '../engine/physics/vehiclePhysics';
 import CollisionSystem from '../engine/physics/collisionSystem';
+import DrivingAssists from '../engine/physics/drivingAssists';
+import NitroSystem from '../engine/physics/nitroSystem';
+import DamageModel from '../engine/physics/damageModel';
+import RespawnSystem from '../engine/physics/respawnSystem';
+import assistPresets from '../config/assists';
 
 // Component imports
 import Vehicle from '../components/game/vehicles/Vehicle';
 import Speedometer from '../components/ui/HUD/Speedometer';
+import NitroMeter from '../components/ui/HUD/NitroMeter';
+import DamageIndicator from '../components/ui/HUD/DamageIndicator';
 
 // Track and environment
 const Track = ({ trackConfig }) => {
@@ -85,6 +92,55 @@ const Track = ({ trackConfig }) => {
   );
 };
 
+// Track configuration
+const trackConfig = {
+  groundTexture: '/assets/textures/ground_diffuse.jpg',
+  groundNormalMap: '/assets/textures/ground_normal.jpg',
+  groundRoughnessMap: '/assets/textures/ground_roughness.jpg',
+  groundAoMap: '/assets/textures/ground_ao.jpg',
+  surface: 'asphalt', // Road surface (see config/surfaces)
+  groundSurface: 'grass', // Off-track surface
+  trackPath: [
+    { position: [0, 0, 0], width: 20, length: 100, color: '#555555' },
+    { position: [50, 0, 50], width: 20, length: 100, rotation: Math.PI / 2, color: '#555555' },
+    { position: [100, 0, 0], width: 20, length: 100, color: '#555555' },
+    { position: [50, 0, -50], width: 20, length: 100, rotation: Math.PI / 2, color: '#555555' }
+  ],
+  barriers: [
+    // Outer barriers
+    { position: [0, 1, 55], width: 30, height: 2, length: 2, color: '#ff3333' },
+    { position: [0, 1, -55], width: 30, height: 2, length: 2, color: '#ff3333' },
+    { position: [55, 1, 0], width: 2, height: 2, length: 110, color: '#ff3333' },
+    { position: [-15, 1, 0], width: 2, height: 2, length: 110, color: '#ff3333' },
+    
+    // Inner barriers
+    { position: [25, 1, 25], width: 50, height: 2, length: 2, color: '#3333ff' },
+    { position: [25, 1, -25], width: 50, height: 2, length: 2, color: '#3333ff' }
+  ]
+};
+
+// Centerline of the track loop in driving order (used by the driving assists)
+const racingLine = [[0, 0, -50], [0, 0, 50], [100, 0, 50], [100, 0, -50]];
+
+// Ground under a position: the road surface on the track path, the ground surface elsewhere
+const getTrackSurfaceAt = (x, z) => {
+  const onTrack = trackConfig.trackPath.some(segment => {
+    // Move the position into the segment's frame
+    const angle = segment.rotation || 0;
+    const dx = x - segment.position[0];
+    const dz = z - segment.position[2];
+    const localX = dx * Math.cos(angle) - dz * Math.sin(angle);
+    const localZ = dx * Math.sin(angle) + dz * Math.cos(angle);
+    
+    return Math.abs(localX) <= segment.width / 2 && Math.abs(localZ) <= segment.length / 2;
+  });
+  
+  return {
+    height: 0,
+    surface: onTrack ? trackConfig.surface : trackConfig.groundSurface
+  };
+};
+
 // Main race scene
 const RaceScene = () => {
   // Game state
@@ -105,12 +161,16 @@ const RaceScene = () => {
   const [vehicleState, setVehicleState] = useState({
     speed: 0,
     rpm: 0,
-    gear: 1
+    gear: 1,
+    maxRpm: 8000,
+    nitro: { level: 1, isBoosting: false },
+    damage: { zones: {}, total: 0, enginePower: 1 }
   });
   
   // Game engine references
   const gameLoopRef = useRef(null);
   const vehiclePhysicsRef = useRef(null);
+  const damageModelRef = useRef(null);
   const collisionSystemRef = useRef(null);
   const vehicleRef = useRef(null);
   const cameraRef = useRef(null);
@@ -121,34 +181,12 @@ const RaceScene = () => {
     backward: false,
     left: false,
     right: false,
-    brake: false
+    handbrake: false,
+    boost: false,
+    shiftUp: false,
+    shiftDown: false
   });
   
-  // Track configuration
-  const trackConfig = {
-    groundTexture: '/assets/textures/ground_diffuse.jpg',
-    groundNormalMap: '/assets/textures/ground_normal.jpg',
-    groundRoughnessMap: '/assets/textures/ground_roughness.jpg',
-    groundAoMap: '/assets/textures/ground_ao.jpg',
-    trackPath: [
-      { position: [0, 0, 0], width: 20, length: 100, color: '#555555' },
-      { position: [50, 0, 50], width: 20, length: 100, rotation: Math.PI / 2, color: '#555555' },
-      { position: [100, 0, 0], width: 20, length: 100, color: '#555555' },
-      { position: [50, 0, -50], width: 20, length: 100, rotation: Math.PI / 2, color: '#555555' }
-    ],
-    barriers: [
-      // Outer barriers
-      { position: [0, 1, 55], width: 30, height: 2, length: 2, color: '#ff3333' },
-      { position: [0, 1, -55], width: 30, height: 2, length: 2, color: '#ff3333' },
-      { position: [55, 1, 0], width: 2, height: 2, length: 110, color: '#ff3333' },
-      { position: [-15, 1, 0], width: 2, height: 2, length: 110, color: '#ff3333' },
-      
-      // Inner barriers
-      { position: [25, 1, 25], width: 50, height: 2, length: 2, color: '#3333ff' },
-      { position: [25, 1, -25], width: 50, height: 2, length: 2, color: '#3333ff' }
-    ]
-  };
-  
   // Initialize game engine
   useEffect(() => {
     // Create game loop
@@ -166,25 +204,50 @@ const RaceScene = () => {
     vehiclePhysicsRef.current = vehiclePhysics;
     
     // Set initial vehicle position
-    vehiclePhysics.state.position.set(0, 0.5, -40);
+    const startPosition = new THREE.Vector3(0, 0, -40);
+    vehiclePhysics.resetTo(startPosition);
+    
+    // Driving assists sit between the keyboard and the physics
+    const drivingAssists = new DrivingAssists(vehiclePhysics, assistPresets.medium);
+    drivingAssists.setRacingLine(racingLine.map(point => new THREE.Vector3(...point)));
+    
+    // Create nitro system
+    const nitroSystem = new NitroSystem(vehiclePhysics);
     
-    // Create collision system
+    // Create damage model
+    const damageModel = new DamageModel(vehiclePhysics);
+    damageModelRef.current = damageModel;
+    
+    // Respawn at the start if the car flips, gets stuck or drives off the ground plane
+    const respawnSystem = new RespawnSystem(vehiclePhysics);
+    respawnSystem.getRespawnPoint = () => ({ position: startPosition, rotation: 0 });
+    respawnSystem.isInBounds = (position) => Math.abs(position.x) < 500 && Math.abs(position.z) < 500;
+    
+    // Create collision system, which the car asks for the ground
     const collisionSystem = new CollisionSystem();
+    collisionSystem.setGround(getTrackSurfaceAt);
     collisionSystemRef.current = collisionSystem;
+    const getSurfaceAt = (x, z) => collisionSystem.getGroundAt(x, z);
     
     // Set up fixed update for physics
     gameLoop.onFixedUpdate((fixedDeltaTime) => {
       // Process input
       const input = inputRef.current;
       const controls = {
-        throttle: input.forward ? 1 : (input.backward ? -0.5 : 0),
-        brake: input.brake ? 1 : 0,
-        steering: input.left ? -1 : (input.right ? 1 : 0)
+        throttle: input.forward ? 1 : 0,
+        brake: input.backward ? 1 : 0, // Selects reverse once stopped
+        handbrake: input.handbrake ? 1 : 0,
+        boost: input.boost,
+        steering: input.left ? -1 : (input.right ? 1 : 0),
+        shiftUp: input.shiftUp,
+        shiftDown: input.shiftDown
       };
       
       // Update vehicle physics
-      vehiclePhysics.setControls(controls);
-      vehiclePhysics.update(fixedDeltaTime, (x, z) => 0); // Simple flat ground
+      vehiclePhysics.setControls(drivingAssists.apply(controls, fixedDeltaTime));
+      nitroSystem.update(fixedDeltaTime);
+      vehiclePhysics.update(fixedDeltaTime, getSurfaceAt);
+      respawnSystem.update(fixedDeltaTime);
       
       // Update collision system
       collisionSystem.update(fixedDeltaTime);
@@ -194,7 +257,10 @@ const RaceScene = () => {
       setVehicleState({
         speed: metrics.speedKmh,
         rpm: metrics.rpm,
-        gear: metrics.gear
+        gear: metrics.gear,
+        maxRpm: metrics.maxRpm,
+        nitro: nitroSystem.getNitroState(),
+        damage: damageModel.getDamageState()
       });
     });
     
@@ -218,11 +284,29 @@ const RaceScene = () => {
           inputRef.current.right = true;
           break;
         case ' ':
-          inputRef.current.brake = true;
+          inputRef.current.handbrake = true;
+          break;
+        case 'shift':
+        case 'n':
+          inputRef.current.boost = true;
+          break;
+        case 'e':
+          inputRef.current.shiftUp = true;
+          break;
+        case 'q':
+          inputRef.current.shiftDown = true;
+          break;
+        case 'm':
+          vehiclePhysics.setTransmission(
+            vehiclePhysics.getPerformanceMetrics().transmission === 'manual' ? 'automatic' : 'manual'
+          );
           break;
         case 'p':
           togglePause();
           break;
+        case 'r':
+          respawnSystem.requestReset();
+          break;
       }
     };
     
@@ -245,7 +329,17 @@ const RaceScene = () => {
           inputRef.current.right = false;
           break;
         case ' ':
-          inputRef.current.brake = false;
+          inputRef.current.handbrake = false;
+          break;
+        case 'shift':
+        case 'n':
+          inputRef.current.boost = false;
+          break;
+        case 'e':
+          inputRef.current.shiftUp = false;
+          break;
+        case 'q':
+          inputRef.current.shiftDown = false;
           break;
       }
     };
@@ -356,6 +450,8 @@ const RaceScene = () => {
           ref={vehicleRef}
           modelPath="/assets/models/sports_car.glb"
           physics={vehiclePhysicsRef.current}
+          damage={damageModelRef.current}
+          gameLoop={gameLoopRef.current}
           color="#ff3300"
         />
         
@@ -369,12 +465,17 @@ const RaceScene = () => {
       
       {/* HUD Overlay */}
       <div className="absolute inset-0 pointer-events-none">
-        {/* Speedometer */}
-        <div className="absolute bottom-8 right-8">
+        {/* Speedometer and nitro meter */}
+        <div className="absolute bottom-8 right-8 flex items-end gap-2">
+          <NitroMeter 
+            level={vehicleState.nitro.level}
+            isBoosting={vehicleState.nitro.isBoosting}
+          />
           <Speedometer 
             speed={vehicleState.speed} 
             rpm={vehicleState.rpm} 
             gear={vehicleState.gear}
+            maxRpm={vehicleState.maxRpm}
           />
         </div>
         
@@ -395,6 +496,15 @@ const RaceScene = () => {
           </div>
         </div>
         
+        {/* Damage indicator */}
+        <div className="absolute top-8 right-8">
+          <DamageIndicator 
+            zones={vehicleState.damage.zones}
+            total={vehicleState.damage.total}
+            enginePower={vehicleState.damage.enginePower}
+          />
+        </div>
+        
         {/* Countdown overlay */}
         {gameState.countdown > 0 && (
           <div className="absolute inset-0 flex items-center justify-center bg-black bg-opacity-50">
@@ -442,6 +552,14 @@ const RaceScene = () => {
           <div>D / →</div>
           <div>Handbrake:</div>
           <div>Space</div>
+          <div>Nitro:</div>
+          <div>Shift / N</div>
+          <div>Shift Up/Down:</div>
+          <div>E / Q (manual)</div>
+          <div>Auto/Manual:</div>
+          <div>M</div>
+          <div>Reset Car:</div>
+          <div>R</div>
           <div>Pause:</div>
           <div>P</div>
         </div>
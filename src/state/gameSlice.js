@@ -1,9 +1,11 @@
 import { createSlice } from '@reduxjs/toolkit';
+import assistPresets from '../config/assists';
 
 const initialState = {
   isRunning: false,
   isPaused: false,
   currentScene: 'menu', // 'menu', 'play', 'garage'
+  gameMode: 'race', // 'race', 'drift'
   selectedTrack: 'circuit',
   selectedVehicle: 'sports',
   raceStats: {
@@ -22,7 +24,14 @@ const initialState = {
     graphics: 'high', // 'low', 'medium', 'high', 'ultra'
     soundVolume: 0.8,
     musicVolume: 0.5,
-    controlType: 'keyboard' // 'keyboard', 'gamepad'
+    controlType: 'keyboard', // 'keyboard', 'gamepad'
+    transmission: 'automatic', // 'automatic', 'manual'
+    damage: 'full', // 'off', 'visual', 'full'
+    laps: 3, // Race length; fuel and tire wear make longer endurance races a matter of pit strategy
+    fuel: false, // Burn fuel (heavier on a full tank, refill in the pits)
+    tireWear: false, // Wear the tires (less grip as they go, change them in the pits)
+    physicsWorker: false, // Run the car, collisions and laps in a Web Worker, leaving the main thread to render
+    assists: { ...assistPresets.medium } // Level per assist: 'off', 'low', 'medium', 'high'
   }
 };
 
@@ -61,11 +70,23 @@ export const gameSlice = createSlice({
     selectVehicle: (state, action) => {
       state.selectedVehicle = action.payload;
     },
+    selectGameMode: (state, action) => {
+      state.gameMode = action.payload;
+    },
     updateSettings: (state, action) => {
       state.settings = {
         ...state.settings,
         ...action.payload
       };
+      
+      // Changing difficulty resets the assists to that difficulty's preset
+      if (action.payload.difficulty && !action.payload.assists && assistPresets[action.payload.difficulty]) {
+        state.settings.assists = { ...assistPresets[action.payload.difficulty] };
+      }
+    },
+    setAssistLevel: (state, action) => {
+      const { assist, level } = action.payload;
+      state.settings.assists[assist] = level;
     },
     changeScene: (state, action) => {
       state.currentScene = action.payload;
@@ -81,7 +102,9 @@ export const {
   updateRaceStats,
   selectTrack,
   selectVehicle,
+  selectGameMode,
   updateSettings,
+  setAssistLevel,
   changeScene
 } = gameSlice.actions;
 
@@ -22,6 +22,9 @@ const initialState = {
     racesWon: 0,
     totalPlayTime: 0,
     bestLapTimes: {},
+    bestDriftScores: {},
+    bestDrift: 0,
+    totalDriftScore: 0,
     favoriteVehicle: 'sports',
     favoriteTrack: 'circuit'
   }
@@ -91,6 +94,17 @@ export const userSlice = createSlice({
       // Add play time
       state.stats.totalPlayTime += action.payload.raceTime || 0;
     },
+    recordDriftSession: (state, action) => {
+      const { trackId, score, bestDrift } = action.payload;
+      
+      // Update best drift session score if better than previous
+      if (!state.stats.bestDriftScores[trackId] || score > state.stats.bestDriftScores[trackId]) {
+        state.stats.bestDriftScores[trackId] = score;
+      }
+      
+      state.stats.bestDrift = Math.max(state.stats.bestDrift, bestDrift || 0);
+      state.stats.totalDriftScore += score;
+    },
     unlockAchievement: (state, action) => {
       if (!state.progress.achievements.includes(action.payload)) {
         state.progress.achievements.push(action.payload);
@@ -109,6 +123,7 @@ export const {
   updatePreferences,
   updateStats,
   recordRaceCompleted,
+  recordDriftSession,
   unlockAchievement
 } = userSlice.actions;
 
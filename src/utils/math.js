@@ -153,17 +153,36 @@ export function cubicBezier(p0, p1, p2, p3, t) {
   );
 }
 
+/**
+ * Create a seeded random number generator (mulberry32), so runs that use
+ * randomness can be reproduced
+ * @param {number} seed - Integer seed
+ * @returns {Function} Function returning the next number in [0, 1), like Math.random
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
 /**
  * Get a random point inside a sphere
  * @param {number} radius - Sphere radius
+ * @param {Function} random - Random number generator (see createRandom)
  * @returns {Vector3} Random point
  */
-export function randomPointInSphere(radius) {
-  const u = Math.random();
-  const v = Math.random();
+export function randomPointInSphere(radius, random = Math.random) {
+  const u = random();
+  const v = random();
   const theta = 2 * Math.PI * u;
   const phi = Math.acos(2 * v - 1);
-  const r = radius * Math.cbrt(Math.random());
+  const r = radius * Math.cbrt(random());
   
   const sinTheta = Math.sin(theta);
   const cosTheta = Math.cos(theta);
@@ -180,11 +199,12 @@ export function randomPointInSphere(radius) {
 /**
  * Get a random point on a sphere surface
  * @param {number} radius - Sphere radius
+ * @param {Function} random - Random number generator (see createRandom)
  * @returns {Vector3} Random point
  */
-export function randomPointOnSphere(radius) {
-  const u = Math.random();
-  const v = Math.random();
+export function randomPointOnSphere(radius, random = Math.random) {
+  const u = random();
+  const v = random();
   const theta = 2 * Math.PI * u;
   const phi = Math.acos(2 * v - 1);
   
@@ -340,6 +360,32 @@ export function refract(incident, normal, ior) {
   }
 }
 
+/**
+ * Check if a point is inside a polygon on the ground plane (for complex track boundaries)
+ * @param {Vector3} point - Point to check
+ * @param {Array} polygon - Array of Vector3 points forming the polygon
+ * @returns {boolean} True if point is inside polygon
+ */
+export function isPointInPolygon(point, polygon) {
+  // Ray casting algorithm
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const xi = polygon[i].x;
+    const zi = polygon[i].z;
+    const xj = polygon[j].x;
+    const zj = polygon[j].z;
+    
+    const intersect = ((zi > point.z) !== (zj > point.z)) &&
+      (point.x < (xj - xi) * (point.z - zi) / (zj - zi) + xi);
+    
+    if (intersect) {
+      inside = !inside;
+    }
+  }
+  
+  return inside;
+}
+
 export default {
   lerp,
   clamp,
@@ -361,5 +407,6 @@ export default {
   eulerToDirection,
   directionToEuler,
   reflect,
-  refract
+  refract,
+  isPointInPolygon
 };